@@ -1,15 +1,29 @@
 /**
  * Nadha - Voice LLM Interface
  * 
- * STT: Whisper via Transformers.js (local models)
- * LLM: SmolLM2-360M via Wllama
+ * STT: Whisper via ONNX Runtime (local models)
+ * LLM: GGUF models via Wllama (catalog in model-catalog.js)
  * TTS: Supertonic-2 via ONNX Runtime (local models)
  */
 
-import { Wllama } from 'https://cdn.jsdelivr.net/npm/@wllama/wllama@2.2.1/esm/index.js';
-import WasmFromCDN from 'https://cdn.jsdelivr.net/npm/@wllama/wllama@2.2.1/esm/wasm-from-cdn.js';
-import { loadTextToSpeech, loadVoiceStyle, writeWavFile } from './helper.js';
+import { Wllama, ModelManager } from '@wllama/wllama/esm/index.js';
+import wllamaSingleThreadWasm from '@wllama/wllama/esm/single-thread/wllama.wasm?url';
+import wllamaMultiThreadWasm from '@wllama/wllama/esm/multi-thread/wllama.wasm?url';
+import { writeWavFile, isValidLang } from './helper.js';
+import { loadTextToSpeech, loadVoiceStyle } from './tts-service.js';
+import { Conversation } from './conversation.js';
+import { getChatTemplate, detectChatTemplate, renderChat, truncateAtStop } from './chat-templates.js';
+import { MODEL_CATALOG, DEFAULT_MODEL_ID, getModel, findModelByFile, modelUrl, describeModel } from './model-catalog.js';
+import { isSsml, containsSsmlTags, stripSsml } from './ssml.js';
+import { updateVadOptions, CAPTURE_SAMPLE_RATE } from './audio-capture.js';
 import { initWhisperSTT, startContinuousListening, stopContinuousListening, isListening, isWhisperReady } from './whisper-stt.js';
+import { registerServiceWorker, applyUpdate, requestPersistentStorage } from './pwa.js';
+import { ModelLoader, isAbortError, withRetries } from './model-loader.js';
+import { ToolRegistry, splitToolCall, parseToolCall, formatToolCall, formatToolResult } from './tools.js';
+import { registerBuiltinTools, Timers, formatDuration } from './builtin-tools.js';
+import { WakeWordDetector, DEFAULT_WAKE_OPTIONS } from './wake-word.js';
+import { playTimerAlert, playWakeChime, playSleepChime } from './sounds.js';
+import { DocumentStore, DocumentIndex, createEmbedder, extractText, isDocumentFile, formatPassages, citation } from './documents.js';
 
 // ============================================================================
 // State
@@ -19,17 +33,23 @@ const state = {
     // LLM
     wllama: null,
     modelLoaded: false,
+    llmSource: null,   // what loadLLM() last loaded
+    chatTemplate: null,
+    conversation: null,
     // TTS
     tts: null,
     ttsStyle: null,
     ttsReady: false,
-    prebakedAudio: [], // Pre-generated acknowledgment sounds
+    prebakedAudio: {}, // Pre-generated acknowledgment sounds, keyed by language
     // STT
     whisperReady: false,
     // UI
+    started: false,          // loading screen dismissed
     isListening: false,
     isProcessing: false,
     isSpeaking: false,
+    cancelGeneration: false, // set on barge-in to stop the running completion
+    activeTurn: null,        // resolves when the current LLM turn has unwound
 };
 
 // ============================================================================
@@ -48,20 +68,39 @@ const elements = {
     progress: document.getElementById('progress'),
     progressText: document.getElementById('progress-text'),
     loadingFact: document.getElementById('loading-fact'),
+    updateBanner: document.getElementById('update-banner'),
+    modelPicker: document.getElementById('model-picker'),
+    modelPickerError: document.getElementById('model-picker-error'),
+    modelFile: document.getElementById('model-file'),
+    modelSelect: document.getElementById('model-select'),
+    pickerModelSelect: document.getElementById('picker-model-select'),
+    modelPickerFile: document.getElementById('model-picker-file'),
+    modelPickerRemote: document.getElementById('model-picker-remote'),
+    documents: document.getElementById('documents'),
+    documentFiles: document.getElementById('document-files'),
+    documentList: document.getElementById('document-list'),
+    wakeEnabled: document.getElementById('wake-enabled'),
+    wakePhrase: document.getElementById('wake-phrase'),
+    wakeSensitivity: document.getElementById('wake-sensitivity'),
+    wakeFollowUp: document.getElementById('wake-follow-up'),
+    wakeTraining: document.getElementById('wake-training'),
+    loadComponents: document.getElementById('load-components'),
+    loadCancel: document.getElementById('load-cancel'),
+    loadContinue: document.getElementById('load-continue'),
 };
 
 // Interesting facts about the models
 const modelFacts = [
-    "� Llama-3.2-1B is Meta's latest efficient language model",
+    "🧠 Pick a smaller or larger language model to trade speed for quality",
     "💻 The Whisper model can transcribe 99 different languages",
     "🎵 Supertonic TTS uses neural vocoder technology for natural speech",
     "⚡ All models run 100% in your browser - no data leaves your device",
     "🎤 Whisper was trained on 680,000 hours of audio data",
     "🏠 Everything runs locally using WebAssembly (WASM)",
     "🔒 Your conversations are completely private - no server involved",
-    "📊 Llama-3.2-1B has 1 billion parameters in just ~600MB",
+    "📊 SmolLM2-360M has 360 million parameters in under 400MB",
     "🎯 The TTS model generates speech at 24kHz sample rate",
-    "🚀 Llama-3.2 is optimized for mobile and edge devices",
+    "🚀 SmolLM2, Qwen2.5, Llama 3.2, Gemma 2 and Phi-3.5 all run in the browser",
     "🌐 No internet required after models are cached",
 ];
 
@@ -103,88 +142,197 @@ function setStatus(status, text) {
     }
 }
 
-function updateProgress(pct, text, label) {
+// ============================================================================
+// Loading Progress
+// ============================================================================
+
+const componentRows = new Map();
+
+function formatMB(bytes) {
+    return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+function componentStatusText(component) {
+    switch (component.status) {
+        case 'loading':
+            if (component.detail) return component.detail;
+            return component.total > 0 ? `${Math.round((component.loaded / component.total) * 100)}%` : 'Starting...';
+        case 'done':
+            return 'Ready';
+        case 'error':
+            return `Failed: ${component.error.message}`;
+        case 'cancelled':
+            return 'Cancelled';
+        default:
+            return 'Waiting';
+    }
+}
+
+// Rows are created once and updated in place so Retry buttons stay clickable
+function componentRow(component) {
+    if (!componentRows.has(component.name)) {
+        const row = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = component.label;
+        const status = document.createElement('span');
+        status.className = 'load-status';
+        const retry = document.createElement('button');
+        retry.textContent = 'Retry';
+        retry.onclick = () => retryComponent(component.name);
+        row.append(label, status, retry);
+        elements.loadComponents.append(row);
+        componentRows.set(component.name, { row, status, retry });
+    }
+    return componentRows.get(component.name);
+}
+
+function renderLoadProgress(snapshot) {
+    const pct = Math.round(snapshot.progress * 100);
     elements.progress.style.width = `${pct}%`;
-    elements.progressText.textContent = text || `${pct}%`;
-    if (label && elements.loadingLabel) {
-        elements.loadingLabel.textContent = label;
+    elements.progressText.textContent = snapshot.total > 0
+        ? `${pct}% · ${formatMB(snapshot.loaded)} / ${formatMB(snapshot.total)}`
+        : 'Initializing...';
+
+    if (!snapshot.settled) {
+        elements.loadingLabel.textContent = 'Loading models...';
+    } else {
+        elements.loadingLabel.textContent = snapshot.failed.length > 0 ? 'Some models did not load' : 'Ready!';
     }
+
+    for (const component of snapshot.components) {
+        const { row, status, retry } = componentRow(component);
+        row.className = `load-component ${component.status}`;
+        status.textContent = componentStatusText(component);
+        status.title = status.textContent;
+        retry.classList.toggle('hidden', component.status !== 'error' && component.status !== 'cancelled');
+    }
+
+    elements.loadCancel.classList.toggle('hidden', snapshot.settled);
+    // Without a language model there is nothing to talk to
+    elements.loadContinue.classList.toggle('hidden', !(snapshot.settled && snapshot.failed.length > 0 && state.modelLoaded));
 }
 
 // ============================================================================
 // TTS Initialization (Supertonic-2 from local models)
 // ============================================================================
 
-async function initTTS() {
+async function initTTS({ signal, onProgress, setDetail }) {
     console.log('[Nadha] Loading Supertonic TTS...');
-    updateProgress(0, 'Initializing...', 'Loading TTS...');
-
-    try {
-        // Load from local models
-        const onnxDir = '/models/supertonic';
-        const voiceStylePath = '/models/supertonic/M1.json';
-
-        // Try WebGPU first (much faster), then fall back to WASM
-        const result = await loadTextToSpeech(onnxDir, {
-            executionProviders: ['webgpu', 'wasm'],
-            graphOptimizationLevel: 'all'
-        }, (modelName, current, total) => {
-            const pct = Math.round((current / total) * 25);
-            updateProgress(pct, `${current}/${total}: ${modelName}`, 'Loading TTS...');
-        });
-
-        state.tts = result.textToSpeech;
-        state.ttsStyle = await loadVoiceStyle([voiceStylePath]);
-        state.ttsReady = true;
 
-        console.log('[Nadha] TTS loaded successfully');
-        return true;
-    } catch (err) {
-        console.error('[Nadha] TTS load failed:', err);
-        return false;
-    }
+    // Load from local models
+    const onnxDir = '/models/supertonic';
+    const voiceStylePath = '/models/supertonic/M1.json';
+
+    // Try WebGPU first (much faster), then fall back to WASM
+    const result = await loadTextToSpeech(onnxDir, {
+        executionProviders: ['webgpu', 'wasm'],
+        graphOptimizationLevel: 'all'
+    }, (modelName) => {
+        setDetail(`Initializing ${modelName}...`);
+    }, { signal, onBytes: onProgress });
+
+    state.tts = result.textToSpeech;
+    // Acknowledgments and repeated replies are then reused across sessions
+    await state.tts.enableAudioCache();
+    state.ttsStyle = await loadVoiceStyle([voiceStylePath]);
+    state.ttsReady = true;
+    console.log('[Nadha] TTS loaded successfully');
+
+    // Pre-generate acknowledgment sounds for instant playback
+    setDetail('Preparing acknowledgments...');
+    await prebakeAcknowledgments();
 }
 
 // Pre-generate acknowledgment sounds for instant playback
-const acknowledgmentPhrases = [
-    "Hmm, let me think about that for a moment...",
-    "Okay, let me work on that for you...",
-    "Sure thing, give me just a second here...",
-    "Let me see what I can come up with...",
-    "Alright, processing that now...",
-    "One moment please, thinking...",
-];
+const acknowledgmentPhrases = {
+    en: [
+        "Hmm, let me think about that for a moment...",
+        "Okay, let me work on that for you...",
+        "Sure thing, give me just a second here...",
+        "Let me see what I can come up with...",
+        "Alright, processing that now...",
+        "One moment please, thinking...",
+    ],
+    ko: [
+        "음, 잠시만 생각해 볼게요...",
+        "네, 바로 알아볼게요...",
+        "잠깐만 기다려 주세요...",
+    ],
+    es: [
+        "Mmm, déjame pensarlo un momento...",
+        "Vale, dame un segundo...",
+        "Un momento, por favor...",
+    ],
+    pt: [
+        "Hmm, deixa eu pensar um pouco...",
+        "Certo, só um segundo...",
+        "Um momento, por favor...",
+    ],
+    fr: [
+        "Hmm, laisse-moi réfléchir un instant...",
+        "D'accord, une seconde...",
+        "Un instant, s'il te plaît...",
+    ],
+};
+
+// Trim, de-click and level every spoken clip so acknowledgments and replies match in volume
+const SPEECH_POST_PROCESS = {
+    trimSilence: true,
+    fadeMs: 8,
+    crossfadeMs: 20,
+    targetLufs: -18,
+    truePeakDb: -1.5,
+};
 
-async function prebakeAcknowledgments() {
-    if (!state.ttsReady || !state.tts) return;
+async function prebakeAcknowledgments(lang = 'en') {
+    if (!state.ttsReady || !state.tts || state.prebakedAudio[lang]) return;
 
-    console.log('[Nadha] Pre-generating acknowledgment sounds...');
+    console.log(`[Nadha] Pre-generating acknowledgment sounds (${lang})...`);
+    const baked = [];
+    state.prebakedAudio[lang] = baked;
 
-    for (const phrase of acknowledgmentPhrases) {
+    for (const phrase of acknowledgmentPhrases[lang] || []) {
+        // Never compete with a reply's sentences for the TTS worker
+        await untilIdle();
         try {
             const { wav, duration } = await state.tts.call(
-                phrase, 'en', state.ttsStyle, 2, 1.2, 0.05
+                phrase, lang, state.ttsStyle, 2, 1.2, 0.05, null,
+                { postProcess: SPEECH_POST_PROCESS }
             );
             const wavLen = Math.floor(state.tts.sampleRate * duration[0]);
             const wavOut = wav.slice(0, wavLen);
             const wavBuffer = writeWavFile(wavOut, state.tts.sampleRate);
             const blob = new Blob([wavBuffer], { type: 'audio/wav' });
             const url = URL.createObjectURL(blob);
-            state.prebakedAudio.push({ phrase, url });
+            baked.push({ phrase, url });
         } catch (err) {
             console.error('[Nadha] Failed to prebake:', phrase, err);
         }
     }
 
-    console.log('[Nadha] Pre-baked', state.prebakedAudio.length, 'acknowledgments');
+    console.log('[Nadha] Pre-baked', baked.length, `acknowledgments (${lang})`);
+}
+
+// Resolve once no reply is being generated or spoken
+function untilIdle() {
+    return new Promise(resolve => {
+        const check = () => (isResponding() ? setTimeout(check, 250) : resolve());
+        check();
+    });
 }
 
 // Play a random acknowledgment instantly
-function playAcknowledgment() {
-    if (state.prebakedAudio.length === 0) return null;
+function playAcknowledgment(lang = 'en') {
+    const baked = state.prebakedAudio[lang];
+    if (!baked) {
+        // First turn in this language: bake in the background once this reply is over
+        prebakeAcknowledgments(lang);
+        return null;
+    }
+    if (baked.length === 0) return null;
 
-    const idx = Math.floor(Math.random() * state.prebakedAudio.length);
-    const { url, phrase } = state.prebakedAudio[idx];
+    const idx = Math.floor(Math.random() * baked.length);
+    const { url, phrase } = baked[idx];
     console.log('[Nadha] Playing acknowledgment:', phrase);
 
     const audio = new Audio(url);
@@ -199,39 +347,356 @@ function playAcknowledgment() {
 // LLM Initialization
 // ============================================================================
 
-async function initLLM() {
-    console.log('[Nadha] Loading LLM...');
-    updateProgress(60, 'Initializing...', 'Loading SmolLM2...');
+const LLM_CONTEXT_SIZE = 2048;
+const LLM_MAX_TOKENS = 100;
+const LLM_SAMPLING = { temp: 0.8, top_k: 40, top_p: 0.9, repeatPenalty: 1.2 };
+
+// Catalog model to load (model-catalog.js), remembered across sessions
+const LLM_MODEL_KEY = 'nadha.llmModel';
+// Set once the user opts in to downloading models from Hugging Face
+const LLM_SOURCE_KEY = 'nadha.llmSource';
+
+// Bundled by Vite; multi-thread is used when the page is cross-origin isolated
+const WLLAMA_WASM = {
+    'single-thread/wllama.wasm': wllamaSingleThreadWasm,
+    'multi-thread/wllama.wasm': wllamaMultiThreadWasm,
+};
+
+function selectedModel() {
+    return getModel(localStorage.getItem(LLM_MODEL_KEY)) || getModel(DEFAULT_MODEL_ID);
+}
+
+function remoteModelsAllowed() {
+    return localStorage.getItem(LLM_SOURCE_KEY) === 'hf';
+}
 
+function sourceName(source) {
+    return source.file ? source.file.name : `${source.model.name} ${source.model.quant}`;
+}
+
+// Absolute, because Wllama downloads from a blob worker and keys its cache by URL
+function localModelUrl(model) {
+    return new URL(modelUrl(model), location.href).href;
+}
+
+/**
+ * Is the catalog model in Wllama's cache (OPFS) or served from /models/llm/?
+ * The dev server answers missing files with index.html, so check the content type too.
+ */
+async function localModelAvailable(model) {
+    const url = localModelUrl(model);
     try {
-        state.wllama = new Wllama(WasmFromCDN, { parallelDownloads: 3 });
-
-        await state.wllama.loadModelFromHF(
-            'HuggingFaceTB/SmolLM2-360M-Instruct-GGUF',
-            'smollm2-360m-instruct-q8_0.gguf', // ~350MB, fastest
-            {
-                progressCallback: ({ loaded, total }) => {
-                    const pct = 60 + Math.round((loaded / total) * 35);
-                    updateProgress(pct, `${Math.round((loaded / total) * 100)}%`, 'Loading SmolLM2...');
-                }
+        const cached = await new ModelManager().getModels();
+        if (cached.some(entry => entry.url === url)) return true;
+    } catch (err) {
+        console.warn('[Nadha] Could not read the model cache:', err.message);
+    }
+    try {
+        const response = await fetch(url, { method: 'HEAD' });
+        return response.ok && !(response.headers.get('content-type') || '').includes('text/html');
+    } catch {
+        return false;
+    }
+}
+
+function remoteModelUrl(model) {
+    return `https://huggingface.co/${model.hf.repo}/resolve/main/${model.hf.file}`;
+}
+
+/**
+ * Fetch a GGUF into Wllama's cache (or find it there), retrying failed
+ * downloads like the other model files, then load it
+ */
+async function downloadAndLoadLLM(url, config) {
+    const model = await withRetries(
+        () => state.wllama.modelManager.getModelOrDownload(url, config),
+        { signal: config.signal, label: url }
+    );
+    await state.wllama.loadModel(model, config);
+}
+
+/**
+ * Load an LLM, replacing any model that is already loaded. Sources:
+ *  - { model }: catalog model served from /models/llm/
+ *  - { model, remote: true }: catalog model from Hugging Face (opt-in)
+ *  - { file }: a local .gguf Blob
+ */
+async function loadLLM(source, { signal = null, onProgress = null } = {}) {
+    const name = sourceName(source);
+
+    try {
+        if (state.wllama) {
+            state.modelLoaded = false;
+            await state.wllama.exit();
+        }
+        // allowOffline: reuse a cached Hugging Face download when there is no network
+        state.wllama = new Wllama(WLLAMA_WASM, { parallelDownloads: 3, allowOffline: true });
+
+        const config = {
+            n_ctx: LLM_CONTEXT_SIZE,
+            signal,
+            progressCallback: ({ loaded, total }) => {
+                if (onProgress) onProgress(loaded, total);
             }
-        );
+        };
+
+        if (source.file) {
+            await state.wllama.loadModel([source.file], { n_ctx: LLM_CONTEXT_SIZE });
+        } else if (source.remote) {
+            await downloadAndLoadLLM(remoteModelUrl(source.model), config);
+        } else {
+            // Downloaded once into Wllama's cache; the service worker leaves /models/llm/ alone
+            await downloadAndLoadLLM(localModelUrl(source.model), config);
+        }
 
+        // Catalog models carry their template; for other files read it from the GGUF
+        const catalogModel = source.model || findModelByFile(source.file.name);
+        state.chatTemplate = catalogModel
+            ? getChatTemplate(catalogModel.template)
+            : detectChatTemplate(state.wllama.getChatTemplate(), source.file.name);
+
+        // Leave room in the context for the reply
+        if (!state.conversation) {
+            state.conversation = new Conversation({
+                countTokens: async (text) => (await state.wllama.tokenize(text, true)).length,
+                maxPromptTokens: LLM_CONTEXT_SIZE - LLM_MAX_TOKENS - 32,
+                template: state.chatTemplate,
+            });
+        } else {
+            state.conversation.setTemplate(state.chatTemplate);
+        }
+
+        state.llmSource = source;
         state.modelLoaded = true;
-        console.log('[Nadha] LLM loaded successfully');
+        console.log(`[Nadha] LLM loaded: ${name} (${state.chatTemplate.label} template)`);
         return true;
     } catch (err) {
-        console.error('[Nadha] LLM load failed:', err);
+        if (isAbortError(err)) throw err;
+        console.error(`[Nadha] LLM load failed (${name}):`, err);
         return false;
     }
 }
 
+async function initLLM({ signal, onProgress, setDetail }) {
+    console.log('[Nadha] Loading LLM...');
+    const options = { signal, onProgress };
+    const model = selectedModel();
+
+    let loaded = await localModelAvailable(model) && await loadLLM({ model }, options);
+    // A previous explicit opt-in; Wllama's cache makes this work offline too
+    if (!loaded && remoteModelsAllowed()) {
+        loaded = await loadLLM({ model, remote: true }, options);
+    }
+    if (!loaded) {
+        setDetail('Choose a language model below');
+        await chooseLLMSource(options);
+        setDetail('');
+    }
+
+    // Pre-warm LLM for faster first response
+    await prewarmLLM();
+    syncModelSelect();
+}
+
+// ============================================================================
+// Model selection (catalog / file / drag-and-drop / opt-in download)
+// ============================================================================
+
+// { resolve, reject, options } while the picker waits for a model
+let modelChoice = null;
+
+function isGguf(file) {
+    return file && file.name.toLowerCase().endsWith('.gguf');
+}
+
+function populateModelSelect(select) {
+    select.replaceChildren(...MODEL_CATALOG.map(model => new Option(describeModel(model), model.id)));
+    select.value = selectedModel().id;
+}
+
+// Show the loaded model in the main selector; dropped files get their own entry
+function syncModelSelect() {
+    const select = elements.modelSelect;
+    select.querySelector('option[data-custom]')?.remove();
+    const source = state.llmSource;
+    if (!source) return;
+    if (source.model) {
+        select.value = source.model.id;
+        return;
+    }
+    const option = new Option(source.file.name, '');
+    option.dataset.custom = 'true';
+    option.disabled = true;
+    select.append(option);
+    select.value = '';
+}
+
+function updatePicker() {
+    const model = selectedModel();
+    elements.modelPickerFile.textContent = model.file;
+    elements.modelPickerRemote.textContent = `Download ${describeModel(model)} from Hugging Face`;
+}
+
+// Show the picker on the loading screen and wait until a model loads
+function chooseLLMSource(options) {
+    console.log(`[Nadha] No model at ${modelUrl(selectedModel())}, asking for one`);
+    updatePicker();
+    elements.modelPicker.classList.remove('hidden');
+    return new Promise((resolve, reject) => {
+        modelChoice = { resolve, reject, options };
+        options.signal.addEventListener('abort', () => {
+            elements.modelPicker.classList.add('hidden');
+            modelChoice = null;
+            reject(options.signal.reason);
+        }, { once: true });
+    });
+}
+
+async function loadChosenModel(source) {
+    const choice = modelChoice;
+    elements.modelPickerError.textContent = '';
+    elements.modelPicker.classList.add('hidden');
+
+    try {
+        if (await loadLLM(source, choice.options)) {
+            if (source.remote) localStorage.setItem(LLM_SOURCE_KEY, 'hf');
+            modelChoice = null;
+            choice.resolve();
+            return;
+        }
+    } catch (err) {
+        // Cancelled: the abort listener has already settled the choice
+        return;
+    }
+
+    elements.modelPickerError.textContent = `Could not load ${sourceName(source)}. Try another model.`;
+    elements.modelPicker.classList.remove('hidden');
+}
+
+window.pickModelFile = function () {
+    elements.modelFile.click();
+};
+
+window.downloadModelFromHF = function () {
+    if (modelChoice) loadChosenModel({ model: selectedModel(), remote: true });
+};
+
+// Picker on the loading screen: remember the choice and use it if it's on disk
+window.selectPickerModel = async function (id) {
+    localStorage.setItem(LLM_MODEL_KEY, id);
+    updatePicker();
+    const model = selectedModel();
+    if (modelChoice && await localModelAvailable(model)) {
+        loadChosenModel({ model });
+    }
+};
+
+/**
+ * Replace the running model, putting the previous one back if the new one fails
+ */
+async function swapLLM(source) {
+    // Still starting up, or in the middle of a turn
+    if (!state.modelLoaded || state.isProcessing || state.isSpeaking) return false;
+
+    const previous = state.llmSource;
+    setStatus('thinking', `Loading ${sourceName(source)}...`);
+    let ok = await loadLLM(source);
+    if (ok) {
+        await prewarmLLM();
+        setStatus('idle', `Loaded ${sourceName(source)}`);
+    } else {
+        setStatus('idle', `Could not load ${sourceName(source)}`);
+        if (previous) await loadLLM(previous);
+    }
+    syncModelSelect();
+    return ok;
+}
+
+// Main-screen selector: switch models at runtime
+window.switchModel = async function (id) {
+    const model = getModel(id);
+    if (!model || !state.modelLoaded || state.isProcessing || state.isSpeaking) {
+        syncModelSelect();
+        return;
+    }
+
+    let source = null;
+    if (await localModelAvailable(model)) {
+        source = { model };
+    } else if (remoteModelsAllowed()) {
+        source = { model, remote: true };
+    } else {
+        setStatus('idle', `Add ${model.file} to /models/llm/ first`);
+        syncModelSelect();
+        return;
+    }
+
+    if (await swapLLM(source)) localStorage.setItem(LLM_MODEL_KEY, id);
+};
+
+populateModelSelect(elements.modelSelect);
+populateModelSelect(elements.pickerModelSelect);
+
+elements.modelFile.addEventListener('change', () => {
+    const file = elements.modelFile.files[0];
+    elements.modelFile.value = '';
+    if (modelChoice && isGguf(file)) loadChosenModel({ file });
+});
+
+// Dropping a .gguf anywhere loads it: during setup, or later to swap models.
+// Dropped PDF, text and Markdown files are added to the documents instead.
+window.addEventListener('dragover', (e) => {
+    if ([...e.dataTransfer.items].some(item => item.kind === 'file')) e.preventDefault();
+});
+
+window.addEventListener('drop', (e) => {
+    const file = [...e.dataTransfer.files].find(isGguf);
+    const documents = [...e.dataTransfer.files].filter(isDocumentFile);
+    if (!file && documents.length > 0 && !modelChoice) {
+        e.preventDefault();
+        addDocumentFiles(documents);
+        return;
+    }
+    if (!file) return;
+    e.preventDefault();
+
+    if (modelChoice) {
+        loadChosenModel({ file });
+    } else {
+        swapLLM({ file });
+    }
+});
+
+/**
+ * Run one completion. `onText` sees the reply so far, cut at the template's
+ * stop strings; barge-in (state.cancelGeneration) stops it early.
+ */
+async function complete(prompt, { nPredict = LLM_MAX_TOKENS, sampling = LLM_SAMPLING, onText = null } = {}) {
+    let fullText = '';
+    await state.wllama.createCompletion(prompt, {
+        nPredict,
+        sampling,
+        onNewToken: (token, piece, currentText, optionals) => {
+            if (state.cancelGeneration) {
+                optionals.abortSignal();
+                return;
+            }
+
+            const { text, stopped } = truncateAtStop(currentText, state.chatTemplate);
+            if (stopped) optionals.abortSignal();
+            fullText = text.trim();
+            if (onText) onText(fullText);
+        },
+    });
+    return fullText;
+}
+
 // Pre-warm LLM with a short inference to reduce first response latency
 async function prewarmLLM() {
     if (!state.modelLoaded) return;
     console.log('[Nadha] Pre-warming LLM...');
     try {
-        await state.wllama.createCompletion('<|im_start|>user\nHi<|im_end|>\n<|im_start|>assistant\n', {
+        await state.wllama.createCompletion(renderChat([{ role: 'user', content: 'Hi' }], state.chatTemplate), {
             nPredict: 5,
             sampling: { temp: 0.1 }
         });
@@ -241,22 +706,200 @@ async function prewarmLLM() {
     }
 }
 
+// ============================================================================
+// Language
+// ============================================================================
+
+const LANGUAGE_NAMES = {
+    en: 'English',
+    ko: 'Korean',
+    es: 'Spanish',
+    pt: 'Portuguese',
+    fr: 'French',
+};
+
+// Map the language Whisper detected to one the TTS can speak
+function resolveTurnLanguage(detected) {
+    if (detected && isValidLang(detected)) return detected;
+    if (detected) {
+        console.warn(`[Nadha] No TTS voice for "${detected}", answering in English`);
+    }
+    return 'en';
+}
+
+// ============================================================================
+// Tools (tools.js, builtin-tools.js)
+// ============================================================================
+
+// After this many tool calls in one turn the model has to answer
+const MAX_TOOL_ROUNDS = 3;
+
+// Said instead of a tool call that could not be parsed
+const TOOL_FAILURE_REPLIES = {
+    en: 'Sorry, I could not work that out.',
+    ko: '죄송해요, 그건 처리하지 못했어요.',
+    es: 'Lo siento, no pude resolver eso.',
+    pt: 'Desculpe, não consegui resolver isso.',
+    fr: "Désolée, je n'ai pas réussi à le faire.",
+};
+
+const timers = new Timers({ onDone: announceTimer });
+const tools = registerBuiltinTools(new ToolRegistry(), { timers });
+
+function announceTimer(timer) {
+    const name = timer.label ? `${timer.label} timer` : `${formatDuration(timer.seconds)} timer`;
+    console.log(`[Nadha] ${name} done`);
+    playTimerAlert();
+    elements.aiText.textContent = `Your ${name} is done.`;
+    // Don't talk over an answer in progress; the beeps and the text are enough
+    if (!isResponding()) speak(`Your ${name} is done.`);
+}
+
+// ============================================================================
+// Documents (local RAG, documents.js)
+// ============================================================================
+
+// Passages added to the prompt per turn; each is up to ~600 characters
+const RAG_TOP_K = 3;
+
+// Spoken before the document name when the reply doesn't cite it
+const SOURCE_LABELS = {
+    en: 'Source',
+    ko: '출처',
+    es: 'Fuente',
+    pt: 'Fonte',
+    fr: 'Source',
+};
+
+let documentIndex = null;
+let embedderPromise = null;
+
+// The embedding model is loaded on first use, not with the other models
+function getEmbedder() {
+    if (!embedderPromise) {
+        embedderPromise = createEmbedder().catch((err) => {
+            embedderPromise = null;
+            throw err;
+        });
+    }
+    return embedderPromise;
+}
+
+function renderDocuments() {
+    const items = documentIndex.list().map((doc) => {
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        name.textContent = doc.name;
+        name.title = `${doc.chunks} passages`;
+        const remove = document.createElement('button');
+        remove.textContent = '×';
+        remove.title = `Remove ${doc.name}`;
+        remove.onclick = () => removeDocument(doc.id);
+        item.append(name, remove);
+        return item;
+    });
+    elements.documentList.replaceChildren(...items);
+}
+
+async function initDocuments() {
+    try {
+        documentIndex = new DocumentIndex({
+            store: new DocumentStore(),
+            embed: async (texts) => (await getEmbedder())(texts),
+        });
+        await documentIndex.load();
+    } catch (err) {
+        console.warn('[Nadha] Documents unavailable:', err.message);
+        documentIndex = null;
+        elements.documents.classList.add('hidden');
+        return;
+    }
+    renderDocuments();
+    // Warm up the embedder so the first question doesn't wait for it
+    if (documentIndex.list().length > 0) {
+        getEmbedder().catch(err => console.warn('[Nadha] Embedding model unavailable:', err.message));
+    }
+}
+
+async function addDocumentFiles(files) {
+    if (!documentIndex) return;
+    for (const file of files) {
+        try {
+            setStatus('thinking', `Reading ${file.name}...`);
+            const text = await extractText(file);
+            await documentIndex.add(file.name, text, {
+                type: file.type,
+                bytes: file.size,
+                onProgress: (done, total) => setStatus('thinking', `Indexing ${file.name} (${done}/${total})...`),
+            });
+            renderDocuments();
+            setStatus('idle', `Added ${file.name}`);
+        } catch (err) {
+            console.error(`[Nadha] Could not add ${file.name}:`, err);
+            setStatus('idle', `Could not add ${file.name}`);
+        }
+    }
+}
+
+async function removeDocument(id) {
+    await documentIndex.remove(id);
+    renderDocuments();
+}
+
+// Passages for this turn; retrieval problems never block the answer
+async function retrievePassages(query) {
+    if (!documentIndex || documentIndex.list().length === 0) return [];
+    try {
+        const passages = await documentIndex.search(query, { k: RAG_TOP_K });
+        if (passages.length > 0) {
+            console.log('[Nadha] Retrieved:', passages.map(p => `${p.name} (${p.score.toFixed(2)})`).join(', '));
+        }
+        return passages;
+    } catch (err) {
+        console.warn('[Nadha] Document search failed:', err.message);
+        return [];
+    }
+}
+
+window.pickDocuments = function () {
+    elements.documentFiles.click();
+};
+
+elements.documentFiles.addEventListener('change', () => {
+    const files = [...elements.documentFiles.files].filter(isDocumentFile);
+    elements.documentFiles.value = '';
+    addDocumentFiles(files);
+});
+
 // ============================================================================
 // LLM Processing
 // ============================================================================
 
-async function processWithLLM(userInput) {
-    if (!state.modelLoaded || state.isProcessing) return;
+async function processWithLLM(userInput, lang = 'en') {
+    if (!state.modelLoaded) return;
+
+    if (state.isProcessing) {
+        // Only an interrupted turn can be replaced; let it unwind first
+        if (!state.cancelGeneration) return;
+        await state.activeTurn;
+    }
 
+    let finishTurn;
+    state.activeTurn = new Promise(resolve => { finishTurn = resolve; });
     state.isProcessing = true;
+    state.cancelGeneration = false;
     setStatus('thinking', 'Thinking...');
     elements.aiText.textContent = '';
+    updateVadOptions(BARGE_IN_VAD_OPTIONS);
 
     // Play instant acknowledgment while LLM generates
-    const ackAudio = playAcknowledgment();
+    pendingAcknowledgment = playAcknowledgment(lang);
+    const generation = conversationGeneration;
 
     try {
-        // Comprehensive system prompt to maximize SmolLM2 intelligence
+        const passages = await retrievePassages(userInput);
+
+        // Detailed system prompt to get the most out of small models
         const systemPrompt = `You are Nadha, an intelligent and charming voice assistant. You speak naturally like a helpful friend.
 
 PERSONALITY:
@@ -281,64 +924,84 @@ KNOWLEDGE:
 VOICE OPTIMIZATION:
 - Avoid using asterisks, markdown, emojis, or special formatting
 - Don't say "Here's" or "Sure!" at the start - just answer naturally
-- End responses with a complete thought, not trailing off`;
+- End responses with a complete thought, not trailing off
 
-        const prompt = `<|im_start|>system
-${systemPrompt}<|im_end|>
-<|im_start|>user
-${userInput}<|im_end|>
-<|im_start|>assistant
-`;
+LANGUAGE:
+- Always reply in ${LANGUAGE_NAMES[lang]}, even if the user's words seem to be in another language
 
-        let tokens = [];
-        let fullText = '';
-        let tokenBatch = 0;
-
-        await state.wllama.createCompletion(prompt, {
-            nPredict: 100,
-            sampling: { temp: 0.8, top_k: 40, top_p: 0.9, repeatPenalty: 1.2 },
-            onNewToken: async (token, piece) => {
-                tokens.push(token);
-                tokenBatch++;
-
-                // Only update display every 5 tokens (reduce overhead)
-                if (tokenBatch % 5 !== 0) return;
-
-                const decoded = await state.wllama.detokenize(tokens);
-                fullText = new TextDecoder().decode(decoded).replace(/<\|im_end\|>.*$/s, '').trim();
-                elements.aiText.textContent = fullText;
-            },
-        });
+${tools.describe()}${passages.length > 0 ? `\n\n${formatPassages(passages)}` : ''}`;
 
-        // Final decode
-        const decoded = await state.wllama.detokenize(tokens);
-        fullText = new TextDecoder().decode(decoded).replace(/<\|im_end\|>.*$/s, '').trim();
-        elements.aiText.textContent = fullText;
-
-        // Generate TTS in background while acknowledgment may still be playing
-        if (fullText && fullText.length > 2) {
-            setStatus('speaking', 'Preparing response...');
+        let fullText = '';
+        let splitter = null;
+        turnStartTime = performance.now();
+
+        // Tool calls and results of this turn; each round asks the model again
+        const followUp = [];
+        for (let round = 0; ; round++) {
+            const prompt = await state.conversation.buildPrompt(systemPrompt, userInput, { followUp });
+            const roundSplitter = createSentenceSplitter((sentence) => speakSentence(sentence, lang));
+            splitter = roundSplitter;
+            fullText = await complete(prompt, {
+                onText: (text) => {
+                    // Speak up to a tool call ("Sure! <tool_call>..."), never the call itself
+                    const { speech } = splitToolCall(text, { partial: true });
+                    if (!speech.trim()) return;
+                    elements.aiText.textContent = displayText(speech);
+                    // Hand finished sentences to TTS while generation continues
+                    roundSplitter.push(speech);
+                },
+            });
+            const { speech, callText } = splitToolCall(fullText);
+            if (state.cancelGeneration || !fullText || !callText) break;
+
+            let call = parseToolCall(callText);
+            // Finish the preamble before the tool runs
+            roundSplitter.flush(speech);
+
+            if (round >= MAX_TOOL_ROUNDS) {
+                call = null;
+            } else if (!call) {
+                // Malformed or truncated call: sample it again, constrained to valid calls
+                console.warn('[Nadha] Malformed tool call, retrying with grammar:', fullText);
+                call = parseToolCall(await complete(prompt, {
+                    sampling: { temp: 0, grammar: tools.grammar() },
+                }));
+            }
+            if (!call) {
+                // Never read a tool call out loud
+                fullText = TOOL_FAILURE_REPLIES[lang] || TOOL_FAILURE_REPLIES.en;
+                splitter = createSentenceSplitter((sentence) => speakSentence(sentence, lang));
+                break;
+            }
 
-            // Generate TTS audio (don't play yet)
-            const ttsPromise = generateTTSAudio(fullText);
+            setStatus('thinking', `Using ${call.name.replace(/_/g, ' ')}...`);
+            const outcome = await tools.execute(call, { lang });
+            console.log('[Nadha] Tool call:', call, outcome);
+            followUp.push(
+                { role: 'assistant', content: formatToolCall(call) },
+                { role: 'user', content: formatToolResult(call, outcome) },
+            );
+        }
 
-            // Wait for acknowledgment to finish (if still playing)
-            if (ackAudio && !ackAudio.ended) {
-                await new Promise(resolve => {
-                    ackAudio.onended = resolve;
-                    // Safety timeout
-                    setTimeout(resolve, 5000);
-                });
-            }
+        // A reset during the turn starts the history over without it
+        if (generation === conversationGeneration) {
+            state.conversation.addUser(userInput);
+            state.conversation.addAssistant(fullText);
+        }
 
-            // Now play the generated TTS
-            const audioData = await ttsPromise;
-            if (audioData) {
-                setStatus('speaking', 'Speaking...');
-                await playGeneratedAudio(audioData);
-            }
+        if (state.cancelGeneration) {
+            console.log('[Nadha] LLM response interrupted:', fullText);
+            state.isProcessing = false;
+            return;
         }
 
+        // Speak whatever is left after the last sentence boundary
+        splitter.flush(fullText);
+        // Name the document the answer drew on if the model didn't
+        const source = citation(fullText, passages, SOURCE_LABELS[lang]);
+        if (source) speakSentence(source, lang);
+        elements.aiText.textContent = displayText(source ? `${fullText} ${source}` : fullText);
+
         console.log('[Nadha] LLM response:', fullText);
         state.isProcessing = false;
         waitForSpeechEnd();
@@ -346,9 +1009,33 @@ ${userInput}<|im_end|>
         console.error('[Nadha] LLM error:', err);
         state.isProcessing = false;
         setStatus('idle', 'Click to speak');
+    } finally {
+        finishTurn();
     }
 }
 
+// ============================================================================
+// Conversation Reset
+// ============================================================================
+
+const RESET_COMMAND = /^(?:please\s+)?(?:reset|clear|restart|start)\s+(?:the\s+|our\s+|a\s+new\s+)?(?:conversation|chat)\b|^(?:start over|new conversation|forget (?:everything|our conversation))\b/i;
+
+function isResetCommand(text) {
+    return RESET_COMMAND.test(text.trim().replace(/[.!?]+$/, ''));
+}
+
+// Bumped on every reset so turns in flight don't write into the new history
+let conversationGeneration = 0;
+
+window.resetConversation = function () {
+    if (!state.conversation) return;
+    conversationGeneration++;
+    state.conversation.reset();
+    elements.userText.textContent = '';
+    elements.aiText.textContent = 'Starting a fresh conversation.';
+    console.log('[Nadha] Conversation reset');
+};
+
 // ============================================================================
 // Text-to-Speech (Supertonic)
 // ============================================================================
@@ -356,14 +1043,15 @@ ${userInput}<|im_end|>
 let currentAudio = null;
 
 // Generate TTS audio data without playing (for parallel generation)
-async function generateTTSAudio(text) {
+async function generateTTSAudio(text, lang = 'en') {
     if (!text.trim() || !state.ttsReady || !state.tts) return null;
 
     console.log('[TTS] Generating audio for:', text.substring(0, 40) + '...');
 
     try {
         const { wav, duration } = await state.tts.call(
-            text, 'en', state.ttsStyle, 2, 1.0, 0.1
+            toSpeechInput(text), lang, state.ttsStyle, 2, 1.0, 0.1, null,
+            { postProcess: SPEECH_POST_PROCESS }
         );
 
         const wavLen = Math.floor(state.tts.sampleRate * duration[0]);
@@ -380,55 +1068,18 @@ async function generateTTSAudio(text) {
     }
 }
 
-// Play pre-generated audio
-async function playGeneratedAudio(audioData) {
-    if (!audioData) return;
-
-    // Stop listening to prevent feedback
-    if (isListening()) {
-        stopContinuousListening();
-        state.isListening = false;
-    }
-
-    state.isSpeaking = true;
-
-    return new Promise((resolve) => {
-        currentAudio = new Audio(audioData.url);
-        currentAudio.onended = () => {
-            URL.revokeObjectURL(audioData.url);
-            state.isSpeaking = false;
-            console.log('[TTS] Playback finished');
-            resolve();
-        };
-        currentAudio.onerror = () => {
-            URL.revokeObjectURL(audioData.url);
-            state.isSpeaking = false;
-            resolve();
-        };
-        currentAudio.play().catch(() => {
-            state.isSpeaking = false;
-            resolve();
-        });
-    });
-}
-
 // Speak full response as one continuous audio (no choppiness)
-async function speakFullResponse(text) {
+async function speakFullResponse(text, lang = 'en') {
     if (!text.trim()) return;
 
-    // Stop listening to prevent feedback
-    if (isListening()) {
-        stopContinuousListening();
-        state.isListening = false;
-    }
-
     state.isSpeaking = true;
     console.log('[TTS] Speaking full response:', text.substring(0, 50) + '...');
 
     try {
         if (state.ttsReady && state.tts) {
             const { wav, duration } = await state.tts.call(
-                text, 'en', state.ttsStyle, 2, 1.0, 0.1
+                text, lang, state.ttsStyle, 2, 1.0, 0.1, null,
+                { postProcess: SPEECH_POST_PROCESS }
             );
 
             const wavLen = Math.floor(state.tts.sampleRate * duration[0]);
@@ -462,29 +1113,101 @@ async function speakFullResponse(text) {
     }
 }
 
-// Queue for streaming (kept for acknowledgments)
+// Sentences may carry inline SSML (<break>, <prosody>, ...); wrap them so
+// the TTS parses the markup instead of reading it out
+function toSpeechInput(text) {
+    return containsSsmlTags(text) && !isSsml(text) ? `<speak>${text}</speak>` : text;
+}
+
+function displayText(text) {
+    return containsSsmlTags(text) ? stripSsml(text) : text;
+}
+
+// Split streamed LLM text into sentences as soon as each one is complete.
+// `push` takes the full text generated so far.
+function createSentenceSplitter(onSentence, minChars = 12) {
+    const boundary = /(?<!\b(?:Mr|Mrs|Ms|Dr|Prof|Sr|Jr|St|vs|etc|e\.g|i\.e))[.!?…]+["')\]]*\s+/g;
+    let consumed = 0;
+
+    return {
+        push(text) {
+            boundary.lastIndex = consumed;
+            let match;
+            while ((match = boundary.exec(text)) !== null) {
+                const end = match.index + match[0].length;
+                const sentence = text.slice(consumed, end).trim();
+                // Very short fragments are merged into the next sentence
+                if (sentence.length >= minChars) {
+                    onSentence(sentence);
+                    consumed = end;
+                }
+            }
+        },
+        flush(text) {
+            const rest = text.slice(consumed).trim();
+            consumed = text.length;
+            if (rest.length > 1) onSentence(rest);
+        },
+    };
+}
+
+// Queue for streaming: sentences are synthesized in order as they arrive
+// and played back-to-back
 const speechQueue = [];
 let isSpeakingQueue = false;
+let synthesisChain = Promise.resolve();
+let queueGeneration = 0;
+let pendingAcknowledgment = null;
+let turnStartTime = null;
+// Playback paused while a possible barge-in is heard out
+let playbackHeld = false;
+let advanceClip = null;
 
 // Speak a single sentence using Supertonic TTS (queued)
-function speakSentence(text) {
+function speakSentence(text, lang = 'en') {
     if (!text.trim()) return;
 
-    // STOP LISTENING to prevent feedback loop
-    if (isListening()) {
-        stopContinuousListening();
-        state.isListening = false;
-        console.log('[TTS] Stopped listening to prevent feedback');
-    }
-
     console.log('[TTS] Queueing:', text);
-    speechQueue.push(text);
+
+    // Start synthesis now so it overlaps playback of earlier sentences;
+    // skip it if the queue is cleared before its turn comes
+    const generation = queueGeneration;
+    const audio = synthesisChain.then(() => (
+        generation === queueGeneration ? generateTTSAudio(text, lang) : null
+    ));
+    synthesisChain = audio;
+    speechQueue.push({ text, audio });
+
     if (!isSpeakingQueue) {
         processQueue();
     }
 }
 
-// Process speech queue using Supertonic TTS
+// Drop everything queued and invalidate in-flight playback
+function clearSpeechQueue() {
+    queueGeneration++;
+    for (const { audio } of speechQueue) {
+        audio.then(data => data && URL.revokeObjectURL(data.url));
+    }
+    speechQueue.length = 0;
+    isSpeakingQueue = false;
+    pendingAcknowledgment = null;
+}
+
+// Resolve once the acknowledgment filler has finished playing
+function waitForAcknowledgment() {
+    const ack = pendingAcknowledgment;
+    pendingAcknowledgment = null;
+    if (!ack || ack.ended || ack.paused) return Promise.resolve();
+
+    return new Promise(resolve => {
+        ack.onended = resolve;
+        // Safety timeout
+        setTimeout(resolve, 5000);
+    });
+}
+
+// Play queued sentences in order
 async function processQueue() {
     if (speechQueue.length === 0) {
         console.log('[TTS] Queue empty');
@@ -494,68 +1217,117 @@ async function processQueue() {
 
     isSpeakingQueue = true;
     state.isSpeaking = true;
-    setStatus('speaking', 'Speaking...');
-
-    const text = speechQueue.shift();
-    console.log('[TTS] Speaking:', text);
 
-    try {
-        if (state.ttsReady && state.tts) {
-            // Use Supertonic TTS model
-            const { wav, duration } = await state.tts.call(
-                text,
-                'en',
-                state.ttsStyle,
-                4,   // totalStep
-                1.0, // speed
-                0.1  // shorter silence for streaming
-            );
+    const generation = queueGeneration;
+    const { text, audio } = speechQueue.shift();
+    const audioData = await audio;
+    await waitForAcknowledgment();
 
-            const wavLen = Math.floor(state.tts.sampleRate * duration[0]);
-            const wavOut = wav.slice(0, wavLen);
-            const wavBuffer = writeWavFile(wavOut, state.tts.sampleRate);
-            const blob = new Blob([wavBuffer], { type: 'audio/wav' });
-            const url = URL.createObjectURL(blob);
+    // Queue was cleared while we were waiting
+    if (generation !== queueGeneration) {
+        if (audioData) URL.revokeObjectURL(audioData.url);
+        return;
+    }
 
-            currentAudio = new Audio(url);
-            currentAudio.onended = () => {
-                URL.revokeObjectURL(url);
-                console.log('[TTS] Finished:', text.substring(0, 20) + '...');
-                processQueue();
-            };
-            currentAudio.onerror = () => {
-                URL.revokeObjectURL(url);
-                console.error('[TTS] Playback error');
-                processQueue();
-            };
-            currentAudio.play();
-        } else {
-            console.error('[TTS] Model not ready!');
-            processQueue();
-        }
-    } catch (err) {
-        console.error('[TTS] Error:', err);
+    if (!audioData) {
         processQueue();
+        return;
+    }
+
+    if (turnStartTime !== null) {
+        console.log(`[TTS] First audio after ${Math.round(performance.now() - turnStartTime)}ms`);
+        turnStartTime = null;
     }
+
+    setStatus('speaking', 'Speaking...');
+    console.log('[TTS] Speaking:', text);
+
+    // onerror and a rejected play() can both fire for one clip; move on once
+    let advanced = false;
+    const advance = () => {
+        if (advanced) return;
+        advanced = true;
+        URL.revokeObjectURL(audioData.url);
+        processQueue();
+    };
+
+    currentAudio = new Audio(audioData.url);
+    currentAudio.onended = () => {
+        console.log('[TTS] Finished:', text.substring(0, 20) + '...');
+        advance();
+    };
+    currentAudio.onerror = () => {
+        console.error('[TTS] Playback error');
+        advance();
+    };
+    advanceClip = advance;
+    // Held for a possible barge-in: releasePlayback() starts it
+    if (!playbackHeld) currentAudio.play().catch(advance);
 }
 
-// Wait for all speech to finish then resume listening
+// Wait for all speech to finish then go back to plain listening
 function waitForSpeechEnd() {
     const checkSpeech = () => {
+        // A barge-in already started the next turn
+        if (state.isProcessing) return;
+
         const isPlaying = currentAudio && !currentAudio.ended && !currentAudio.paused;
         if (speechQueue.length > 0 || isSpeakingQueue || isPlaying) {
             setTimeout(checkSpeech, 100);
         } else {
             state.isSpeaking = false;
-            setStatus('listening', 'Listening...');
-            setTimeout(() => startAlwaysOnListening(), 500);
+            updateVadOptions(VAD_OPTIONS);
+            // Follow-up questions need no wake word for a while
+            stayAwake();
+            startAlwaysOnListening();
         }
     };
     checkSpeech();
 }
 
+// Stop all playback: current clip, queued sentences, filler and Web Speech
+function stopPlayback() {
+    playbackHeld = false;
+    if (currentAudio) {
+        currentAudio.pause();
+        currentAudio = null;
+    }
+    if (pendingAcknowledgment) {
+        pendingAcknowledgment.pause();
+    }
+    clearSpeechQueue();
+    window.speechSynthesis.cancel();
+    state.isSpeaking = false;
+}
+
+// The user may be talking over Nadha: pause until the segment is long enough to count
+function holdPlayback() {
+    playbackHeld = true;
+    if (currentAudio) currentAudio.pause();
+    if (pendingAcknowledgment) pendingAcknowledgment.pause();
+}
+
+// It was only a noise: carry on from where playback paused
+function releasePlayback() {
+    if (!playbackHeld) return;
+    playbackHeld = false;
+    if (currentAudio && currentAudio.paused && !currentAudio.ended) {
+        currentAudio.play().catch(advanceClip);
+    }
+}
+
+// Barge-in: the user started talking over Nadha
+function interruptResponse() {
+    console.log('[Nadha] Barge-in, interrupting response');
+    stopPlayback();
+    if (state.isProcessing) {
+        state.cancelGeneration = true;
+    }
+    updateVadOptions(VAD_OPTIONS);
+}
+
 
-async function speak(text) {
+async function speak(text, lang = 'en') {
     if (!text) {
         setStatus('idle', 'Click to speak');
         return;
@@ -563,7 +1335,7 @@ async function speak(text) {
 
     if (!state.ttsReady) {
         // Fallback to Web Speech
-        fallbackSpeak(text);
+        fallbackSpeak(text, lang);
         return;
     }
 
@@ -573,11 +1345,13 @@ async function speak(text) {
     try {
         const { wav, duration } = await state.tts.call(
             text,
-            'en',
+            lang,
             state.ttsStyle,
             4,   // totalStep
             1.0, // speed
-            0.3  // silence duration
+            0.3, // silence duration
+            null,
+            { postProcess: SPEECH_POST_PROCESS }
         );
 
         // Create audio and play
@@ -600,11 +1374,11 @@ async function speak(text) {
         audio.play();
     } catch (err) {
         console.error('[Nadha] TTS error:', err);
-        fallbackSpeak(text);
+        fallbackSpeak(text, lang);
     }
 }
 
-function fallbackSpeak(text) {
+function fallbackSpeak(text, lang = 'en') {
     if (!text) {
         setStatus('idle', 'Click to speak');
         return;
@@ -614,7 +1388,8 @@ function fallbackSpeak(text) {
     setStatus('speaking', 'Speaking...');
 
     const synth = window.speechSynthesis;
-    const utterance = new SpeechSynthesisUtterance(text);
+    const utterance = new SpeechSynthesisUtterance(displayText(text));
+    utterance.lang = lang;
     utterance.rate = 1.0;
     utterance.pitch = 1.0;
 
@@ -635,46 +1410,97 @@ function fallbackSpeak(text) {
 // Voice Toggle (Always-On Mode)
 // ============================================================================
 
+// Endpointing for always-on mode (see DEFAULT_VAD_OPTIONS in audio-capture.js)
+const VAD_OPTIONS = {
+    speechStartMs: 160,
+    hangoverMs: 800,
+    maxUtteranceMs: 20000,
+    energyThresholdDb: 12,
+};
+
+// While Nadha is talking the mic stays open (full duplex, echo-cancelled);
+// require louder, longer speech before treating it as an interruption
+const BARGE_IN_VAD_OPTIONS = {
+    speechStartMs: 300,
+    energyThresholdDb: 18,
+};
+
+// Segments shorter than this are treated as noise, not a turn
+const MIN_TURN_MS = 400;
+
+function isResponding() {
+    return state.isProcessing || state.isSpeaking || isSpeakingQueue;
+}
+
 function startAlwaysOnListening() {
     if (!state.whisperReady) {
         console.error('[Nadha] Whisper not ready');
         return;
     }
 
+    if (isListening()) {
+        state.isListening = true;
+        setStatus('listening', listeningText());
+        return;
+    }
+
     state.isListening = true;
-    setStatus('listening', 'Listening...');
+    setStatus('listening', listeningText());
     elements.userText.textContent = '';
 
     startContinuousListening({
+        vad: VAD_OPTIONS,
+        onSpeechStart: () => {
+            // With a wake word, talking over Nadha needs the phrase too
+            wake.heardAwake = isAwake() && !(wake.enabled && isResponding());
+            // Pause rather than cancel until the segment proves to be a turn
+            if (isResponding() && !state.cancelGeneration && !wake.enabled) {
+                holdPlayback();
+            }
+            if (wake.heardAwake || wake.training) setStatus('listening', 'Hearing you...');
+        },
+        onSpeechEnd: ({ reason, durationMs }) => {
+            // Decide whether this segment is a turn worth transcribing
+            if (durationMs < MIN_TURN_MS) {
+                releasePlayback();
+                if (!isResponding()) setStatus('listening', listeningText());
+                return false;
+            }
+            if (playbackHeld) interruptResponse();
+            console.log(`[Nadha] Turn ended (${reason}, ${Math.round(durationMs)}ms)`);
+            if (wake.heardAwake) setStatus('listening', 'Transcribing...');
+            return true;
+        },
+        beforeTranscribe: wakeGate,
+        // Only show what is said to Nadha, not the room
+        interim: () => wake.heardAwake && !wake.training,
         onInterim: (text) => {
             // Stream interim results to screen as user speaks
             elements.userText.textContent = `"${text}..."`;
             setStatus('listening', 'Listening...');
         },
-        onFinal: async (text) => {
-            console.log('[Nadha] Final transcript:', text);
-            elements.userText.textContent = `"${text}"`;
-
-            if (text.trim() && !state.isProcessing) {
-                // Stop listening while processing
-                stopContinuousListening();
-                state.isListening = false;
-
-                // Process with LLM
-                await processWithLLM(text);
-
-                // Resume listening after response
-                if (state.modelLoaded && !state.isSpeaking) {
-                    setTimeout(() => startAlwaysOnListening(), 500);
-                }
-            }
-        },
+        onFinal: (text, { language }) => handleTranscript(text, language),
         onError: (err) => {
             console.error('[Nadha] STT error:', err);
         }
     });
 }
 
+async function handleTranscript(text, language) {
+    console.log(`[Nadha] Final transcript (${language}):`, text);
+    elements.userText.textContent = `"${text}"`;
+
+    if (isResetCommand(text)) {
+        window.resetConversation();
+        return;
+    }
+
+    // The mic stays open while we respond so the user can barge in
+    if (text.trim()) {
+        await processWithLLM(text, resolveTurnLanguage(language));
+    }
+}
+
 window.toggleVoice = async function () {
     if (!state.modelLoaded) return;
 
@@ -682,25 +1508,15 @@ window.toggleVoice = async function () {
     const hint = document.getElementById('hint');
     if (hint) hint.classList.add('hidden');
 
-    // Stop TTS if speaking
-    if (state.isSpeaking || isSpeakingQueue) {
+    // Tapping while Nadha responds interrupts her, like talking over her
+    if (isResponding()) {
         console.log('[Nadha] Stopping TTS...');
-
-        // Stop current audio
-        if (currentAudio) {
-            currentAudio.pause();
-            currentAudio = null;
+        interruptResponse();
+        if (isListening()) {
+            setStatus('listening', listeningText());
+        } else {
+            setStatus('idle', 'Click to speak');
         }
-
-        // Clear the queue
-        speechQueue.length = 0;
-        isSpeakingQueue = false;
-
-        // Also cancel Web Speech fallback
-        window.speechSynthesis.cancel();
-
-        state.isSpeaking = false;
-        setStatus('idle', 'Click to speak');
         return;
     }
 
@@ -708,6 +1524,7 @@ window.toggleVoice = async function () {
         // Stop listening
         stopContinuousListening();
         state.isListening = false;
+        wake.training = null;
         setStatus('idle', 'Click to speak');
         console.log('[Nadha] Stopped listening');
     } else if (!state.isProcessing) {
@@ -718,63 +1535,258 @@ window.toggleVoice = async function () {
 };
 
 // ============================================================================
-// Initialize
+// Wake Word (wake-word.js)
 // ============================================================================
 
-async function init() {
-    console.log('[Nadha] Starting...');
+const WAKE_SETTINGS_KEY = 'nadha.wakeWord';
+const WAKE_TEMPLATES_KEY = 'nadha.wakeTemplates';
+const WAKE_TRAINING_COUNT = 3;
 
-    // Start showing interesting facts
-    startFactRotation();
+function readJSON(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch {
+        return null;
+    }
+}
 
-    // Load TTS first
-    const ttsOk = await initTTS();
-    if (!ttsOk) {
-        console.warn('[Nadha] TTS failed, will use fallback');
-    } else {
-        // Pre-generate acknowledgment sounds for instant playback
-        prebakeAcknowledgments();
+const wake = {
+    ...DEFAULT_WAKE_OPTIONS,
+    ...readJSON(WAKE_SETTINGS_KEY),
+    detector: null,
+    awakeUntil: 0,      // performance.now() until which no wake word is needed
+    heardAwake: false,  // whether the segment being spoken started inside that window
+    sleepTimer: null,
+    training: null,     // detector collecting recordings of the phrase
+};
+wake.detector = WakeWordDetector.fromJSON(readJSON(WAKE_TEMPLATES_KEY), { sensitivity: wake.sensitivity });
+// The wake word only works with recordings to match against
+wake.enabled = wake.enabled && wake.detector.enrolled;
+
+function saveWakeSettings() {
+    const { enabled, phrase, sensitivity, followUpMs } = wake;
+    localStorage.setItem(WAKE_SETTINGS_KEY, JSON.stringify({ enabled, phrase, sensitivity, followUpMs }));
+}
+
+function saveWakeTemplates() {
+    try {
+        localStorage.setItem(WAKE_TEMPLATES_KEY, JSON.stringify(wake.detector.toJSON()));
+    } catch (err) {
+        console.warn('[Nadha] Could not save wake word recordings:', err.message);
     }
+}
+
+function isAwake() {
+    return !wake.enabled || performance.now() < wake.awakeUntil;
+}
+
+function listeningText() {
+    return isAwake() ? 'Listening...' : `Say "${wake.phrase}"`;
+}
+
+// Open or extend the window in which requests need no wake word
+function stayAwake() {
+    if (!wake.enabled) return;
+    wake.awakeUntil = performance.now() + wake.followUpMs;
+    clearTimeout(wake.sleepTimer);
+    wake.sleepTimer = setTimeout(() => {
+        // A reply in progress reopens the window when it ends
+        if (isResponding() || !state.isListening) return;
+        playSleepChime();
+        setStatus('listening', listeningText());
+    }, wake.followUpMs);
+}
 
-    // Load Whisper STT
+function wakeUp() {
+    console.log('[Nadha] Wake word detected');
+    if (isResponding()) interruptResponse();
+    playWakeChime();
+    stayAwake();
+    setStatus('listening', 'Listening...');
+}
+
+function renderWakeSettings() {
+    elements.wakeEnabled.checked = wake.enabled;
+    elements.wakePhrase.value = wake.phrase;
+    elements.wakeSensitivity.value = wake.sensitivity;
+    elements.wakeFollowUp.value = Math.round(wake.followUpMs / 1000);
+    elements.wakeTraining.textContent = wake.detector.enrolled
+        ? `Trained with ${wake.detector.templates.length} recordings`
+        : 'Train the phrase with your voice to turn this on';
+}
+
+window.updateWakeSettings = function () {
+    const phrase = elements.wakePhrase.value.trim() || DEFAULT_WAKE_OPTIONS.phrase;
+    if (phrase !== wake.phrase && wake.detector.enrolled) {
+        // Recordings of the old phrase no longer apply
+        wake.detector.clear();
+        saveWakeTemplates();
+    }
+    wake.phrase = phrase;
+    wake.enabled = elements.wakeEnabled.checked && wake.detector.enrolled;
+    wake.sensitivity = Number(elements.wakeSensitivity.value);
+    wake.followUpMs = Math.max(0, Number(elements.wakeFollowUp.value) || 0) * 1000;
+    wake.detector.sensitivity = wake.sensitivity;
+    if (wake.training) wake.training.sensitivity = wake.sensitivity;
+    wake.awakeUntil = 0;
+    saveWakeSettings();
+    // Turning it on before training records the phrase first; training turns it on
+    if (elements.wakeEnabled.checked && !wake.detector.enrolled && !wake.training) window.trainWakeWord();
+    renderWakeSettings();
+    if (state.isListening && !isResponding()) setStatus('listening', listeningText());
+};
+
+// Record the phrase a few times; the next segments heard are the recordings
+window.trainWakeWord = function () {
+    if (!state.whisperReady) return;
+    wake.training = new WakeWordDetector({ sensitivity: wake.sensitivity });
+    if (!isListening()) startAlwaysOnListening();
+    setStatus('listening', `Say "${wake.phrase}" (1/${WAKE_TRAINING_COUNT})`);
+};
+
+function addTrainingRecording(pcm) {
+    const count = wake.training.templates.length;
+    if (!wake.training.enroll(pcm)) {
+        setStatus('listening', `Too short, say "${wake.phrase}" again (${count + 1}/${WAKE_TRAINING_COUNT})`);
+        return;
+    }
+    if (count + 1 < WAKE_TRAINING_COUNT) {
+        setStatus('listening', `Again: "${wake.phrase}" (${count + 2}/${WAKE_TRAINING_COUNT})`);
+        return;
+    }
+
+    wake.detector = wake.training;
+    wake.training = null;
+    // Unticking the box while training keeps the recordings but leaves it off
+    wake.enabled = elements.wakeEnabled.checked;
+    saveWakeTemplates();
+    saveWakeSettings();
+    renderWakeSettings();
+    playWakeChime();
+    console.log(`[Nadha] Wake word trained (baseline ${wake.detector.baseline.toFixed(3)})`);
+    setStatus('listening', listeningText());
+}
+
+/**
+ * Decide what of a finished segment to transcribe as a request: all of it
+ * inside the follow-up window, the part after the wake phrase, or nothing
+ */
+function wakeGate(pcm) {
+    if (wake.training) {
+        addTrainingRecording(pcm);
+        return null;
+    }
+    if (wake.heardAwake) return pcm;
+
+    const match = wake.detector.match(pcm);
+    console.log(`[Nadha] Wake score ${match.score.toFixed(3)} (threshold ${match.threshold.toFixed(3)})`);
+    if (!match.matched) {
+        if (!isResponding()) setStatus('listening', listeningText());
+        return null;
+    }
+    wakeUp();
+    // A request said in the same breath as the phrase
+    const rest = pcm.subarray(match.restSample);
+    return rest.length >= MIN_TURN_MS * CAPTURE_SAMPLE_RATE / 1000 ? rest : null;
+}
+
+// ============================================================================
+// Offline support (service worker)
+// ============================================================================
+
+window.applyAppUpdate = function () {
+    elements.updateBanner.classList.add('hidden');
+    applyUpdate();
+};
+
+window.dismissAppUpdate = function () {
+    elements.updateBanner.classList.add('hidden');
+};
+
+async function initOffline() {
+    // The dev server serves unbundled modules, so only production builds get a worker
+    if (!import.meta.env.PROD) return;
     try {
-        updateProgress(30, 'Initializing...', 'Loading Whisper STT...');
-        await initWhisperSTT((pct, file) => {
-            updateProgress(30 + Math.round(pct * 0.25), `${pct}%`, 'Loading Whisper STT...');
+        await registerServiceWorker({
+            onUpdate: () => elements.updateBanner.classList.remove('hidden'),
         });
-        state.whisperReady = true;
-        console.log('[Nadha] Whisper STT ready');
+        await requestPersistentStorage();
     } catch (err) {
-        console.error('[Nadha] Whisper failed:', err);
+        console.warn('[Nadha] Offline support unavailable:', err);
     }
+}
 
-    // Load LLM
-    const llmOk = await initLLM();
+// ============================================================================
+// Initialize
+// ============================================================================
 
-    // Pre-warm LLM for faster first response
-    if (llmOk) {
-        await prewarmLLM();
+async function initSTT({ signal, onProgress, setDetail }) {
+    const started = await initWhisperSTT((pct, file) => {
+        if (file.endsWith('.onnx')) setDetail(`Initializing ${file}...`);
+    }, { signal, onBytes: onProgress });
+    if (!started) {
+        throw new Error('Whisper is already loading');
     }
+    state.whisperReady = true;
+    console.log('[Nadha] Whisper STT ready');
+}
 
-    // Stop showing facts
-    stopFactRotation();
+// TTS, STT and the LLM download in parallel; each can be retried on its own
+const modelLoader = new ModelLoader({ onUpdate: renderLoadProgress })
+    .add('tts', { label: 'Voice (Supertonic)', load: initTTS })
+    .add('stt', { label: 'Speech recognition (Whisper)', load: initSTT })
+    .add('llm', { label: 'Language model', load: initLLM });
 
-    if (llmOk) {
-        updateProgress(100, 'Ready!');
-        elements.loading.classList.add('hidden');
-        setStatus('idle', 'Click to start');
-        console.log('[Nadha] All systems ready');
-
-        // Auto-start listening after load
-        if (state.whisperReady) {
-            setTimeout(() => {
-                startAlwaysOnListening();
-                console.log('[Nadha] Auto-started always-on listening');
-            }, 1000);
-        }
-    } else {
-        updateProgress(0, 'Error loading models');
+async function retryComponent(name) {
+    await modelLoader.retry(name);
+    startWhenLoaded();
+}
+
+window.cancelLoading = function () {
+    modelLoader.cancel();
+};
+
+window.continueLoading = function () {
+    startApp();
+};
+
+// Start once everything loaded; otherwise the loading screen offers Retry (and Continue)
+function startWhenLoaded() {
+    const snapshot = modelLoader.snapshot();
+    if (snapshot.settled && snapshot.failed.length === 0) startApp();
+}
+
+function startApp() {
+    if (state.started || !state.modelLoaded) return;
+    state.started = true;
+
+    stopFactRotation();
+    elements.loading.classList.add('hidden');
+    setStatus('idle', 'Click to start');
+    if (!state.ttsReady) console.warn('[Nadha] TTS unavailable, will use fallback');
+    console.log('[Nadha] All systems ready');
+
+    // Auto-start listening after load
+    if (state.whisperReady) {
+        setTimeout(() => {
+            startAlwaysOnListening();
+            console.log('[Nadha] Auto-started always-on listening');
+        }, 1000);
     }
 }
 
+async function init() {
+    console.log('[Nadha] Starting...');
+
+    initOffline();
+    initDocuments();
+    renderWakeSettings();
+
+    // Start showing interesting facts
+    startFactRotation();
+
+    await modelLoader.loadAll();
+    startWhenLoaded();
+}
+
 init();
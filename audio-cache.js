@@ -0,0 +1,199 @@
+/**
+ * Persistent cache for synthesized audio
+ * Clips live in IndexedDB under a content hash of everything that shapes the
+ * output (text, language, voice, steps, speed, model), so repeated phrases
+ * play instantly across sessions. Least recently used clips are evicted once
+ * the cache grows past its size limit.
+ */
+
+const DB_VERSION = 1;
+const ENTRIES = 'entries'; // { key, bytes, duration, sampleRate, lastUsed }
+const AUDIO = 'audio';     // key -> ArrayBuffer of float32 samples
+
+export const DEFAULT_CACHE_BYTES = 64 * 1024 * 1024;
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Audio cache transaction aborted'));
+    });
+}
+
+// ============================================================================
+// Keys
+// ============================================================================
+
+function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * SHA-256 of a string or byte buffer as hex
+ */
+export async function sha256Hex(data) {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    return toHex(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+// JSON with sorted object keys, so equal options always hash the same
+function canonicalJSON(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+        return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+const styleIds = new WeakMap();
+
+/**
+ * Stable id for a voice style: a hash of its tensors, so the same voice (or
+ * blend) maps to the same cache entries in every session
+ */
+export async function styleFingerprint(style) {
+    if (!styleIds.has(style)) {
+        const parts = [style.ttl, style.dp].map(tensor => ({
+            dims: Array.from(tensor.dims),
+            bytes: new Uint8Array(tensor.data.buffer, tensor.data.byteOffset, tensor.data.byteLength),
+        }));
+        const header = new TextEncoder().encode(JSON.stringify(parts.map(p => p.dims)));
+        const bytes = new Uint8Array(header.length + parts.reduce((sum, p) => sum + p.bytes.length, 0));
+        let offset = 0;
+        for (const chunk of [header, ...parts.map(p => p.bytes)]) {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        }
+        styleIds.set(style, await sha256Hex(bytes));
+    }
+    return styleIds.get(style);
+}
+
+/**
+ * Cache key for one synthesis request. Text is compared after Unicode and
+ * whitespace normalization.
+ */
+export async function audioCacheKey({
+    text, lang, styleId, totalStep, speed, silenceDuration, modelVersion, seed = null, postProcess = null, batchSize = 1,
+}) {
+    const normalized = text.normalize('NFC').replace(/\s+/g, ' ').trim();
+    return sha256Hex(canonicalJSON({
+        text: normalized, lang, styleId, totalStep, speed, silenceDuration, modelVersion, seed, postProcess, batchSize,
+    }));
+}
+
+// ============================================================================
+// Store
+// ============================================================================
+
+/**
+ * IndexedDB-backed clip store with size-based LRU eviction
+ */
+export class AudioCache {
+    constructor({ dbName = 'nadha-audio-cache', maxBytes = DEFAULT_CACHE_BYTES, indexedDB = globalThis.indexedDB } = {}) {
+        if (!indexedDB) {
+            throw new Error('IndexedDB is not available');
+        }
+        this.dbName = dbName;
+        this.maxBytes = maxBytes;
+        this.indexedDB = indexedDB;
+        this._db = null;
+    }
+
+    _open() {
+        if (!this._db) {
+            const request = this.indexedDB.open(this.dbName, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const entries = db.createObjectStore(ENTRIES, { keyPath: 'key' });
+                entries.createIndex('lastUsed', 'lastUsed');
+                db.createObjectStore(AUDIO);
+            };
+            this._db = promisify(request);
+        }
+        return this._db;
+    }
+
+    /**
+     * Cached clip for the key ({ wav, duration, sampleRate }) or null; marks it as recently used
+     */
+    async get(key) {
+        const db = await this._open();
+        const tx = db.transaction([ENTRIES, AUDIO], 'readwrite');
+        const done = transactionDone(tx);
+        const entries = tx.objectStore(ENTRIES);
+
+        const entry = await promisify(entries.get(key));
+        const buffer = entry ? await promisify(tx.objectStore(AUDIO).get(key)) : undefined;
+        if (entry && buffer) {
+            entry.lastUsed = Date.now();
+            entries.put(entry);
+        } else if (entry) {
+            entries.delete(key);
+        }
+        await done;
+
+        if (!entry || !buffer) return null;
+        return { wav: new Float32Array(buffer), duration: entry.duration, sampleRate: entry.sampleRate };
+    }
+
+    /**
+     * Store a clip, then evict the least recently used clips over the size limit
+     */
+    async put(key, { wav, duration, sampleRate }) {
+        const buffer = wav.slice().buffer;
+        if (buffer.byteLength > this.maxBytes) return;
+
+        const db = await this._open();
+        const tx = db.transaction([ENTRIES, AUDIO], 'readwrite');
+        const done = transactionDone(tx);
+        tx.objectStore(ENTRIES).put({ key, bytes: buffer.byteLength, duration, sampleRate, lastUsed: Date.now() });
+        tx.objectStore(AUDIO).put(buffer, key);
+        await done;
+
+        await this._evict();
+    }
+
+    async _evict() {
+        const db = await this._open();
+        const tx = db.transaction([ENTRIES, AUDIO], 'readwrite');
+        const done = transactionDone(tx);
+        const entries = await promisify(tx.objectStore(ENTRIES).index('lastUsed').getAll());
+
+        let total = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+        for (const entry of entries) {
+            if (total <= this.maxBytes) break;
+            tx.objectStore(ENTRIES).delete(entry.key);
+            tx.objectStore(AUDIO).delete(entry.key);
+            total -= entry.bytes;
+        }
+        await done;
+    }
+
+    /**
+     * Number of clips and their total size in bytes
+     */
+    async stats() {
+        const db = await this._open();
+        const tx = db.transaction(ENTRIES, 'readonly');
+        const entries = await promisify(tx.objectStore(ENTRIES).getAll());
+        return { entries: entries.length, bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0) };
+    }
+
+    async clear() {
+        const db = await this._open();
+        const tx = db.transaction([ENTRIES, AUDIO], 'readwrite');
+        const done = transactionDone(tx);
+        tx.objectStore(ENTRIES).clear();
+        tx.objectStore(AUDIO).clear();
+        await done;
+    }
+}
@@ -0,0 +1,278 @@
+/**
+ * Microphone capture with voice activity detection and endpointing
+ * Streams 16 kHz mono frames from an AudioWorklet and segments them into utterances.
+ */
+
+import FFT from 'fft.js';
+
+export const CAPTURE_SAMPLE_RATE = 16000;
+const FRAME_SIZE = 512; // 32 ms at 16 kHz
+
+export const DEFAULT_VAD_OPTIONS = {
+    speechStartMs: 160,      // consecutive speech needed to open an utterance
+    hangoverMs: 700,         // trailing silence that closes an utterance
+    maxUtteranceMs: 15000,   // force an endpoint after this long
+    preRollMs: 320,          // audio kept from before the detected start
+    energyThresholdDb: 12,   // margin above the adaptive noise floor
+    minEnergyDb: -55,        // absolute floor; quieter frames are never speech
+    flatnessThreshold: 0.45, // spectral flatness above this looks like noise
+};
+
+/**
+ * Frame-level VAD combining an adaptive energy threshold with spectral flatness
+ */
+export class VoiceActivityDetector {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_VAD_OPTIONS, ...options };
+        this.frameMs = FRAME_SIZE / CAPTURE_SAMPLE_RATE * 1000;
+        this.fft = new FFT(FRAME_SIZE);
+        this.spectrum = this.fft.createComplexArray();
+        this.window = new Float32Array(FRAME_SIZE);
+        for (let i = 0; i < FRAME_SIZE; i++) {
+            this.window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FRAME_SIZE);
+        }
+        this.windowed = new Float32Array(FRAME_SIZE);
+        this.reset();
+    }
+
+    reset() {
+        this.noiseFloorDb = -60;
+        this.inSpeech = false;
+        this.speechMs = 0;
+        this.silenceMs = 0;
+        this.preRoll = [];
+        this.utterance = [];
+        this.utteranceMs = 0;
+    }
+
+    /**
+     * Geometric over arithmetic mean of the power spectrum in the speech band.
+     * Close to 1 for white noise, much lower for voiced speech.
+     */
+    spectralFlatness(frame) {
+        for (let i = 0; i < FRAME_SIZE; i++) this.windowed[i] = frame[i] * this.window[i];
+        this.fft.realTransform(this.spectrum, this.windowed);
+
+        const binHz = CAPTURE_SAMPLE_RATE / FRAME_SIZE;
+        const lo = Math.ceil(100 / binHz);
+        const hi = Math.floor(4000 / binHz);
+        let logSum = 0;
+        let sum = 0;
+        for (let k = lo; k <= hi; k++) {
+            const re = this.spectrum[2 * k];
+            const im = this.spectrum[2 * k + 1];
+            const power = re * re + im * im + 1e-12;
+            logSum += Math.log(power);
+            sum += power;
+        }
+        const n = hi - lo + 1;
+        return Math.exp(logSum / n) / (sum / n);
+    }
+
+    isSpeechFrame(frame) {
+        let energy = 0;
+        for (let i = 0; i < frame.length; i++) energy += frame[i] * frame[i];
+        const energyDb = 10 * Math.log10(energy / frame.length + 1e-12);
+
+        const { energyThresholdDb, minEnergyDb, flatnessThreshold } = this.options;
+        const loud = energyDb > minEnergyDb && energyDb > this.noiseFloorDb + energyThresholdDb;
+        const speech = loud && this.spectralFlatness(frame) < flatnessThreshold;
+
+        // Track the noise floor: fall quickly, rise slowly, freeze during speech
+        if (energyDb < this.noiseFloorDb) {
+            this.noiseFloorDb = 0.8 * this.noiseFloorDb + 0.2 * energyDb;
+        } else if (!speech && !this.inSpeech) {
+            this.noiseFloorDb = 0.98 * this.noiseFloorDb + 0.02 * energyDb;
+        }
+
+        return speech;
+    }
+
+    /**
+     * Feed one frame. Returns 'start', 'end' or null; on 'end' the finished
+     * utterance and the reason are available from takeUtterance().
+     */
+    process(frame) {
+        const speech = this.isSpeechFrame(frame);
+        const { speechStartMs, hangoverMs, maxUtteranceMs, preRollMs } = this.options;
+
+        if (!this.inSpeech) {
+            this.preRoll.push(frame);
+            const maxPreRoll = Math.ceil((preRollMs + speechStartMs) / this.frameMs);
+            while (this.preRoll.length > maxPreRoll) this.preRoll.shift();
+
+            this.speechMs = speech ? this.speechMs + this.frameMs : 0;
+            if (this.speechMs >= speechStartMs) {
+                this.inSpeech = true;
+                this.silenceMs = 0;
+                this.utterance = this.preRoll;
+                this.utteranceMs = this.utterance.length * this.frameMs;
+                this.preRoll = [];
+                return 'start';
+            }
+            return null;
+        }
+
+        this.utterance.push(frame);
+        this.utteranceMs += this.frameMs;
+        this.silenceMs = speech ? 0 : this.silenceMs + this.frameMs;
+
+        if (this.silenceMs >= hangoverMs) {
+            this.endReason = 'silence';
+            return 'end';
+        }
+        if (this.utteranceMs >= maxUtteranceMs) {
+            this.endReason = 'maxLength';
+            return 'end';
+        }
+        return null;
+    }
+
+    /**
+     * Audio collected so far for the open utterance
+     */
+    currentUtterance() {
+        return concatFrames(this.utterance);
+    }
+
+    /**
+     * Close the current utterance and return it
+     */
+    takeUtterance() {
+        const pcm = concatFrames(this.utterance);
+        const result = { pcm, reason: this.endReason, durationMs: this.utteranceMs };
+        this.inSpeech = false;
+        this.speechMs = 0;
+        this.silenceMs = 0;
+        this.utterance = [];
+        this.utteranceMs = 0;
+        return result;
+    }
+}
+
+function concatFrames(frames) {
+    const pcm = new Float32Array(frames.length * FRAME_SIZE);
+    for (let i = 0; i < frames.length; i++) {
+        pcm.set(frames[i], i * FRAME_SIZE);
+    }
+    return pcm;
+}
+
+// ============================================================================
+// Capture
+// ============================================================================
+
+let audioContext = null;
+let mediaStream = null;
+let workletNode = null;
+let detector = null;
+let capturing = false;
+
+/**
+ * Open the microphone and start segmenting speech.
+ *
+ * Callbacks:
+ *  - onSpeechStart()
+ *  - onSpeechEnd({ reason, durationMs }) — return false to discard the utterance
+ *  - onUtterance(pcm16k, { reason, durationMs })
+ */
+export async function startAudioCapture({ vad = {}, onSpeechStart, onSpeechEnd, onUtterance, onError } = {}) {
+    if (capturing) return;
+    capturing = true;
+
+    try {
+        mediaStream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                channelCount: 1,
+                echoCancellation: true,
+                noiseSuppression: true,
+                autoGainControl: true
+            }
+        });
+        audioContext = new AudioContext();
+        await audioContext.audioWorklet.addModule(new URL('./capture-worklet.js', import.meta.url));
+    } catch (err) {
+        console.error('[Capture] Failed to open microphone:', err);
+        capturing = false;
+        releaseCapture();
+        if (onError) onError(err);
+        return;
+    }
+
+    // Stopped while waiting for permission
+    if (!capturing) {
+        releaseCapture();
+        return;
+    }
+
+    detector = new VoiceActivityDetector(vad);
+
+    const source = audioContext.createMediaStreamSource(mediaStream);
+    workletNode = new AudioWorkletNode(audioContext, 'capture-processor', {
+        processorOptions: { targetSampleRate: CAPTURE_SAMPLE_RATE, frameSize: FRAME_SIZE }
+    });
+
+    workletNode.port.onmessage = (event) => {
+        if (!capturing || !detector) return;
+
+        const transition = detector.process(event.data);
+        if (transition === 'start') {
+            if (onSpeechStart) onSpeechStart();
+        } else if (transition === 'end') {
+            const { pcm, reason, durationMs } = detector.takeUtterance();
+            const keep = onSpeechEnd ? onSpeechEnd({ reason, durationMs }) : true;
+            if (keep !== false && onUtterance) {
+                onUtterance(pcm, { reason, durationMs });
+            }
+        }
+    };
+
+    source.connect(workletNode);
+    console.log(`[Capture] Started (${audioContext.sampleRate} Hz -> ${CAPTURE_SAMPLE_RATE} Hz)`);
+}
+
+function releaseCapture() {
+    if (workletNode) {
+        workletNode.port.postMessage('stop');
+        workletNode.port.onmessage = null;
+        workletNode.disconnect();
+        workletNode = null;
+    }
+    if (mediaStream) {
+        mediaStream.getTracks().forEach(track => track.stop());
+        mediaStream = null;
+    }
+    if (audioContext) {
+        audioContext.close();
+        audioContext = null;
+    }
+    detector = null;
+}
+
+/**
+ * Stop capture and release the microphone
+ */
+export function stopAudioCapture() {
+    capturing = false;
+    releaseCapture();
+    console.log('[Capture] Stopped');
+}
+
+/**
+ * Adjust VAD thresholds on the fly, e.g. stricter while the assistant talks
+ */
+export function updateVadOptions(options) {
+    if (detector) Object.assign(detector.options, options);
+}
+
+/**
+ * Audio of the utterance in progress, or null when no speech is open
+ */
+export function getCurrentUtterance() {
+    if (!detector || !detector.inSpeech) return null;
+    return detector.currentUtterance();
+}
+
+export function isCapturing() {
+    return capturing;
+}
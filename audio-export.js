@@ -0,0 +1,389 @@
+/**
+ * Audio export: WAV (8/16/24-bit PCM, 32-bit float), band-limited resampling,
+ * TPDF dither, and Opus via WebCodecs (Ogg) or MediaRecorder (WebM).
+ * Input is always mono Float32Array samples in [-1, 1].
+ */
+
+export const EXPORT_FORMATS = {
+    wav16: { label: 'WAV 16-bit PCM', extension: 'wav', mimeType: 'audio/wav', bitDepth: 16 },
+    wav24: { label: 'WAV 24-bit PCM', extension: 'wav', mimeType: 'audio/wav', bitDepth: 24 },
+    wav8: { label: 'WAV 8-bit PCM', extension: 'wav', mimeType: 'audio/wav', bitDepth: 8 },
+    wav32f: { label: 'WAV 32-bit float', extension: 'wav', mimeType: 'audio/wav', bitDepth: 32, float: true },
+    opus: { label: 'Opus (Ogg)', extension: 'opus', mimeType: 'audio/ogg; codecs=opus' },
+    webm: { label: 'Opus (WebM)', extension: 'webm', mimeType: 'audio/webm;codecs=opus' },
+};
+
+// Opus always runs at 48 kHz internally
+const OPUS_SAMPLE_RATE = 48000;
+const OPUS_FRAME_SIZE = 960; // 20 ms
+const OPUS_DEFAULT_PRE_SKIP = 312;
+
+// ============================================================================
+// Resampling
+// ============================================================================
+
+const RESAMPLER_ZERO_CROSSINGS = 16;
+const RESAMPLER_ROLLOFF = 0.94; // cutoff as a fraction of the lower Nyquist
+
+/**
+ * Band-limited resampling with a Blackman-windowed sinc kernel. The kernel
+ * is stretched when downsampling so it also acts as the anti-aliasing filter.
+ */
+export function resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) return samples;
+
+    const ratio = toRate / fromRate;
+    const cutoff = Math.min(1, ratio) * RESAMPLER_ROLLOFF; // relative to input Nyquist
+    const halfWidth = Math.ceil(RESAMPLER_ZERO_CROSSINGS / cutoff);
+    const outLength = Math.round(samples.length * ratio);
+    const out = new Float32Array(outLength);
+
+    for (let n = 0; n < outLength; n++) {
+        const center = n / ratio;
+        const first = Math.max(0, Math.ceil(center - halfWidth));
+        const last = Math.min(samples.length - 1, Math.floor(center + halfWidth));
+        let acc = 0;
+        let norm = 0;
+        for (let k = first; k <= last; k++) {
+            const x = k - center;
+            const arg = Math.PI * cutoff * x;
+            const sinc = arg === 0 ? 1 : Math.sin(arg) / arg;
+            const w = (x + halfWidth) / (2 * halfWidth);
+            const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * w) + 0.08 * Math.cos(4 * Math.PI * w);
+            const tap = sinc * window;
+            acc += samples[k] * tap;
+            norm += tap;
+        }
+        // Normalizing by the tap sum keeps unity DC gain, including at the edges
+        out[n] = norm !== 0 ? acc / norm : 0;
+    }
+    return out;
+}
+
+// ============================================================================
+// WAV
+// ============================================================================
+
+/**
+ * Quantize to signed integers of `bitDepth` bits, rounding to nearest.
+ * With `dither`, triangular (TPDF) noise of ±1 LSB is added first.
+ */
+export function quantize(samples, bitDepth, { dither = false, random = Math.random } = {}) {
+    const max = 2 ** (bitDepth - 1) - 1;
+    const min = -max - 1;
+    const out = new Int32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        let value = samples[i] * max;
+        if (dither) value += random() - random();
+        out[i] = Math.max(min, Math.min(max, Math.round(value)));
+    }
+    return out;
+}
+
+/**
+ * Encode mono samples as a WAV file.
+ *
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {Object} options
+ * @param {8|16|24|32} options.bitDepth - 32 implies IEEE float
+ * @param {boolean} options.float - write 32-bit float samples
+ * @param {boolean} options.dither - TPDF dither before integer quantization
+ * @returns {ArrayBuffer}
+ */
+export function encodeWav(samples, sampleRate, { bitDepth = 16, float = false, dither = false, random = Math.random } = {}) {
+    const isFloat = float || bitDepth === 32;
+    const bits = isFloat ? 32 : bitDepth;
+    if (!isFloat && ![8, 16, 24].includes(bits)) {
+        throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+    }
+
+    const bytesPerSample = bits / 8;
+    const dataSize = samples.length * bytesPerSample;
+    // Float WAV needs the extended fmt chunk (cbSize) and a fact chunk
+    const fmtSize = isFloat ? 18 : 16;
+    const factSize = isFloat ? 12 : 0;
+    const headerSize = 12 + (8 + fmtSize) + factSize + 8;
+    const buffer = new ArrayBuffer(headerSize + dataSize + (dataSize % 2));
+    const view = new DataView(buffer);
+
+    const writeString = (offset, string) => {
+        for (let i = 0; i < string.length; i++) {
+            view.setUint8(offset + i, string.charCodeAt(i));
+        }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, buffer.byteLength - 8, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, fmtSize, true);
+    view.setUint16(20, isFloat ? 3 : 1, true); // IEEE float / PCM
+    view.setUint16(22, 1, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * bytesPerSample, true);
+    view.setUint16(32, bytesPerSample, true);
+    view.setUint16(34, bits, true);
+    let offset = 36;
+    if (isFloat) {
+        view.setUint16(offset, 0, true);
+        offset += 2;
+        writeString(offset, 'fact');
+        view.setUint32(offset + 4, 4, true);
+        view.setUint32(offset + 8, samples.length, true);
+        offset += 12;
+    }
+    writeString(offset, 'data');
+    view.setUint32(offset + 4, dataSize, true);
+    offset += 8;
+
+    if (isFloat) {
+        for (let i = 0; i < samples.length; i++, offset += 4) {
+            view.setFloat32(offset, samples[i], true);
+        }
+        return buffer;
+    }
+
+    const ints = quantize(samples, bits, { dither, random });
+    for (let i = 0; i < ints.length; i++, offset += bytesPerSample) {
+        const value = ints[i];
+        if (bits === 8) {
+            view.setUint8(offset, value + 128); // 8-bit WAV is unsigned
+        } else if (bits === 16) {
+            view.setInt16(offset, value, true);
+        } else {
+            view.setUint8(offset, value & 0xff);
+            view.setUint8(offset + 1, (value >> 8) & 0xff);
+            view.setUint8(offset + 2, (value >> 16) & 0xff);
+        }
+    }
+    return buffer;
+}
+
+// ============================================================================
+// Ogg Opus (WebCodecs)
+// ============================================================================
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let r = i << 24;
+        for (let j = 0; j < 8; j++) {
+            r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+        }
+        table[i] = r >>> 0;
+    }
+    return table;
+})();
+
+function oggCrc(bytes) {
+    let crc = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ bytes[i]) & 0xff]) >>> 0;
+    }
+    return crc;
+}
+
+function oggPage(packet, { serial, sequence, granule, flags }) {
+    const lacing = [];
+    let remaining = packet.length;
+    while (remaining >= 255) {
+        lacing.push(255);
+        remaining -= 255;
+    }
+    lacing.push(remaining);
+
+    const page = new Uint8Array(27 + lacing.length + packet.length);
+    const view = new DataView(page.buffer);
+    page.set([0x4f, 0x67, 0x67, 0x53]); // "OggS"
+    view.setUint8(5, flags);
+    view.setBigInt64(6, BigInt(granule), true);
+    view.setUint32(14, serial, true);
+    view.setUint32(18, sequence, true);
+    view.setUint8(26, lacing.length);
+    page.set(lacing, 27);
+    page.set(packet, 27 + lacing.length);
+    view.setUint32(22, oggCrc(page), true);
+    return page;
+}
+
+function opusHead(inputSampleRate, preSkip) {
+    const head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+    head.set(new TextEncoder().encode('OpusHead'));
+    view.setUint8(8, 1);  // version
+    view.setUint8(9, 1);  // channels
+    view.setUint16(10, preSkip, true);
+    view.setUint32(12, inputSampleRate, true);
+    view.setInt16(16, 0, true); // output gain
+    view.setUint8(18, 0); // mapping family
+    return head;
+}
+
+function opusTags() {
+    const vendor = new TextEncoder().encode('Nadha');
+    const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+    const view = new DataView(tags.buffer);
+    tags.set(new TextEncoder().encode('OpusTags'));
+    view.setUint32(8, vendor.length, true);
+    tags.set(vendor, 12);
+    view.setUint32(12 + vendor.length, 0, true);
+    return tags;
+}
+
+/**
+ * Wrap Opus packets in an Ogg stream (one packet per page)
+ */
+export function muxOggOpus(packets, { inputSampleRate, totalSamples, preSkip = OPUS_DEFAULT_PRE_SKIP }) {
+    const serial = (Math.random() * 0xffffffff) >>> 0;
+    const pages = [
+        oggPage(opusHead(inputSampleRate, preSkip), { serial, sequence: 0, granule: 0, flags: 0x02 }),
+        oggPage(opusTags(), { serial, sequence: 1, granule: 0, flags: 0 }),
+    ];
+
+    let granule = preSkip;
+    packets.forEach((packet, i) => {
+        const last = i === packets.length - 1;
+        granule += packet.samples;
+        // The final granule position trims encoder padding back to the true length
+        const position = last ? preSkip + totalSamples : granule;
+        pages.push(oggPage(packet.data, { serial, sequence: i + 2, granule: position, flags: last ? 0x04 : 0 }));
+    });
+    return new Blob(pages, { type: EXPORT_FORMATS.opus.mimeType });
+}
+
+// Encoders may report their real pre-skip through an OpusHead in the decoder config
+function readPreSkip(description) {
+    const bytes = ArrayBuffer.isView(description)
+        ? new Uint8Array(description.buffer, description.byteOffset, description.byteLength)
+        : new Uint8Array(description);
+    if (bytes.length < 12 || new TextDecoder().decode(bytes.subarray(0, 8)) !== 'OpusHead') return null;
+    return bytes[10] | (bytes[11] << 8);
+}
+
+async function encodeOggOpus(samples, sampleRate, bitrate) {
+    const pcm = resample(samples, sampleRate, OPUS_SAMPLE_RATE);
+    const packets = [];
+    let preSkip = OPUS_DEFAULT_PRE_SKIP;
+    let failure = null;
+
+    const encoder = new AudioEncoder({
+        output: (chunk, metadata) => {
+            const description = metadata?.decoderConfig?.description;
+            if (description) preSkip = readPreSkip(description) ?? preSkip;
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            packets.push({ data, samples: Math.round((chunk.duration ?? 20000) * OPUS_SAMPLE_RATE / 1e6) });
+        },
+        error: (err) => { failure = err; },
+    });
+    encoder.configure({ codec: 'opus', sampleRate: OPUS_SAMPLE_RATE, numberOfChannels: 1, bitrate });
+
+    for (let start = 0; start < pcm.length; start += OPUS_FRAME_SIZE) {
+        const frame = pcm.slice(start, start + OPUS_FRAME_SIZE);
+        const audioData = new AudioData({
+            format: 'f32-planar',
+            sampleRate: OPUS_SAMPLE_RATE,
+            numberOfFrames: frame.length,
+            numberOfChannels: 1,
+            timestamp: Math.round(start * 1e6 / OPUS_SAMPLE_RATE),
+            data: frame,
+        });
+        encoder.encode(audioData);
+        audioData.close();
+    }
+    await encoder.flush();
+    encoder.close();
+    if (failure) throw failure;
+
+    return muxOggOpus(packets, { inputSampleRate: sampleRate, totalSamples: pcm.length, preSkip });
+}
+
+// ============================================================================
+// WebM (MediaRecorder)
+// ============================================================================
+
+// MediaRecorder only records live streams, so this takes as long as the audio
+async function encodeWebm(samples, sampleRate, bitrate) {
+    const context = new AudioContext({ sampleRate });
+    try {
+        const buffer = context.createBuffer(1, samples.length, sampleRate);
+        buffer.copyToChannel(samples, 0);
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        const destination = context.createMediaStreamDestination();
+        source.connect(destination);
+
+        const recorder = new MediaRecorder(destination.stream, {
+            mimeType: EXPORT_FORMATS.webm.mimeType,
+            audioBitsPerSecond: bitrate,
+        });
+        const parts = [];
+        recorder.ondataavailable = (event) => parts.push(event.data);
+        const stopped = new Promise((resolve, reject) => {
+            recorder.onstop = resolve;
+            recorder.onerror = (event) => reject(event.error);
+        });
+        source.onended = () => recorder.stop();
+
+        recorder.start();
+        source.start();
+        await stopped;
+        return new Blob(parts, { type: EXPORT_FORMATS.webm.mimeType });
+    } finally {
+        await context.close();
+    }
+}
+
+// ============================================================================
+// Public entry points
+// ============================================================================
+
+/**
+ * Export formats this browser can produce
+ */
+export async function getSupportedExportFormats() {
+    const supported = ['wav16', 'wav24', 'wav8', 'wav32f'];
+
+    if (typeof AudioEncoder !== 'undefined') {
+        try {
+            const { supported: opus } = await AudioEncoder.isConfigSupported({
+                codec: 'opus', sampleRate: OPUS_SAMPLE_RATE, numberOfChannels: 1
+            });
+            if (opus) supported.push('opus');
+        } catch (err) {
+            console.warn('[Export] Opus encoder check failed:', err);
+        }
+    }
+    if (typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported(EXPORT_FORMATS.webm.mimeType)) {
+        supported.push('webm');
+    }
+    return supported;
+}
+
+/**
+ * Encode samples in the requested format.
+ *
+ * @param {Float32Array} samples
+ * @param {number} sampleRate - rate of `samples`
+ * @param {Object} options
+ * @param {string} options.format - key of EXPORT_FORMATS
+ * @param {number|null} options.targetSampleRate - resample before encoding (WAV only; Opus is always 48 kHz)
+ * @param {boolean} options.dither - TPDF dither for integer WAV
+ * @param {number} options.bitrate - Opus bitrate in bits per second
+ * @returns {Promise<Blob>}
+ */
+export async function exportAudio(samples, sampleRate, { format = 'wav16', targetSampleRate = null, dither = false, bitrate = 64000 } = {}) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    if (format === 'opus') return encodeOggOpus(samples, sampleRate, bitrate);
+    if (format === 'webm') return encodeWebm(samples, sampleRate, bitrate);
+
+    const rate = targetSampleRate || sampleRate;
+    const pcm = resample(samples, sampleRate, rate);
+    const wav = encodeWav(pcm, rate, { bitDepth: spec.bitDepth, float: spec.float, dither });
+    return new Blob([wav], { type: spec.mimeType });
+}
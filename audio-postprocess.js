@@ -0,0 +1,317 @@
+/**
+ * Post-processing for synthesized speech
+ * Joins chunks with fades or crossfades, trims edge silence, and normalizes
+ * loudness (ITU-R BS.1770 integrated LUFS) behind a true-peak limiter.
+ * All functions take and return mono Float32Array samples.
+ */
+
+export const DEFAULT_POST_PROCESS = {
+    trimSilence: false,       // cut leading/trailing audio quieter than the threshold
+    silenceThresholdDb: -50,  // dBFS of a 10 ms window that counts as sound
+    silencePaddingMs: 40,     // sound kept before the first and after the last loud window
+    fadeMs: 0,                // fade in/out at chunk boundaries and trimmed edges
+    crossfadeMs: 0,           // overlap chunks joined without a pause
+    targetLufs: null,         // integrated loudness target, e.g. -16
+    truePeakDb: null,         // true-peak ceiling in dBTP, e.g. -1
+};
+
+const dbToGain = (db) => 10 ** (db / 20);
+
+// ============================================================================
+// Chunk joining
+// ============================================================================
+
+function fadeIn(samples, length) {
+    const n = Math.min(length, samples.length);
+    for (let i = 0; i < n; i++) samples[i] *= i / n;
+}
+
+function fadeOut(samples, length) {
+    const n = Math.min(length, samples.length);
+    for (let i = 0; i < n; i++) samples[samples.length - 1 - i] *= i / n;
+}
+
+/**
+ * Join chunks with `gaps[i]` seconds of silence between chunk i and i + 1.
+ * Boundaries get `fadeMs` fades; chunks with no gap between them are
+ * overlapped by `crossfadeMs` with an equal-power crossfade. With both at
+ * zero this is a plain concatenation with zero-filled gaps.
+ */
+export function joinChunks(chunks, gaps, sampleRate, { fadeMs = 0, crossfadeMs = 0 } = {}) {
+    const fadeLen = Math.round(fadeMs * sampleRate / 1000);
+    const crossfadeLen = Math.round(crossfadeMs * sampleRate / 1000);
+
+    const parts = chunks.map(chunk => (fadeLen > 0 ? Float32Array.from(chunk) : chunk));
+    const gapLens = gaps.map(gap => Math.floor(gap * sampleRate));
+    const overlaps = gapLens.map((gapLen, i) => (
+        gapLen === 0 && crossfadeLen > 0 ? Math.min(crossfadeLen, parts[i].length, parts[i + 1].length) : 0
+    ));
+
+    if (fadeLen > 0) {
+        for (let i = 0; i < gapLens.length; i++) {
+            if (overlaps[i] > 0) continue;
+            fadeOut(parts[i], fadeLen);
+            fadeIn(parts[i + 1], fadeLen);
+        }
+    }
+
+    const totalLen = parts.reduce((sum, part) => sum + part.length, 0)
+        + gapLens.reduce((sum, len) => sum + len, 0)
+        - overlaps.reduce((sum, len) => sum + len, 0);
+    const out = new Float32Array(totalLen);
+
+    let offset = 0;
+    for (let i = 0; i < parts.length; i++) {
+        const part = parts[i];
+        const overlap = i > 0 ? overlaps[i - 1] : 0;
+        if (overlap > 0) {
+            offset -= overlap;
+            // Equal-power: the chunks are uncorrelated, so keep cos² + sin² = 1
+            for (let j = 0; j < overlap; j++) {
+                const t = (j + 0.5) / overlap * Math.PI / 2;
+                out[offset + j] = out[offset + j] * Math.cos(t) + part[j] * Math.sin(t);
+            }
+            out.set(part.subarray(overlap), offset + overlap);
+        } else {
+            out.set(part, offset);
+        }
+        offset += part.length;
+        if (i < gapLens.length) offset += gapLens[i];
+    }
+    return out;
+}
+
+// ============================================================================
+// Silence trimming
+// ============================================================================
+
+/**
+ * Drop leading and trailing audio whose 10 ms RMS stays below `thresholdDb`
+ */
+export function trimSilence(samples, sampleRate, { thresholdDb = -50, paddingMs = 40 } = {}) {
+    const windowLen = Math.max(1, Math.round(sampleRate * 0.01));
+    const threshold = dbToGain(thresholdDb) ** 2;
+
+    const isLoud = (start) => {
+        const end = Math.min(samples.length, start + windowLen);
+        let energy = 0;
+        for (let i = start; i < end; i++) energy += samples[i] * samples[i];
+        return energy / (end - start) > threshold;
+    };
+
+    let first = -1;
+    for (let start = 0; start < samples.length; start += windowLen) {
+        if (isLoud(start)) {
+            first = start;
+            break;
+        }
+    }
+    if (first < 0) return samples.subarray(0, 0);
+
+    let last = first;
+    for (let start = Math.floor((samples.length - 1) / windowLen) * windowLen; start > first; start -= windowLen) {
+        if (isLoud(start)) {
+            last = start;
+            break;
+        }
+    }
+
+    const padding = Math.round(paddingMs * sampleRate / 1000);
+    const begin = Math.max(0, first - padding);
+    const end = Math.min(samples.length, last + windowLen + padding);
+    return samples.subarray(begin, end);
+}
+
+// ============================================================================
+// Loudness (ITU-R BS.1770-4)
+// ============================================================================
+
+function biquad(samples, [b0, b1, b2], [a1, a2]) {
+    const out = new Float32Array(samples.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const x = samples[i];
+        const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+        x2 = x1; x1 = x;
+        y2 = y1; y1 = y;
+        out[i] = y;
+    }
+    return out;
+}
+
+// K-weighting filter coefficients for any sample rate
+function kWeighting(samples, sampleRate) {
+    // Stage 1: high-shelf modelling the head
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    let Q = 0.7071752369554196;
+    const Vh = dbToGain(3.999843853973347);
+    const Vb = Vh ** 0.4996667741545416;
+    let a0 = 1 + K / Q + K * K;
+    const shelved = biquad(
+        samples,
+        [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+        [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+    );
+
+    // Stage 2: RLB high-pass
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    return biquad(shelved, [1, -2, 1], [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]);
+}
+
+/**
+ * Integrated loudness in LUFS (-Infinity for silence)
+ */
+export function measureLoudness(samples, sampleRate) {
+    if (samples.length === 0) return -Infinity;
+    const weighted = kWeighting(samples, sampleRate);
+
+    // 400 ms blocks with 75% overlap; clips shorter than a block count as one block
+    const blockLen = Math.min(weighted.length, Math.round(sampleRate * 0.4));
+    const step = Math.max(1, Math.round(blockLen / 4));
+    const powers = [];
+    for (let start = 0; start + blockLen <= weighted.length; start += step) {
+        let sum = 0;
+        for (let i = start; i < start + blockLen; i++) sum += weighted[i] * weighted[i];
+        powers.push(sum / blockLen);
+    }
+
+    const loudness = (power) => -0.691 + 10 * Math.log10(power);
+    const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+    const absoluteGated = powers.filter(p => loudness(p) > -70);
+    if (absoluteGated.length === 0) return -Infinity;
+    const relativeThreshold = loudness(mean(absoluteGated)) - 10;
+    const gated = absoluteGated.filter(p => loudness(p) > relativeThreshold);
+    return loudness(mean(gated));
+}
+
+// ============================================================================
+// True-peak limiting
+// ============================================================================
+
+const OVERSAMPLE = 4;
+const INTERPOLATOR_TAPS = 12; // per phase, as suggested by BS.1770 Annex 2
+
+// Windowed-sinc polyphase coefficients for the in-between phases 1..3
+const INTERPOLATOR = (() => {
+    const phases = [];
+    const half = INTERPOLATOR_TAPS / 2;
+    for (let p = 1; p < OVERSAMPLE; p++) {
+        const taps = new Float32Array(INTERPOLATOR_TAPS);
+        const frac = p / OVERSAMPLE;
+        for (let k = 0; k < INTERPOLATOR_TAPS; k++) {
+            const x = k - (half - 1) - frac; // distance from the interpolated point
+            const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+            const w = 0.5 + 0.5 * Math.cos(Math.PI * x / half);
+            taps[k] = sinc * w;
+        }
+        phases.push(taps);
+    }
+    return phases;
+})();
+
+/**
+ * Per-sample peak including the inter-sample peaks up to the next sample
+ */
+function interSamplePeaks(samples) {
+    const half = INTERPOLATOR_TAPS / 2;
+    const peaks = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        let peak = Math.abs(samples[i]);
+        for (const taps of INTERPOLATOR) {
+            let acc = 0;
+            for (let k = 0; k < INTERPOLATOR_TAPS; k++) {
+                const index = i + k - (half - 1);
+                if (index >= 0 && index < samples.length) acc += samples[index] * taps[k];
+            }
+            peak = Math.max(peak, Math.abs(acc));
+        }
+        peaks[i] = peak;
+    }
+    return peaks;
+}
+
+/**
+ * True peak in dBTP
+ */
+export function measureTruePeak(samples) {
+    const peaks = interSamplePeaks(samples);
+    let max = 0;
+    for (let i = 0; i < peaks.length; i++) max = Math.max(max, peaks[i]);
+    return 20 * Math.log10(max || 1e-12);
+}
+
+/**
+ * Look-ahead limiter that keeps the true peak under `ceilingDb`. Gain drops
+ * in a ramp over the look-ahead window and recovers with `releaseMs`.
+ */
+export function limitTruePeak(samples, sampleRate, { ceilingDb = -1, lookaheadMs = 1.5, releaseMs = 60 } = {}) {
+    const ceiling = dbToGain(ceilingDb);
+    const peaks = interSamplePeaks(samples);
+    const n = samples.length;
+    const lookahead = Math.max(1, Math.round(lookaheadMs * sampleRate / 1000));
+
+    // Required gain, held for the look-ahead window before each peak
+    const required = new Float32Array(n);
+    for (let i = 0; i < n; i++) required[i] = peaks[i] > ceiling ? ceiling / peaks[i] : 1;
+    const held = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+        let g = 1;
+        for (let j = i; j < Math.min(n, i + lookahead); j++) g = Math.min(g, required[j]);
+        held[i] = g;
+    }
+
+    // Averaging the held gain ramps it down without ever exceeding the requirement
+    const release = Math.exp(-1 / (releaseMs * sampleRate / 1000));
+    const out = new Float32Array(n);
+    let windowSum = 0;
+    let envelope = 1;
+    for (let i = 0; i < n; i++) {
+        windowSum += held[i];
+        if (i >= lookahead) windowSum -= held[i - lookahead];
+        const ramp = (windowSum + Math.max(0, lookahead - i - 1)) / lookahead;
+        const target = Math.min(ramp, held[i]);
+        envelope = target < envelope ? target : target + (envelope - target) * release;
+        out[i] = samples[i] * envelope;
+    }
+    return out;
+}
+
+// ============================================================================
+// Chain
+// ============================================================================
+
+/**
+ * Run the configured stages: trim, loudness normalization, true-peak
+ * limiting and edge fades. Options default to DEFAULT_POST_PROCESS.
+ */
+export function postProcess(samples, sampleRate, options = {}) {
+    const opts = { ...DEFAULT_POST_PROCESS, ...options };
+    let out = samples;
+
+    if (opts.trimSilence) {
+        out = trimSilence(out, sampleRate, { thresholdDb: opts.silenceThresholdDb, paddingMs: opts.silencePaddingMs });
+    }
+
+    if (opts.targetLufs !== null && out.length > 0) {
+        const loudness = measureLoudness(out, sampleRate);
+        if (Number.isFinite(loudness)) {
+            const gain = dbToGain(opts.targetLufs - loudness);
+            out = out.map(x => x * gain);
+        }
+    }
+
+    if (opts.truePeakDb !== null && out.length > 0) {
+        out = limitTruePeak(out, sampleRate, { ceilingDb: opts.truePeakDb });
+    }
+
+    const edgeFade = Math.round(opts.fadeMs * sampleRate / 1000);
+    if (edgeFade > 0 && out.length > 0) {
+        out = out === samples ? Float32Array.from(out) : out;
+        fadeIn(out, edgeFade);
+        fadeOut(out, edgeFade);
+    }
+    return out;
+}
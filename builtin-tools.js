@@ -0,0 +1,462 @@
+/**
+ * Built-in offline tools: date/time, timers, calculator and unit conversion
+ * Registered by registerBuiltinTools(); see tools.js for the calling protocol.
+ */
+
+// ============================================================================
+// Durations
+// ============================================================================
+
+/**
+ * "1 hour 5 minutes", "30 seconds"
+ */
+export function formatDuration(totalSeconds) {
+    let rest = Math.max(0, Math.round(totalSeconds));
+    const parts = [];
+    for (const [unit, seconds] of [['hour', 3600], ['minute', 60], ['second', 1]]) {
+        const count = Math.floor(rest / seconds);
+        rest -= count * seconds;
+        if (count > 0) parts.push(`${count} ${unit}${count === 1 ? '' : 's'}`);
+    }
+    return parts.length > 0 ? parts.join(' ') : '0 seconds';
+}
+
+// ============================================================================
+// Calculator
+// ============================================================================
+
+const FUNCTIONS = {
+    sqrt: Math.sqrt,
+    abs: Math.abs,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    log: Math.log10,
+    ln: Math.log,
+    exp: Math.exp,
+};
+
+const CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E,
+};
+
+const TOKEN = /\s*(?:(\d+(?:\.\d*)?|\.\d+)(?:e([-+]?\d+))?|([a-z]+)|(\*\*|[-+*/^%(),]))/giy;
+
+function tokenize(expression) {
+    const source = expression
+        .replace(/[×x](?=\s*[\d.(])/g, '*')
+        .replace(/÷/g, '/')
+        .replace(/(\d),(?=\d{3}\b)/g, '$1');
+    const tokens = [];
+    TOKEN.lastIndex = 0;
+    while (TOKEN.lastIndex < source.length) {
+        const start = TOKEN.lastIndex;
+        const match = TOKEN.exec(source);
+        if (!match) {
+            if (source.slice(start).trim() === '') break;
+            throw new Error(`Unexpected "${source.slice(start).trim()[0]}" in expression`);
+        }
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: Number(match[1] + (match[2] !== undefined ? `e${match[2]}` : '')) });
+        } else if (match[3] !== undefined) {
+            tokens.push({ type: 'name', value: match[3].toLowerCase() });
+        } else {
+            tokens.push({ type: 'op', value: match[4] === '**' ? '^' : match[4] });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Evaluate an arithmetic expression without eval(): + - * / ^, parentheses,
+ * postfix % (17% of 240 is "17% * 240"), and the functions and constants above
+ */
+export function evaluateExpression(expression) {
+    const tokens = tokenize(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+    const expect = (value) => {
+        if (!isOp(value)) throw new Error(`Expected "${value}"`);
+        position++;
+    };
+
+    // Grammar: sum := product (('+'|'-') product)*, product := unary (('*'|'/') unary)*,
+    // unary := '-' unary | power, power := postfix ('^' unary)?, postfix := primary '%'*
+    const sum = () => {
+        let value = product();
+        while (isOp('+') || isOp('-')) {
+            const op = tokens[position++].value;
+            value = op === '+' ? value + product() : value - product();
+        }
+        return value;
+    };
+    const product = () => {
+        let value = unary();
+        while (isOp('*') || isOp('/')) {
+            const op = tokens[position++].value;
+            const right = unary();
+            if (op === '/' && right === 0) throw new Error('Division by zero');
+            value = op === '*' ? value * right : value / right;
+        }
+        return value;
+    };
+    const unary = () => {
+        if (isOp('-')) {
+            position++;
+            return -unary();
+        }
+        if (isOp('+')) {
+            position++;
+            return unary();
+        }
+        return power();
+    };
+    const power = () => {
+        const base = postfix();
+        if (isOp('^')) {
+            position++;
+            return base ** unary();
+        }
+        return base;
+    };
+    const postfix = () => {
+        let value = primary();
+        while (isOp('%')) {
+            position++;
+            value /= 100;
+        }
+        return value;
+    };
+    const primary = () => {
+        const token = tokens[position++];
+        if (!token) throw new Error('Incomplete expression');
+        if (token.type === 'number') return token.value;
+        if (token.type === 'op' && token.value === '(') {
+            const value = sum();
+            expect(')');
+            return value;
+        }
+        if (token.type === 'name') {
+            if (token.value in CONSTANTS) return CONSTANTS[token.value];
+            if (token.value in FUNCTIONS) {
+                expect('(');
+                const value = FUNCTIONS[token.value](sum());
+                expect(')');
+                return value;
+            }
+            throw new Error(`Unknown name "${token.value}"`);
+        }
+        throw new Error(`Unexpected "${token.value}"`);
+    };
+
+    const result = sum();
+    if (position < tokens.length) throw new Error(`Unexpected "${tokens[position].value}"`);
+    if (!Number.isFinite(result)) throw new Error('Result is not a finite number');
+    // Drop floating point noise (0.1 + 0.2)
+    return Number(result.toPrecision(12));
+}
+
+// ============================================================================
+// Unit conversion
+// ============================================================================
+
+// Factors to the first unit of each quantity; names are the accepted spellings
+const UNITS = {
+    length: [
+        ['m', 1, 'meter', 'meters', 'metre', 'metres'],
+        ['mm', 0.001, 'millimeter', 'millimeters', 'millimetre', 'millimetres'],
+        ['cm', 0.01, 'centimeter', 'centimeters', 'centimetre', 'centimetres'],
+        ['km', 1000, 'kilometer', 'kilometers', 'kilometre', 'kilometres'],
+        ['in', 0.0254, 'inch', 'inches', '"'],
+        ['ft', 0.3048, 'foot', 'feet', "'"],
+        ['yd', 0.9144, 'yard', 'yards'],
+        ['mi', 1609.344, 'mile', 'miles'],
+        ['nmi', 1852, 'nautical mile', 'nautical miles'],
+    ],
+    mass: [
+        ['kg', 1, 'kilogram', 'kilograms', 'kilo', 'kilos'],
+        ['mg', 1e-6, 'milligram', 'milligrams'],
+        ['g', 0.001, 'gram', 'grams'],
+        ['t', 1000, 'tonne', 'tonnes', 'metric ton', 'metric tons'],
+        ['oz', 0.028349523125, 'ounce', 'ounces'],
+        ['lb', 0.45359237, 'lbs', 'pound', 'pounds'],
+        ['st', 6.35029318, 'stone', 'stones'],
+    ],
+    volume: [
+        ['l', 1, 'liter', 'liters', 'litre', 'litres'],
+        ['ml', 0.001, 'milliliter', 'milliliters', 'millilitre', 'millilitres'],
+        ['tsp', 0.00492892159375, 'teaspoon', 'teaspoons'],
+        ['tbsp', 0.01478676478125, 'tablespoon', 'tablespoons'],
+        ['fl oz', 0.0295735295625, 'floz', 'fluid ounce', 'fluid ounces'],
+        ['cup', 0.2365882365, 'cups'],
+        ['pt', 0.473176473, 'pint', 'pints'],
+        ['qt', 0.946352946, 'quart', 'quarts'],
+        ['gal', 3.785411784, 'gallon', 'gallons'],
+    ],
+    area: [
+        ['m2', 1, 'm²', 'sq m', 'square meter', 'square meters', 'square metre', 'square metres'],
+        ['km2', 1e6, 'km²', 'sq km', 'square kilometer', 'square kilometers', 'square kilometre', 'square kilometres'],
+        ['ft2', 0.09290304, 'ft²', 'sq ft', 'square foot', 'square feet'],
+        ['mi2', 2589988.110336, 'mi²', 'sq mi', 'square mile', 'square miles'],
+        ['ha', 1e4, 'hectare', 'hectares'],
+        ['acre', 4046.8564224, 'acres'],
+    ],
+    speed: [
+        ['m/s', 1, 'meters per second', 'metres per second'],
+        ['km/h', 1 / 3.6, 'kph', 'kmh', 'kilometers per hour', 'kilometres per hour'],
+        ['mph', 0.44704, 'miles per hour'],
+        ['kn', 1852 / 3600, 'knot', 'knots'],
+    ],
+    time: [
+        ['s', 1, 'sec', 'secs', 'second', 'seconds'],
+        ['ms', 0.001, 'millisecond', 'milliseconds'],
+        ['min', 60, 'mins', 'minute', 'minutes'],
+        ['h', 3600, 'hr', 'hrs', 'hour', 'hours'],
+        ['day', 86400, 'days'],
+        ['week', 604800, 'weeks'],
+    ],
+    data: [
+        ['B', 1, 'byte', 'bytes'],
+        ['KB', 1e3, 'kilobyte', 'kilobytes'],
+        ['MB', 1e6, 'megabyte', 'megabytes'],
+        ['GB', 1e9, 'gigabyte', 'gigabytes'],
+        ['TB', 1e12, 'terabyte', 'terabytes'],
+        ['KiB', 1024, 'kibibyte', 'kibibytes'],
+        ['MiB', 1024 ** 2, 'mebibyte', 'mebibytes'],
+        ['GiB', 1024 ** 3, 'gibibyte', 'gibibytes'],
+    ],
+};
+
+const TEMPERATURES = [
+    ['C', 'c', '°c', 'celsius', 'degrees celsius', 'centigrade'],
+    ['F', 'f', '°f', 'fahrenheit', 'degrees fahrenheit'],
+    ['K', 'k', 'kelvin', 'kelvins'],
+];
+
+// Lower-case spelling -> { quantity, symbol, factor }
+const UNIT_INDEX = new Map();
+for (const [quantity, units] of Object.entries(UNITS)) {
+    for (const [symbol, factor, ...names] of units) {
+        for (const name of [symbol, ...names]) {
+            UNIT_INDEX.set(name.toLowerCase(), { quantity, symbol, factor });
+        }
+    }
+}
+for (const [symbol, ...names] of TEMPERATURES) {
+    for (const name of names) {
+        UNIT_INDEX.set(name, { quantity: 'temperature', symbol, factor: null });
+    }
+}
+
+function findUnit(name) {
+    const unit = UNIT_INDEX.get(String(name).trim().toLowerCase().replace(/\s+/g, ' '));
+    if (!unit) throw new Error(`Unknown unit "${name}"`);
+    return unit;
+}
+
+function toKelvin(value, symbol) {
+    if (symbol === 'C') return value + 273.15;
+    if (symbol === 'F') return (value - 32) * 5 / 9 + 273.15;
+    return value;
+}
+
+function fromKelvin(value, symbol) {
+    if (symbol === 'C') return value - 273.15;
+    if (symbol === 'F') return (value - 273.15) * 9 / 5 + 32;
+    return value;
+}
+
+/**
+ * Convert between units of the same quantity; returns { value, unit }
+ */
+export function convertUnits(value, from, to) {
+    const source = findUnit(from);
+    const target = findUnit(to);
+    if (source.quantity !== target.quantity) {
+        throw new Error(`Cannot convert ${source.quantity} (${source.symbol}) to ${target.quantity} (${target.symbol})`);
+    }
+
+    const converted = source.quantity === 'temperature'
+        ? fromKelvin(toKelvin(value, source.symbol), target.symbol)
+        : value * source.factor / target.factor;
+    return { value: Number(converted.toPrecision(6)), unit: target.symbol };
+}
+
+// ============================================================================
+// Timers
+// ============================================================================
+
+/**
+ * Countdown timers; `onDone(timer)` is called when one runs out
+ */
+export class Timers {
+    constructor({ onDone = null, now = Date.now, setTimer = globalThis.setTimeout, clearTimer = globalThis.clearTimeout } = {}) {
+        this.onDone = onDone;
+        this.now = now;
+        this.setTimer = setTimer;
+        this.clearTimer = clearTimer;
+        this.timers = new Map();
+        this.nextId = 1;
+    }
+
+    start(seconds, label = '') {
+        const id = this.nextId++;
+        const timer = { id, label, seconds, endsAt: this.now() + seconds * 1000 };
+        timer.handle = this.setTimer(() => {
+            this.timers.delete(id);
+            if (this.onDone) this.onDone(timer);
+        }, seconds * 1000);
+        this.timers.set(id, timer);
+        return timer;
+    }
+
+    remaining(timer) {
+        return Math.max(0, Math.round((timer.endsAt - this.now()) / 1000));
+    }
+
+    /**
+     * Cancel timers with this label (case-insensitive), or all of them; returns the cancelled timers
+     */
+    cancel(label = '') {
+        const wanted = label.trim().toLowerCase();
+        const cancelled = this.list().filter(timer => !wanted || timer.label.toLowerCase() === wanted);
+        for (const timer of cancelled) {
+            this.clearTimer(timer.handle);
+            this.timers.delete(timer.id);
+        }
+        return cancelled;
+    }
+
+    list() {
+        return [...this.timers.values()];
+    }
+}
+
+// Describe a timer for a name like "pasta timer"
+function timerName(timer) {
+    return timer.label ? `${timer.label} timer` : `${formatDuration(timer.seconds)} timer`;
+}
+
+// ============================================================================
+// Registration
+// ============================================================================
+
+/**
+ * Register get_datetime, set_timer, cancel_timer, list_timers, calculate and
+ * convert_units on a ToolRegistry
+ * @param {ToolRegistry} registry
+ * @param {Object} options
+ * @param {Timers} options.timers - timer store (alerts are its onDone)
+ * @param {() => Date} options.now - clock, for tests
+ * @param {string} options.locale - formatting locale for dates and times
+ */
+export function registerBuiltinTools(registry, { timers = new Timers(), now = () => new Date(), locale = 'en-US' } = {}) {
+    registry.register({
+        name: 'get_datetime',
+        description: 'Current date, time and weekday.',
+        parameters: {
+            type: 'object',
+            properties: {
+                timezone: { type: 'string', description: 'IANA time zone such as "Europe/Paris"; default is local time' },
+            },
+        },
+        run: ({ timezone }) => {
+            const date = now();
+            let timeZone;
+            try {
+                timeZone = new Intl.DateTimeFormat(locale, { timeZone: timezone }).resolvedOptions().timeZone;
+            } catch {
+                throw new Error(`Unknown time zone "${timezone}"`);
+            }
+            return {
+                date: date.toLocaleDateString(locale, { timeZone, weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+                time: date.toLocaleTimeString(locale, { timeZone, hour: 'numeric', minute: '2-digit' }),
+                timezone: timeZone,
+            };
+        },
+    });
+
+    registry.register({
+        name: 'set_timer',
+        description: 'Start a countdown timer that rings when it ends.',
+        parameters: {
+            type: 'object',
+            properties: {
+                hours: { type: 'number', minimum: 0 },
+                minutes: { type: 'number', minimum: 0 },
+                seconds: { type: 'number', minimum: 0 },
+                label: { type: 'string', description: 'what the timer is for' },
+            },
+        },
+        run: ({ hours = 0, minutes = 0, seconds = 0, label = '' }) => {
+            const total = Math.round(hours * 3600 + minutes * 60 + seconds);
+            if (total <= 0) throw new Error('The timer needs a duration');
+            if (total > 24 * 3600) throw new Error('Timers can run for at most 24 hours');
+            const timer = timers.start(total, label.trim());
+            return { started: timerName(timer), duration: formatDuration(total) };
+        },
+    });
+
+    registry.register({
+        name: 'cancel_timer',
+        description: 'Cancel a timer by its label, or all timers.',
+        parameters: {
+            type: 'object',
+            properties: {
+                label: { type: 'string', description: 'leave out to cancel all timers' },
+            },
+        },
+        run: ({ label = '' }) => {
+            const cancelled = timers.cancel(label);
+            return { cancelled: cancelled.map(timerName) };
+        },
+    });
+
+    registry.register({
+        name: 'list_timers',
+        description: 'Running timers and the time left on each.',
+        parameters: { type: 'object', properties: {} },
+        run: () => ({
+            timers: timers.list().map(timer => ({ name: timerName(timer), remaining: formatDuration(timers.remaining(timer)) })),
+        }),
+    });
+
+    registry.register({
+        name: 'calculate',
+        description: 'Evaluate arithmetic, e.g. "17% * 240" or "sqrt(2) * (3 + 4)".',
+        parameters: {
+            type: 'object',
+            properties: {
+                expression: { type: 'string' },
+            },
+            required: ['expression'],
+        },
+        run: ({ expression }) => ({ expression, result: evaluateExpression(expression) }),
+    });
+
+    registry.register({
+        name: 'convert_units',
+        description: 'Convert length, mass, volume, area, speed, time, data size or temperature.',
+        parameters: {
+            type: 'object',
+            properties: {
+                value: { type: 'number' },
+                from: { type: 'string', description: 'unit such as "km", "lb", "F"' },
+                to: { type: 'string' },
+            },
+            required: ['value', 'from', 'to'],
+        },
+        run: ({ value, from, to }) => {
+            const converted = convertUnits(value, from, to);
+            return { value, from, to: converted.unit, result: converted.value };
+        },
+    });
+
+    return registry;
+}
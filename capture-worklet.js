@@ -0,0 +1,104 @@
+/**
+ * AudioWorklet processor for microphone capture
+ * Downmixes to mono, low-pass filters and resamples to the target rate,
+ * then posts fixed-size frames to the main thread.
+ *
+ * Runs in AudioWorkletGlobalScope, so it must stay free of imports.
+ */
+
+const FILTER_TAPS = 31;
+
+/**
+ * Windowed-sinc (Blackman) low-pass kernel, normalized to unity gain
+ */
+function createLowPass(cutoff, taps) {
+    const kernel = new Float32Array(taps);
+    const mid = (taps - 1) / 2;
+    let sum = 0;
+    for (let i = 0; i < taps; i++) {
+        const x = i - mid;
+        const sinc = x === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * x) / (Math.PI * x);
+        const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * i / (taps - 1)) + 0.08 * Math.cos(4 * Math.PI * i / (taps - 1));
+        kernel[i] = sinc * window;
+        sum += kernel[i];
+    }
+    for (let i = 0; i < taps; i++) kernel[i] /= sum;
+    return kernel;
+}
+
+class CaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { targetSampleRate = 16000, frameSize = 512 } = options.processorOptions || {};
+
+        this.ratio = sampleRate / targetSampleRate;
+        this.frameSize = frameSize;
+        this.frame = new Float32Array(frameSize);
+        this.frameIndex = 0;
+
+        // Anti-aliasing filter only needed when downsampling
+        this.kernel = this.ratio > 1 ? createLowPass(0.45 / this.ratio, FILTER_TAPS) : null;
+        this.history = new Float32Array(FILTER_TAPS);
+        this.historyIndex = 0;
+
+        // Fractional read position into the filtered stream
+        this.position = 0;
+        this.previous = 0;
+        this.current = 0;
+
+        this.active = true;
+        this.port.onmessage = (event) => {
+            if (event.data === 'stop') this.active = false;
+        };
+    }
+
+    filter(sample) {
+        if (!this.kernel) return sample;
+        this.history[this.historyIndex] = sample;
+        this.historyIndex = (this.historyIndex + 1) % FILTER_TAPS;
+        let acc = 0;
+        let idx = this.historyIndex;
+        for (let i = 0; i < FILTER_TAPS; i++) {
+            acc += this.kernel[i] * this.history[idx];
+            idx = (idx + 1) % FILTER_TAPS;
+        }
+        return acc;
+    }
+
+    emit(sample) {
+        this.frame[this.frameIndex++] = sample;
+        if (this.frameIndex === this.frameSize) {
+            const out = this.frame;
+            this.port.postMessage(out, [out.buffer]);
+            this.frame = new Float32Array(this.frameSize);
+            this.frameIndex = 0;
+        }
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0) return this.active;
+
+        const channels = input.length;
+        const length = input[0].length;
+        for (let i = 0; i < length; i++) {
+            let mono = 0;
+            for (let c = 0; c < channels; c++) mono += input[c][i];
+            mono /= channels;
+
+            this.previous = this.current;
+            this.current = this.filter(mono);
+
+            // Linear interpolation between the last two filtered samples
+            while (this.position < 1) {
+                this.emit(this.previous + (this.current - this.previous) * this.position);
+                this.position += this.ratio;
+            }
+            this.position -= 1;
+        }
+
+        return this.active;
+    }
+}
+
+registerProcessor('capture-processor', CaptureProcessor);
@@ -0,0 +1,101 @@
+/**
+ * Chat templates for instruction-tuned GGUF models
+ * Each template renders { role, content } messages into the prompt format the
+ * model was trained on, ending with an open assistant turn, and lists the
+ * strings that end the assistant's reply.
+ */
+
+export const CHAT_TEMPLATES = {
+    chatml: {
+        id: 'chatml',
+        label: 'ChatML',
+        turn: (role, content) => `<|im_start|>${role}\n${content}<|im_end|>\n`,
+        assistantPrefix: '<|im_start|>assistant\n',
+        stop: ['<|im_end|>', '<|endoftext|>', '<|im_start|>'],
+    },
+    // BOS (<|begin_of_text|>) is added by the tokenizer
+    llama3: {
+        id: 'llama3',
+        label: 'Llama 3',
+        turn: (role, content) => `<|start_header_id|>${role}<|end_header_id|>\n\n${content}<|eot_id|>`,
+        assistantPrefix: '<|start_header_id|>assistant<|end_header_id|>\n\n',
+        stop: ['<|eot_id|>', '<|end_of_text|>', '<|start_header_id|>'],
+    },
+    // Gemma has no system role; the system prompt is folded into the first user turn
+    gemma: {
+        id: 'gemma',
+        label: 'Gemma',
+        turn: (role, content) => `<start_of_turn>${role === 'assistant' ? 'model' : 'user'}\n${content}<end_of_turn>\n`,
+        assistantPrefix: '<start_of_turn>model\n',
+        stop: ['<end_of_turn>', '<eos>', '<start_of_turn>'],
+        mergeSystem: true,
+    },
+    phi3: {
+        id: 'phi3',
+        label: 'Phi-3',
+        turn: (role, content) => `<|${role}|>\n${content}<|end|>\n`,
+        assistantPrefix: '<|assistant|>\n',
+        stop: ['<|end|>', '<|endoftext|>', '<|user|>'],
+    },
+};
+
+export const DEFAULT_CHAT_TEMPLATE = CHAT_TEMPLATES.chatml;
+
+/**
+ * Look up a template by id (or pass a template object through)
+ */
+export function getChatTemplate(idOrTemplate) {
+    if (idOrTemplate && typeof idOrTemplate === 'object') return idOrTemplate;
+    const template = CHAT_TEMPLATES[idOrTemplate];
+    if (!template) {
+        throw new Error(`Unknown chat template: ${idOrTemplate}`);
+    }
+    return template;
+}
+
+/**
+ * Render messages as a prompt ending with an open assistant turn
+ */
+export function renderChat(messages, template = DEFAULT_CHAT_TEMPLATE) {
+    let turns = messages;
+    if (template.mergeSystem) {
+        const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+        turns = messages.filter(m => m.role !== 'system');
+        const firstUser = turns.findIndex(m => m.role === 'user');
+        if (system && firstUser >= 0) {
+            turns = turns.slice();
+            turns[firstUser] = { role: 'user', content: `${system}\n\n${turns[firstUser].content}` };
+        }
+    }
+    return turns.map(({ role, content }) => template.turn(role, content)).join('') + template.assistantPrefix;
+}
+
+/**
+ * Cut generated text at the first stop string. `stopped` tells whether one was found.
+ */
+export function truncateAtStop(text, template = DEFAULT_CHAT_TEMPLATE) {
+    let end = text.length;
+    for (const stop of template.stop) {
+        const index = text.indexOf(stop);
+        if (index >= 0 && index < end) end = index;
+    }
+    return { text: text.slice(0, end), stopped: end < text.length };
+}
+
+/**
+ * Guess the template of a model from its embedded Jinja chat template,
+ * falling back to its file name, then ChatML
+ */
+export function detectChatTemplate(jinja = null, fileName = '') {
+    if (jinja) {
+        if (jinja.includes('<|im_start|>')) return CHAT_TEMPLATES.chatml;
+        if (jinja.includes('<|start_header_id|>')) return CHAT_TEMPLATES.llama3;
+        if (jinja.includes('<start_of_turn>')) return CHAT_TEMPLATES.gemma;
+        if (jinja.includes('<|assistant|>') && jinja.includes('<|end|>')) return CHAT_TEMPLATES.phi3;
+    }
+    const name = fileName.toLowerCase();
+    if (/llama-?3/.test(name)) return CHAT_TEMPLATES.llama3;
+    if (/gemma/.test(name)) return CHAT_TEMPLATES.gemma;
+    if (/phi-?3/.test(name)) return CHAT_TEMPLATES.phi3;
+    return DEFAULT_CHAT_TEMPLATE;
+}
@@ -0,0 +1,98 @@
+/**
+ * Conversation history for multi-turn prompts
+ * Keeps user/assistant turns and renders as many recent turns as fit the
+ * model's context window, dropping the oldest ones first.
+ */
+
+import { DEFAULT_CHAT_TEMPLATE, renderChat } from './chat-templates.js';
+
+export class Conversation {
+    /**
+     * @param {Object} options
+     * @param {(text: string) => Promise<number>} options.countTokens - token counter for the loaded model
+     * @param {number} options.maxPromptTokens - budget for the rendered prompt
+     * @param {number} options.maxTurns - hard cap on stored turns
+     * @param {Object} options.template - chat template (see chat-templates.js)
+     */
+    constructor({ countTokens, maxPromptTokens = 1536, maxTurns = 40, template = DEFAULT_CHAT_TEMPLATE }) {
+        this.countTokens = countTokens;
+        this.maxPromptTokens = maxPromptTokens;
+        this.maxTurns = maxTurns;
+        this.template = template;
+        this.turns = [];
+    }
+
+    /**
+     * Switch to another model's template (and tokenizer); cached token counts are dropped
+     */
+    setTemplate(template) {
+        this.template = template;
+        for (const turn of this.turns) turn.tokens = null;
+    }
+
+    addUser(content) {
+        this.push('user', content);
+    }
+
+    addAssistant(content) {
+        this.push('assistant', content);
+    }
+
+    push(role, content) {
+        if (!content || !content.trim()) return;
+        this.turns.push({ role, content: content.trim(), tokens: null });
+        while (this.turns.length > this.maxTurns) this.turns.shift();
+    }
+
+    reset() {
+        this.turns = [];
+    }
+
+    get length() {
+        return this.turns.length;
+    }
+
+    async tokensFor(turn) {
+        if (turn.tokens === null) {
+            // Account for the role header and end marker as well as the content
+            turn.tokens = await this.countTokens(this.template.turn(turn.role, turn.content));
+        }
+        return turn.tokens;
+    }
+
+    /**
+     * Build a prompt for the next assistant reply. The system prompt, the
+     * pending user input and `followUp` (messages after it, e.g. tool calls
+     * and results of this turn) always fit; history is added newest-first
+     * until the token budget runs out.
+     */
+    async buildPrompt(systemPrompt, userInput, { followUp = [], render = (messages) => renderChat(messages, this.template) } = {}) {
+        const fixed = [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userInput },
+            ...followUp,
+        ];
+        let used = await this.countTokens(render(fixed));
+
+        const history = [];
+        for (let i = this.turns.length - 1; i >= 0; i--) {
+            const cost = await this.tokensFor(this.turns[i]);
+            if (used + cost > this.maxPromptTokens) break;
+            used += cost;
+            history.unshift(this.turns[i]);
+        }
+
+        // Never start the window on a dangling assistant reply
+        while (history.length > 0 && history[0].role !== 'user') history.shift();
+
+        if (history.length < this.turns.length) {
+            console.log(`[Conversation] Trimmed ${this.turns.length - history.length} old turns to fit context`);
+        }
+
+        return render([
+            fixed[0],
+            ...history.map(({ role, content }) => ({ role, content })),
+            ...fixed.slice(1),
+        ]);
+    }
+}
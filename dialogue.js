@@ -0,0 +1,158 @@
+/**
+ * Multi-speaker dialogue synthesis
+ * Turns a tagged script like "[M1] Hello there. [F1] Hi!" into one timeline.
+ * Works with TextToSpeech from helper.js or the worker client from tts-service.js.
+ */
+
+const SPEAKER_TAG = /\[([^\]\s]+)\]/g;
+
+// Lines longer than this are synthesized with call() so they get chunked
+const MAX_BATCH_LINE = { ko: 120, default: 300 };
+
+// Tags naming one of `speakers` (any case); every tag when no list is given.
+// Others, like [laughs], stay in the line's text.
+function speakerTags(script, speakers) {
+    const known = speakers && new Set(speakers.map(name => name.toLowerCase()));
+    return [...script.matchAll(SPEAKER_TAG)].filter(([, name]) => !known || known.has(name.toLowerCase()));
+}
+
+/**
+ * True when the text starts with a speaker tag (one of `speakers`, if given)
+ */
+export function isDialogueScript(text, speakers = null) {
+    const [first] = speakerTags(text, speakers);
+    return Boolean(first) && !text.slice(0, first.index).trim();
+}
+
+/**
+ * Split a tagged script into lines: [{ speaker, text }]. With `speakers`,
+ * only tags naming one of them start a line.
+ */
+export function parseDialogueScript(script, speakers = null) {
+    const lines = [];
+    const tags = speakerTags(script, speakers);
+
+    if (tags.length === 0 || script.slice(0, tags[0].index).trim()) {
+        const leading = /^\s*\[([^\]\s]+)\]/.exec(script);
+        if (leading) throw new Error(`No voice style for speaker "${leading[1]}"`);
+        throw new Error('Dialogue script must start with a speaker tag like [M1]');
+    }
+
+    for (let i = 0; i < tags.length; i++) {
+        const start = tags[i].index + tags[i][0].length;
+        const end = i + 1 < tags.length ? tags[i + 1].index : script.length;
+        const text = script.slice(start, end).replace(/\s+/g, ' ').trim();
+        if (text) lines.push({ speaker: tags[i][1], text });
+    }
+    return lines;
+}
+
+/**
+ * Synthesize a dialogue script.
+ *
+ * @param {Object} tts - TextToSpeech or TextToSpeechClient
+ * @param {string} script - "[SPEAKER] line [SPEAKER] line ..."
+ * @param {Object<string, Object>} voices - speaker tag -> voice style
+ * @param {Object} options
+ * @param {string} options.lang - language of every line
+ * @param {number} options.totalStep - denoising steps
+ * @param {number} options.speed - speaking rate
+ * @param {number} options.turnGap - seconds of silence when the speaker changes
+ * @param {number} options.lineGap - seconds of silence between lines of the same speaker
+ * @param {number} options.batchSize - lines of one speaker synthesized together
+ * @param {number|null} options.seed - fixed seed for reproducible output
+ * @param {Function} options.progressCallback - (linesDone, totalLines)
+ * @returns {Promise<{wav: Float32Array, duration: number, segments: Array}>}
+ *   segments: [{ index, speaker, text, start, end }] in seconds
+ */
+export async function synthesizeDialogue(tts, script, voices, {
+    lang = 'en',
+    totalStep = 5,
+    speed = 1.05,
+    turnGap = 0.4,
+    lineGap = 0.2,
+    batchSize = 4,
+    seed = null,
+    progressCallback = null,
+} = {}) {
+    const lines = parseDialogueScript(script, Object.keys(voices));
+    if (lines.length === 0) {
+        throw new Error('Dialogue script has no lines');
+    }
+    for (const { speaker } of lines) {
+        if (!voices[speaker]) {
+            throw new Error(`No voice style for speaker "${speaker}"`);
+        }
+    }
+
+    const sampleRate = tts.sampleRate;
+    const audio = new Array(lines.length);
+    let done = 0;
+    const report = (count) => {
+        done += count;
+        if (progressCallback) progressCallback(done, lines.length);
+    };
+
+    // Group lines by speaker so each style is batched through tts.batch()
+    const maxLen = MAX_BATCH_LINE[lang] || MAX_BATCH_LINE.default;
+    const bySpeaker = new Map();
+    lines.forEach((line, index) => {
+        if (!bySpeaker.has(line.speaker)) bySpeaker.set(line.speaker, []);
+        bySpeaker.get(line.speaker).push(index);
+    });
+
+    for (const [speaker, indices] of bySpeaker) {
+        const style = voices[speaker];
+        const short = indices.filter(i => lines[i].text.length <= maxLen);
+        const long = indices.filter(i => lines[i].text.length > maxLen);
+
+        for (let start = 0; start < short.length; start += batchSize) {
+            const group = short.slice(start, start + batchSize);
+            const texts = group.map(i => lines[i].text);
+            const { wav, duration } = await tts.batch(
+                texts, texts.map(() => lang), style, totalStep, speed, null, { seed }
+            );
+            // Output is [bsz, rowLen]; keep each row up to its own predicted duration
+            const rowLen = wav.length / group.length;
+            group.forEach((lineIndex, row) => {
+                const len = Math.min(rowLen, Math.floor(duration[row] * sampleRate));
+                audio[lineIndex] = wav.slice(row * rowLen, row * rowLen + len);
+            });
+            report(group.length);
+        }
+
+        for (const lineIndex of long) {
+            const { wav, duration } = await tts.call(
+                lines[lineIndex].text, lang, style, totalStep, speed, 0.3, null, { seed }
+            );
+            audio[lineIndex] = wav.slice(0, Math.floor(duration[0] * sampleRate));
+            report(1);
+        }
+    }
+
+    // Lay the lines out on one timeline in script order
+    const gapSamples = lines.map((line, i) => {
+        if (i === 0) return 0;
+        const gap = line.speaker === lines[i - 1].speaker ? lineGap : turnGap;
+        return Math.round(gap * sampleRate);
+    });
+    const totalLen = audio.reduce((sum, wav, i) => sum + wav.length + gapSamples[i], 0);
+    const timeline = new Float32Array(totalLen);
+    const segments = [];
+    let offset = 0;
+
+    lines.forEach((line, i) => {
+        offset += gapSamples[i];
+        timeline.set(audio[i], offset);
+        segments.push({
+            index: i,
+            speaker: line.speaker,
+            text: line.text,
+            start: offset / sampleRate,
+            end: (offset + audio[i].length) / sampleRate,
+        });
+        offset += audio[i].length;
+    });
+
+    return { wav: timeline, duration: totalLen / sampleRate, segments };
+}
@@ -0,0 +1,418 @@
+/**
+ * Local document Q&A (retrieval-augmented generation)
+ * Dropped PDF, text and Markdown files are split into overlapping passages,
+ * embedded on-device with a Transformers.js sentence-embedding model and
+ * stored in IndexedDB. Each user turn retrieves the closest passages, which
+ * are added to the system prompt with the name of the document they came from.
+ */
+
+const DB_VERSION = 1;
+const DOCUMENTS = 'documents'; // { id, name, type, bytes, chunks, model, addedAt }
+const CHUNKS = 'chunks';       // { id, docId, index, text, vector }
+
+export const EMBEDDING_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+const DOCUMENT_FILE = /\.(pdf|txt|text|md|markdown)$/i;
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Document store transaction aborted'));
+    });
+}
+
+// ============================================================================
+// Text extraction
+// ============================================================================
+
+export function isDocumentFile(file) {
+    return !!file && DOCUMENT_FILE.test(file.name);
+}
+
+/**
+ * Plain text of Markdown: keeps headings, list items and link text, drops markup
+ */
+export function markdownToText(markdown) {
+    return markdown
+        .replace(/^```.*$/gm, '')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/<[^>]+>/g, '')
+        .replace(/^[ \t]{0,3}#{1,6}[ \t]+/gm, '')
+        .replace(/^[ \t]{0,3}>[ \t]?/gm, '')
+        .replace(/^[ \t]*(?:[-*+]|\d+[.)])[ \t]+/gm, '')
+        .replace(/^[ \t]*(?:-{3,}|\*{3,}|_{3,})[ \t]*$/gm, '')
+        .replace(/(\*\*|__|\*|_|~~|`)(\S(?:.*?\S)?)\1/g, '$2');
+}
+
+async function pdfToText(file) {
+    const pdfjs = await import('pdfjs-dist');
+    if (!pdfjs.GlobalWorkerOptions.workerSrc) {
+        const { default: workerUrl } = await import('pdfjs-dist/build/pdf.worker.min.mjs?url');
+        pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+    }
+
+    const pdf = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+    const pages = [];
+    try {
+        for (let i = 1; i <= pdf.numPages; i++) {
+            const page = await pdf.getPage(i);
+            const { items } = await page.getTextContent();
+            pages.push(items.map(item => item.str + (item.hasEOL ? '\n' : '')).join(''));
+        }
+    } finally {
+        pdf.destroy();
+    }
+    return pages.join('\n\n');
+}
+
+/**
+ * Text content of a PDF, Markdown or plain text File
+ */
+export async function extractText(file) {
+    if (/\.pdf$/i.test(file.name) || file.type === 'application/pdf') return pdfToText(file);
+    const text = await file.text();
+    return /\.(md|markdown)$/i.test(file.name) ? markdownToText(text) : text;
+}
+
+// ============================================================================
+// Chunking
+// ============================================================================
+
+function splitSentences(paragraph, maxChars) {
+    const sentences = paragraph.match(/[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g) || [paragraph];
+    const pieces = [];
+    for (const sentence of sentences.map(s => s.trim()).filter(Boolean)) {
+        if (sentence.length <= maxChars) {
+            pieces.push(sentence);
+            continue;
+        }
+        // A "sentence" longer than a chunk (tables, lists without stops): split at words
+        let piece = '';
+        for (const word of sentence.split(' ')) {
+            if (piece && piece.length + word.length + 1 > maxChars) {
+                pieces.push(piece);
+                piece = '';
+            }
+            piece = piece ? `${piece} ${word}` : word.slice(0, maxChars);
+        }
+        if (piece) pieces.push(piece);
+    }
+    return pieces;
+}
+
+/**
+ * Split text into passages of at most `maxChars`, breaking at paragraphs and
+ * sentences. Each passage repeats up to `overlap` characters of trailing
+ * sentences from the one before, so answers spanning a boundary are found.
+ */
+export function chunkText(text, { maxChars = 600, overlap = 100 } = {}) {
+    const paragraphs = text
+        .replace(/\r\n?/g, '\n')
+        .split(/\n\s*\n/)
+        .map(p => p.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+
+    const chunks = [];
+    let current = [];
+    let length = 0;
+    let fresh = 0; // sentences not carried over from the previous chunk
+    const flush = () => {
+        chunks.push(current.join(' '));
+        // Carry trailing sentences (never the whole chunk) into the next one
+        const carried = [];
+        let carriedLength = 0;
+        for (let i = current.length - 1; i > 0; i--) {
+            if (carriedLength + current[i].length + 1 > overlap) break;
+            carried.unshift(current[i]);
+            carriedLength += current[i].length + 1;
+        }
+        current = carried;
+        length = carriedLength;
+        fresh = 0;
+    };
+
+    for (const paragraph of paragraphs) {
+        for (const sentence of splitSentences(paragraph, maxChars)) {
+            if (length + sentence.length + 1 > maxChars) {
+                if (fresh > 0) flush();
+                // No room next to the overlap: start clean
+                if (length + sentence.length + 1 > maxChars) {
+                    current = [];
+                    length = 0;
+                }
+            }
+            current.push(sentence);
+            length += sentence.length + 1;
+            fresh++;
+        }
+    }
+    if (fresh > 0) flush();
+    return chunks;
+}
+
+// ============================================================================
+// Retrieval and prompting
+// ============================================================================
+
+/**
+ * Readable document name for speech: "team_notes-2026.md" -> "team notes 2026"
+ */
+export function documentTitle(name) {
+    return name.replace(/\.[a-z0-9]+$/i, '').replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Embeddings are normalized, so the dot product is the cosine similarity
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+/**
+ * The `k` chunks most similar to `vector` with a score of at least `minScore`
+ */
+export function topK(vector, chunks, k = 3, minScore = 0) {
+    return chunks
+        .map(chunk => ({ chunk, score: dot(vector, chunk.vector) }))
+        .filter(({ score }) => score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k);
+}
+
+/**
+ * System prompt section with the retrieved passages
+ */
+export function formatPassages(passages) {
+    const lines = passages.map((passage, i) => `[${i + 1}] From "${passage.title}": ${passage.text}`);
+    return `DOCUMENTS:
+Passages from the user's own documents that may answer the question. Base your answer on them and say which document it came from, like "According to ${passages[0].title}, ...".
+${lines.join('\n')}`;
+}
+
+/**
+ * A spoken source line when the reply doesn't already name one of the
+ * documents it was given, e.g. "Source: team notes."; '' otherwise
+ */
+export function citation(reply, passages, label = 'Source') {
+    if (passages.length === 0) return '';
+    const titles = [...new Set(passages.map(p => p.title))];
+    const lower = reply.toLowerCase();
+    if (titles.some(title => lower.includes(title.toLowerCase()))) return '';
+    return `${label}: ${titles.slice(0, 2).join(', ')}.`;
+}
+
+// ============================================================================
+// Embeddings
+// ============================================================================
+
+/**
+ * Load a Transformers.js feature-extraction model from `localModelPath`
+ * (never from the network) and return `embed(texts) -> Float32Array[]`
+ * of normalized sentence vectors
+ */
+export async function createEmbedder({
+    model = EMBEDDING_MODEL,
+    localModelPath = '/models/embeddings/',
+    wasmPath = '/models/embeddings/wasm/',
+} = {}) {
+    const { pipeline, env } = await import('@xenova/transformers');
+    env.allowRemoteModels = false;
+    env.localModelPath = localModelPath;
+    // The service worker already caches /models/
+    env.useBrowserCache = false;
+    env.backends.onnx.wasm.wasmPaths = wasmPath;
+    env.backends.onnx.wasm.numThreads = 1;
+
+    const extractor = await pipeline('feature-extraction', model, { quantized: true });
+    console.log(`[Docs] Embedding model ready: ${model}`);
+
+    return async (texts) => {
+        const output = await extractor(texts, { pooling: 'mean', normalize: true });
+        const dim = output.dims[output.dims.length - 1];
+        return texts.map((_, i) => output.data.slice(i * dim, (i + 1) * dim));
+    };
+}
+
+// ============================================================================
+// Store
+// ============================================================================
+
+/**
+ * IndexedDB store for documents and their embedded chunks
+ */
+export class DocumentStore {
+    constructor({ dbName = 'nadha-documents', indexedDB = globalThis.indexedDB } = {}) {
+        if (!indexedDB) {
+            throw new Error('IndexedDB is not available');
+        }
+        this.dbName = dbName;
+        this.indexedDB = indexedDB;
+        this._db = null;
+    }
+
+    _open() {
+        if (!this._db) {
+            const request = this.indexedDB.open(this.dbName, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore(DOCUMENTS, { keyPath: 'id', autoIncrement: true });
+                const chunks = db.createObjectStore(CHUNKS, { keyPath: 'id', autoIncrement: true });
+                chunks.createIndex('docId', 'docId');
+            };
+            this._db = promisify(request);
+        }
+        return this._db;
+    }
+
+    /**
+     * Store a document record and its chunks; returns the stored document with its id
+     */
+    async add(document, chunks) {
+        const db = await this._open();
+        const tx = db.transaction([DOCUMENTS, CHUNKS], 'readwrite');
+        const done = transactionDone(tx);
+        const id = await promisify(tx.objectStore(DOCUMENTS).add(document));
+        const store = tx.objectStore(CHUNKS);
+        const stored = chunks.map(chunk => ({ ...chunk, docId: id }));
+        for (const chunk of stored) {
+            chunk.id = await promisify(store.add(chunk));
+        }
+        await done;
+        return { document: { ...document, id }, chunks: stored };
+    }
+
+    async documents() {
+        const db = await this._open();
+        return promisify(db.transaction(DOCUMENTS, 'readonly').objectStore(DOCUMENTS).getAll());
+    }
+
+    async chunks() {
+        const db = await this._open();
+        return promisify(db.transaction(CHUNKS, 'readonly').objectStore(CHUNKS).getAll());
+    }
+
+    async remove(id) {
+        const db = await this._open();
+        const tx = db.transaction([DOCUMENTS, CHUNKS], 'readwrite');
+        const done = transactionDone(tx);
+        tx.objectStore(DOCUMENTS).delete(id);
+        const store = tx.objectStore(CHUNKS);
+        for (const key of await promisify(store.index('docId').getAllKeys(id))) {
+            store.delete(key);
+        }
+        await done;
+    }
+
+    async clear() {
+        const db = await this._open();
+        const tx = db.transaction([DOCUMENTS, CHUNKS], 'readwrite');
+        const done = transactionDone(tx);
+        tx.objectStore(DOCUMENTS).clear();
+        tx.objectStore(CHUNKS).clear();
+        await done;
+    }
+}
+
+// ============================================================================
+// Index
+// ============================================================================
+
+/**
+ * Documents and chunk vectors held in memory for search, persisted through
+ * a DocumentStore. `embed(texts)` returns one normalized vector per text.
+ */
+export class DocumentIndex {
+    constructor({ store, embed, model = EMBEDDING_MODEL, batchSize = 8 }) {
+        this.store = store;
+        this.embed = embed;
+        this.model = model;
+        this.batchSize = batchSize;
+        this.documents = [];
+        this.chunks = [];
+    }
+
+    /**
+     * Read stored documents. Documents embedded with another model can't be
+     * searched with this one and are dropped.
+     */
+    async load() {
+        const documents = await this.store.documents();
+        for (const document of documents.filter(d => d.model !== this.model)) {
+            console.warn(`[Docs] Dropping ${document.name}: embedded with ${document.model}`);
+            await this.store.remove(document.id);
+        }
+        this.documents = documents.filter(d => d.model === this.model);
+        const ids = new Set(this.documents.map(d => d.id));
+        this.chunks = (await this.store.chunks()).filter(chunk => ids.has(chunk.docId));
+        return this.documents;
+    }
+
+    list() {
+        return this.documents;
+    }
+
+    /**
+     * Chunk, embed and store a document, replacing one with the same name.
+     * `onProgress(done, total)` counts embedded chunks.
+     */
+    async add(name, text, { type = '', bytes = text.length, onProgress = null } = {}) {
+        const texts = chunkText(text);
+        if (texts.length === 0) {
+            throw new Error(`${name} has no text`);
+        }
+
+        const vectors = [];
+        for (let i = 0; i < texts.length; i += this.batchSize) {
+            vectors.push(...await this.embed(texts.slice(i, i + this.batchSize)));
+            if (onProgress) onProgress(vectors.length, texts.length);
+        }
+
+        const previous = this.documents.find(d => d.name === name);
+        if (previous) await this.remove(previous.id);
+
+        const { document, chunks } = await this.store.add(
+            { name, type, bytes, chunks: texts.length, model: this.model, addedAt: Date.now() },
+            texts.map((chunk, index) => ({ index, text: chunk, vector: vectors[index] }))
+        );
+        this.documents.push(document);
+        this.chunks.push(...chunks);
+        console.log(`[Docs] Indexed ${name}: ${texts.length} passages`);
+        return document;
+    }
+
+    async remove(id) {
+        await this.store.remove(id);
+        this.documents = this.documents.filter(d => d.id !== id);
+        this.chunks = this.chunks.filter(chunk => chunk.docId !== id);
+    }
+
+    async clear() {
+        await this.store.clear();
+        this.documents = [];
+        this.chunks = [];
+    }
+
+    /**
+     * Passages most similar to `query`: [{ name, title, text, score }]
+     */
+    async search(query, { k = 3, minScore = 0.3 } = {}) {
+        if (this.chunks.length === 0) return [];
+        const [vector] = await this.embed([query]);
+        const names = new Map(this.documents.map(d => [d.id, d.name]));
+        return topK(vector, this.chunks, k, minScore).map(({ chunk, score }) => ({
+            name: names.get(chunk.docId),
+            title: documentTitle(names.get(chunk.docId)),
+            text: chunk.text,
+            score,
+        }));
+    }
+}
@@ -1,11 +1,15 @@
 import * as ort from 'onnxruntime-web';
+import { normalizeText } from './text-normalizer.js';
+import { isSsml, parseSsml } from './ssml.js';
+import { parseVoiceStyle } from './voice-style-format.js';
+import { encodeWav } from './audio-export.js';
+import { joinChunks, postProcess } from './audio-postprocess.js';
+import { AudioCache, audioCacheKey, styleFingerprint, sha256Hex } from './audio-cache.js';
+import { fetchWithProgress, fetchJson, combineProgress } from './model-loader.js';
+import { AVAILABLE_LANGS, isValidLang } from './languages.js';
 
 // Available languages for multilingual TTS
-export const AVAILABLE_LANGS = ['en', 'ko', 'es', 'pt', 'fr'];
-
-export function isValidLang(lang) {
-    return AVAILABLE_LANGS.includes(lang);
-}
+export { AVAILABLE_LANGS, isValidLang };
 
 /**
  * Unicode Text Processor
@@ -35,7 +39,8 @@ export class UnicodeProcessor {
     }
 
     preprocessText(text, lang) {
-        // TODO: Need advanced normalizer for better performance
+        // Spell out numbers, dates, currency and units before decomposition
+        text = normalizeText(text, lang);
         text = text.normalize('NFKD');
 
         // Remove emojis (wide Unicode range)
@@ -157,9 +162,29 @@ export class TextToSpeech {
         this.vectorEstOrt = vectorEstOrt;
         this.vocoderOrt = vocoderOrt;
         this.sampleRate = cfgs.ae.sample_rate;
+        this.audioCache = null;
+        this.modelVersion = null;
+    }
+
+    /**
+     * Keep synthesized clips in IndexedDB so call() can reuse them across
+     * sessions. Returns false when IndexedDB is unavailable.
+     */
+    enableAudioCache(options = {}) {
+        try {
+            this.audioCache = new AudioCache(options);
+            return true;
+        } catch (err) {
+            console.warn('[TTS] Audio cache disabled:', err.message);
+            return false;
+        }
+    }
+
+    async clearAudioCache() {
+        if (this.audioCache) await this.audioCache.clear();
     }
 
-    async _infer(textList, langList, style, totalStep, speed = 1.05, progressCallback = null) {
+    async _infer(textList, langList, style, totalStep, speed = 1.05, progressCallback = null, random = Math.random) {
         const bsz = textList.length;
         
         // Process text
@@ -195,23 +220,23 @@ export class TextToSpeech {
         const textEmb = textEncOutputs.text_emb;
         
         // Sample noisy latent
-        let { xt, latentMask } = this.sampleNoisyLatent(
+        const { xt, latentMask, latentShape } = this.sampleNoisyLatent(
             duration,
             this.sampleRate,
             this.cfgs.ae.base_chunk_size,
             this.cfgs.ttl.chunk_compress_factor,
-            this.cfgs.ttl.latent_dim
+            this.cfgs.ttl.latent_dim,
+            random
         );
         
-        const latentMaskFlat = new Float32Array(latentMask.flat(2));
-        const latentMaskShape = [bsz, 1, latentMask[0][0].length];
-        const latentMaskTensor = new ort.Tensor('float32', latentMaskFlat, latentMaskShape);
+        const latentMaskTensor = new ort.Tensor('float32', latentMask, [bsz, 1, latentShape[2]]);
         
         // Prepare constant arrays
         const totalStepArray = new Float32Array(bsz).fill(totalStep);
         const totalStepTensor = new ort.Tensor('float32', totalStepArray, [bsz]);
         
-        // Denoising loop
+        // Denoising loop: each step's output tensor is the next step's input
+        let xtTensor = new ort.Tensor('float32', xt, latentShape);
         for (let step = 0; step < totalStep; step++) {
             if (progressCallback) {
                 progressCallback(step + 1, totalStep);
@@ -220,10 +245,6 @@ export class TextToSpeech {
             const currentStepArray = new Float32Array(bsz).fill(step);
             const currentStepTensor = new ort.Tensor('float32', currentStepArray, [bsz]);
             
-            const xtFlat = new Float32Array(xt.flat(2));
-            const xtShape = [bsz, xt[0].length, xt[0][0].length];
-            const xtTensor = new ort.Tensor('float32', xtFlat, xtShape);
-            
             const vectorEstOutputs = await this.vectorEstOrt.run({
                 noisy_latent: xtTensor,
                 text_emb: textEmb,
@@ -234,72 +255,186 @@ export class TextToSpeech {
                 total_step: totalStepTensor
             });
             
-            const denoised = Array.from(vectorEstOutputs.denoised_latent.data);
-            
-            // Reshape to 3D
-            const latentDim = xt[0].length;
-            const latentLen = xt[0][0].length;
-            xt = [];
-            let idx = 0;
-            for (let b = 0; b < bsz; b++) {
-                const batch = [];
-                for (let d = 0; d < latentDim; d++) {
-                    const row = [];
-                    for (let t = 0; t < latentLen; t++) {
-                        row.push(denoised[idx++]);
-                    }
-                    batch.push(row);
-                }
-                xt.push(batch);
-            }
+            xtTensor = vectorEstOutputs.denoised_latent;
         }
         
         // Generate waveform
-        const finalXtFlat = new Float32Array(xt.flat(2));
-        const finalXtShape = [bsz, xt[0].length, xt[0][0].length];
-        const finalXtTensor = new ort.Tensor('float32', finalXtFlat, finalXtShape);
-        
         const vocoderOutputs = await this.vocoderOrt.run({
-            latent: finalXtTensor
+            latent: xtTensor
         });
         
-        const wav = Array.from(vocoderOutputs.wav_tts.data);
+        const wav = vocoderOutputs.wav_tts.data;
         
         return { wav, duration };
     }
 
-    async call(text, lang, style, totalStep, speed = 1.05, silenceDuration = 0.3, progressCallback = null) {
+    /**
+     * Synthesize arbitrarily long text. The text is split into chunks that are
+     * either run one at a time (default) or, with `options.batchSize > 1`,
+     * synthesized together in padded batches of that size. Pass `options.seed`
+     * for reproducible output.
+     *
+     * Text starting with `<speak>` is treated as SSML (see ssml.js) and
+     * rendered segment by segment.
+     *
+     * `options.postProcess` (see audio-postprocess.js) fades or crossfades
+     * chunk boundaries, trims edge silence and normalizes loudness.
+     *
+     * With an audio cache enabled, results are looked up and stored there
+     * unless `options.cache` is false.
+     */
+    async call(text, lang, style, totalStep, speed = 1.05, silenceDuration = 0.3, progressCallback = null, options = {}) {
         if (style.ttl.dims[0] !== 1) {
-            throw new Error('Single speaker text to speech only supports single style');
+            throw new Error('Single speaker text to speech only supports single style (mix a style batch with blendStyles)');
+        }
+        if (this.audioCache && options.cache !== false) {
+            return await this._callCached(text, lang, style, totalStep, speed, silenceDuration, progressCallback, options);
         }
+        const { batchSize = 1, seed = null, postProcess: postOptions = null } = options;
+        const random = seed === null ? Math.random : createSeededRandom(seed);
+        
+        if (isSsml(text)) {
+            return await this._callSsml(text, lang, style, totalStep, speed, silenceDuration, progressCallback, random, postOptions);
+        }
+        
         const maxLen = lang === 'ko' ? 120 : 300;
         const textList = chunkText(text, maxLen);
         const langList = new Array(textList.length).fill(lang);
-        let wavCat = [];
+        
+        if (batchSize > 1 && textList.length > 1) {
+            return await this._callBatched(textList, langList, style, totalStep, speed, silenceDuration, progressCallback, batchSize, random, postOptions);
+        }
+        
+        const wavs = [];
         let durCat = 0;
         
         for (let i = 0; i < textList.length; i++) {
-            const { wav, duration } = await this._infer([textList[i]], [langList[i]], style, totalStep, speed, progressCallback);
+            const { wav, duration } = await this._infer([textList[i]], [langList[i]], style, totalStep, speed, progressCallback, random);
+            wavs.push(wav);
+            durCat += i === 0 ? duration[0] : duration[0] + silenceDuration;
+        }
+        
+        return this._assemble(wavs, wavs.slice(1).map(() => silenceDuration), durCat, postOptions);
+    }
+
+    async _callCached(text, lang, style, totalStep, speed, silenceDuration, progressCallback, options) {
+        let key = null;
+        try {
+            // loadTextToSpeech() sets the version from the model files; fall back to the config
+            this.modelVersion ??= await sha256Hex(JSON.stringify(this.cfgs));
+            key = await audioCacheKey({
+                text, lang, styleId: await styleFingerprint(style), totalStep, speed, silenceDuration,
+                modelVersion: this.modelVersion, seed: options.seed ?? null, postProcess: options.postProcess ?? null,
+                // Batched chunks are padded together, so they can differ slightly from one-by-one output
+                batchSize: options.batchSize ?? 1,
+            });
+            const cached = await this.audioCache.get(key);
+            if (cached && cached.sampleRate === this.sampleRate) {
+                return { wav: cached.wav, duration: [cached.duration] };
+            }
+        } catch (err) {
+            console.warn('[TTS] Audio cache lookup failed:', err.message);
+        }
+
+        const result = await this.call(text, lang, style, totalStep, speed, silenceDuration, progressCallback, { ...options, cache: false });
+        if (key) {
+            // Store what playback uses: the samples up to the reported duration
+            const len = Math.min(result.wav.length, Math.floor(result.duration[0] * this.sampleRate));
+            this.audioCache.put(key, { wav: result.wav.subarray(0, len), duration: result.duration[0], sampleRate: this.sampleRate })
+                .catch(err => console.warn('[TTS] Audio cache write failed:', err.message));
+        }
+        return result;
+    }
+
+    /**
+     * Join synthesized chunks and run the optional post-processing chain.
+     * `gaps[i]` is the pause in seconds after chunk i.
+     */
+    _assemble(chunks, gaps, duration, postOptions) {
+        const wav = joinChunks(chunks, gaps, this.sampleRate, postOptions || {});
+        if (!postOptions) {
+            return { wav, duration: [duration] };
+        }
+        const processed = postProcess(wav, this.sampleRate, postOptions);
+        return { wav: processed, duration: [processed.length / this.sampleRate] };
+    }
+
+    /**
+     * Render SSML segments with their own language and speed. Pauses come
+     * only from <break>; `silenceDuration` is used between chunks of one long segment.
+     */
+    async _callSsml(ssml, lang, style, totalStep, speed, silenceDuration, progressCallback, random, postOptions) {
+        const parts = [];
+        const gaps = [];
+        let pause = 0;
+        let durCat = 0;
+        
+        const addPart = (wav) => {
+            if (parts.length > 0) {
+                gaps.push(pause);
+            } else if (pause > 0) {
+                // Leading break: plain silence, not a boundary to fade
+                parts.push(new Float32Array(Math.floor(pause * this.sampleRate)));
+                gaps.push(0);
+            }
+            parts.push(wav);
+            pause = 0;
+        };
+        
+        for (const segment of parseSsml(ssml, { lang, speed })) {
+            if (segment.type === 'break') {
+                pause += segment.time;
+                durCat += segment.time;
+                continue;
+            }
             
-            if (wavCat.length === 0) {
-                wavCat = wav;
-                durCat = duration[0];
-            } else {
-                const silenceLen = Math.floor(silenceDuration * this.sampleRate);
-                const silence = new Array(silenceLen).fill(0);
-                wavCat = [...wavCat, ...silence, ...wav];
-                durCat += duration[0] + silenceDuration;
+            const chunks = chunkText(segment.text, segment.lang === 'ko' ? 120 : 300);
+            for (let i = 0; i < chunks.length; i++) {
+                if (i > 0) {
+                    pause = silenceDuration;
+                    durCat += silenceDuration;
+                }
+                const { wav, duration } = await this._infer([chunks[i]], [segment.lang], style, totalStep, segment.speed, progressCallback, random);
+                const len = Math.min(wav.length, Math.floor(duration[0] * this.sampleRate));
+                addPart(wav.subarray(0, len));
+                durCat += len / this.sampleRate;
             }
         }
+        if (pause > 0) addPart(new Float32Array(0));
         
-        return { wav: wavCat, duration: [durCat] };
+        return this._assemble(parts, gaps, durCat, postOptions);
     }
 
-    async batch(textList, langList, style, totalStep, speed = 1.05, progressCallback = null) {
-        return await this._infer(textList, langList, style, totalStep, speed, progressCallback);
+    async _callBatched(textList, langList, style, totalStep, speed, silenceDuration, progressCallback, batchSize, random, postOptions) {
+        const wavs = [];
+        let durCat = 0;
+        
+        for (let start = 0; start < textList.length; start += batchSize) {
+            const texts = textList.slice(start, start + batchSize);
+            const langs = langList.slice(start, start + batchSize);
+            const batchStyle = repeatStyle(style, texts.length);
+            const { wav, duration } = await this._infer(texts, langs, batchStyle, totalStep, speed, progressCallback, random);
+            
+            // Vocoder output is [bsz, rowLen]; keep each row up to its own predicted duration
+            const rowLen = wav.length / texts.length;
+            for (let i = 0; i < texts.length; i++) {
+                const len = Math.min(rowLen, Math.floor(duration[i] * this.sampleRate));
+                wavs.push(wav.subarray(i * rowLen, i * rowLen + len));
+                durCat += len / this.sampleRate;
+            }
+        }
+        
+        durCat += silenceDuration * (wavs.length - 1);
+        return this._assemble(wavs, wavs.slice(1).map(() => silenceDuration), durCat, postOptions);
     }
 
-    sampleNoisyLatent(duration, sampleRate, baseChunkSize, chunkCompress, latentDim) {
+    async batch(textList, langList, style, totalStep, speed = 1.05, progressCallback = null, options = {}) {
+        const { seed = null } = options;
+        const random = seed === null ? Math.random : createSeededRandom(seed);
+        return await this._infer(textList, langList, repeatStyle(style, textList.length), totalStep, speed, progressCallback, random);
+    }
+
+    sampleNoisyLatent(duration, sampleRate, baseChunkSize, chunkCompress, latentDim, random = Math.random) {
         const bsz = duration.length;
         const maxDur = Math.max(...duration);
         
@@ -310,95 +445,149 @@ export class TextToSpeech {
         const latentLen = Math.floor((wavLenMax + chunkSize - 1) / chunkSize);
         const latentDimVal = latentDim * chunkCompress;
         
-        const xt = [];
+        // Flat [bsz, 1, latentLen] mask
+        const latentLengths = wavLengths.map(len => Math.floor((len + chunkSize - 1) / chunkSize));
+        const latentMask = new Float32Array(bsz * latentLen);
+        for (let b = 0; b < bsz; b++) {
+            latentMask.fill(1.0, b * latentLen, b * latentLen + Math.min(latentLengths[b], latentLen));
+        }
+        
+        // Flat [bsz, latentDimVal, latentLen] gaussian noise, masked
+        const xt = new Float32Array(bsz * latentDimVal * latentLen);
+        let idx = 0;
         for (let b = 0; b < bsz; b++) {
-            const batch = [];
             for (let d = 0; d < latentDimVal; d++) {
-                const row = [];
                 for (let t = 0; t < latentLen; t++) {
                     // Box-Muller transform
-                    const u1 = Math.max(0.0001, Math.random());
-                    const u2 = Math.random();
+                    const u1 = Math.max(0.0001, random());
+                    const u2 = random();
                     const val = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
-                    row.push(val);
+                    xt[idx++] = val * latentMask[b * latentLen + t];
                 }
-                batch.push(row);
             }
-            xt.push(batch);
         }
         
-        const latentLengths = wavLengths.map(len => Math.floor((len + chunkSize - 1) / chunkSize));
-        const latentMask = this.lengthToMask(latentLengths, latentLen);
-        
-        // Apply mask
+        return { xt, latentMask, latentShape: [bsz, latentDimVal, latentLen] };
+    }
+}
+
+/**
+ * Seedable uniform PRNG (mulberry32) returning floats in [0, 1)
+ */
+export function createSeededRandom(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Tile a single voice style along the batch dimension
+ */
+export function repeatStyle(style, bsz) {
+    if (style.ttl.dims[0] === bsz) return style;
+    if (style.ttl.dims[0] !== 1) {
+        throw new Error(`Cannot repeat a batch of ${style.ttl.dims[0]} styles to ${bsz}`);
+    }
+    const tile = (tensor) => {
+        const data = new Float32Array(tensor.data.length * bsz);
         for (let b = 0; b < bsz; b++) {
-            for (let d = 0; d < latentDimVal; d++) {
-                for (let t = 0; t < latentLen; t++) {
-                    xt[b][d][t] *= latentMask[b][0][t];
-                }
+            data.set(tensor.data, b * tensor.data.length);
+        }
+        return new ort.Tensor('float32', data, [bsz, ...tensor.dims.slice(1)]);
+    };
+    return new Style(tile(style.ttl), tile(style.dp));
+}
+
+/**
+ * Mix a batch of voice styles into a single voice by weighted interpolation
+ * of style_ttl and style_dp. Weights are normalized to sum to 1, so
+ * [70, 30] and [0.7, 0.3] give the same voice.
+ */
+export function blendStyles(style, weights) {
+    const count = style.ttl.dims[0];
+    if (weights.length !== count) {
+        throw new Error(`Expected ${count} blend weights, got ${weights.length}`);
+    }
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    if (weights.some(w => !(w >= 0)) || !(total > 0)) {
+        throw new Error('Blend weights must be non-negative and not all zero');
+    }
+    const mix = (tensor) => {
+        const size = tensor.data.length / count;
+        const data = new Float32Array(size);
+        for (let b = 0; b < count; b++) {
+            const w = weights[b] / total;
+            if (w === 0) continue;
+            const offset = b * size;
+            for (let i = 0; i < size; i++) {
+                data[i] += w * tensor.data[offset + i];
             }
         }
-        
-        return { xt, latentMask };
+        return new ort.Tensor('float32', data, [1, ...tensor.dims.slice(1)]);
+    };
+    return new Style(mix(style.ttl), mix(style.dp));
+}
+
+function nestArray(data, dims, offset = 0) {
+    if (dims.length === 1) return Array.from(data.subarray(offset, offset + dims[0]));
+    const stride = dims.slice(1).reduce((a, b) => a * b, 1);
+    const out = [];
+    for (let i = 0; i < dims[0]; i++) {
+        out.push(nestArray(data, dims.slice(1), offset + i * stride));
     }
+    return out;
+}
 
-    lengthToMask(lengths, maxLen = null) {
-        const actualMaxLen = maxLen || Math.max(...lengths);
-        return lengths.map(len => {
-            const row = new Array(actualMaxLen).fill(0.0);
-            for (let j = 0; j < Math.min(len, actualMaxLen); j++) {
-                row[j] = 1.0;
-            }
-            return [row];
-        });
+/**
+ * Serialize a single voice style in the voice style JSON format read by loadVoiceStyle
+ */
+export function styleToJSON(style) {
+    if (style.ttl.dims[0] !== 1) {
+        throw new Error('Only a single voice style can be saved');
     }
+    const toJSON = (tensor) => ({ dims: [...tensor.dims], data: nestArray(tensor.data, tensor.dims) });
+    return { style_ttl: toJSON(style.ttl), style_dp: toJSON(style.dp) };
 }
 
 /**
- * Load voice style from JSON files
+ * Load voice style files (JSON or binary .vstyle) into one batch
  */
 export async function loadVoiceStyle(voiceStylePaths, verbose = false) {
     const bsz = voiceStylePaths.length;
     
-    // Read first file to get dimensions
-    const firstResponse = await fetch(voiceStylePaths[0]);
-    const firstStyle = await firstResponse.json();
-    
-    const ttlDims = firstStyle.style_ttl.dims;
-    const dpDims = firstStyle.style_dp.dims;
+    const styles = await Promise.all(voiceStylePaths.map(async (path) => {
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(`Failed to load voice style ${path}: ${response.status}`);
+        }
+        return parseVoiceStyle(await response.arrayBuffer(), path);
+    }));
     
-    const ttlDim1 = ttlDims[1];
-    const ttlDim2 = ttlDims[2];
-    const dpDim1 = dpDims[1];
-    const dpDim2 = dpDims[2];
+    const ttlDims = styles[0].ttl.dims;
+    const dpDims = styles[0].dp.dims;
+    const ttlSize = ttlDims[1] * ttlDims[2];
+    const dpSize = dpDims[1] * dpDims[2];
     
     // Pre-allocate arrays with full batch size
-    const ttlSize = bsz * ttlDim1 * ttlDim2;
-    const dpSize = bsz * dpDim1 * dpDim2;
-    const ttlFlat = new Float32Array(ttlSize);
-    const dpFlat = new Float32Array(dpSize);
+    const ttlFlat = new Float32Array(bsz * ttlSize);
+    const dpFlat = new Float32Array(bsz * dpSize);
     
-    // Fill in the data
     for (let i = 0; i < bsz; i++) {
-        const response = await fetch(voiceStylePaths[i]);
-        const voiceStyle = await response.json();
-        
-        // Flatten TTL data
-        const ttlData = voiceStyle.style_ttl.data.flat(Infinity);
-        const ttlOffset = i * ttlDim1 * ttlDim2;
-        ttlFlat.set(ttlData, ttlOffset);
-        
-        // Flatten DP data
-        const dpData = voiceStyle.style_dp.data.flat(Infinity);
-        const dpOffset = i * dpDim1 * dpDim2;
-        dpFlat.set(dpData, dpOffset);
+        const { ttl, dp } = styles[i];
+        if (ttl.data.length !== ttlSize || dp.data.length !== dpSize) {
+            throw new Error(`Voice style ${voiceStylePaths[i]} does not match the dimensions of ${voiceStylePaths[0]}`);
+        }
+        ttlFlat.set(ttl.data, i * ttlSize);
+        dpFlat.set(dp.data, i * dpSize);
     }
     
-    const ttlShape = [bsz, ttlDim1, ttlDim2];
-    const dpShape = [bsz, dpDim1, dpDim2];
-    
-    const ttlTensor = new ort.Tensor('float32', ttlFlat, ttlShape);
-    const dpTensor = new ort.Tensor('float32', dpFlat, dpShape);
+    const ttlTensor = new ort.Tensor('float32', ttlFlat, [bsz, ttlDims[1], ttlDims[2]]);
+    const dpTensor = new ort.Tensor('float32', dpFlat, [bsz, dpDims[1], dpDims[2]]);
     
     if (verbose) {
         console.log(`Loaded ${bsz} voice styles`);
@@ -410,23 +599,20 @@ export async function loadVoiceStyle(voiceStylePaths, verbose = false) {
 /**
  * Load configuration from JSON
  */
-export async function loadCfgs(onnxDir) {
-    const response = await fetch(`${onnxDir}/tts.json`);
-    const cfgs = await response.json();
-    return cfgs;
+export async function loadCfgs(onnxDir, signal = null) {
+    return fetchJson(`${onnxDir}/tts.json`, { signal });
 }
 
 /**
  * Load text processor
  */
-export async function loadTextProcessor(onnxDir) {
-    const response = await fetch(`${onnxDir}/unicode_indexer.json`);
-    const indexer = await response.json();
+export async function loadTextProcessor(onnxDir, signal = null) {
+    const indexer = await fetchJson(`${onnxDir}/unicode_indexer.json`, { signal });
     return new UnicodeProcessor(indexer);
 }
 
 /**
- * Load ONNX model
+ * Load ONNX model from a path or the model bytes
  */
 export async function loadOnnx(onnxPath, options) {
     const session = await ort.InferenceSession.create(onnxPath, options);
@@ -434,12 +620,15 @@ export async function loadOnnx(onnxPath, options) {
 }
 
 /**
- * Load all TTS components
+ * Load all TTS components. The four ONNX files download in parallel;
+ * `loadOptions.onBytes(loaded, total)` reports their combined progress and
+ * `loadOptions.signal` cancels the load.
  */
-export async function loadTextToSpeech(onnxDir, sessionOptions = {}, progressCallback = null) {
+export async function loadTextToSpeech(onnxDir, sessionOptions = {}, progressCallback = null, loadOptions = {}) {
+    const { signal = null, onBytes = null } = loadOptions;
     console.log('Using WebAssembly/WebGPU for inference');
     
-    const cfgs = await loadCfgs(onnxDir);
+    const cfgs = await loadCfgs(onnxDir, signal);
     
     const dpPath = `${onnxDir}/duration_predictor.onnx`;
     const textEncPath = `${onnxDir}/text_encoder.onnx`;
@@ -453,19 +642,28 @@ export async function loadTextToSpeech(onnxDir, sessionOptions = {}, progressCal
         { name: 'Vocoder', path: vocoderPath }
     ];
     
+    const fileProgress = combineProgress(onBytes);
+    const modelBytes = await Promise.all(modelPaths.map(({ path }) => (
+        fetchWithProgress(path, { signal, onProgress: fileProgress(path) })
+    )));
+    // Cached audio is keyed by the exact model files, so an updated model never replays old clips
+    const fileHashes = await Promise.all(modelBytes.map(bytes => sha256Hex(bytes)));
+    
     const sessions = [];
     for (let i = 0; i < modelPaths.length; i++) {
+        signal?.throwIfAborted();
         if (progressCallback) {
             progressCallback(modelPaths[i].name, i + 1, modelPaths.length);
         }
-        const session = await loadOnnx(modelPaths[i].path, sessionOptions);
+        const session = await loadOnnx(modelBytes[i], sessionOptions);
         sessions.push(session);
     }
     
     const [dpOrt, textEncOrt, vectorEstOrt, vocoderOrt] = sessions;
     
-    const textProcessor = await loadTextProcessor(onnxDir);
+    const textProcessor = await loadTextProcessor(onnxDir, signal);
     const textToSpeech = new TextToSpeech(cfgs, textProcessor, dpOrt, textEncOrt, vectorEstOrt, vocoderOrt);
+    textToSpeech.modelVersion = await sha256Hex(JSON.stringify({ cfgs, files: fileHashes }));
     
     return { textToSpeech, cfgs };
 }
@@ -513,49 +711,8 @@ function chunkText(text, maxLen = 300) {
 }
 
 /**
- * Write WAV file to ArrayBuffer
+ * Write 16-bit PCM WAV file to ArrayBuffer (see audio-export.js for other formats)
  */
 export function writeWavFile(audioData, sampleRate) {
-    const numChannels = 1;
-    const bitsPerSample = 16;
-    const byteRate = sampleRate * numChannels * bitsPerSample / 8;
-    const blockAlign = numChannels * bitsPerSample / 8;
-    const dataSize = audioData.length * 2;
-    
-    // Create ArrayBuffer
-    const buffer = new ArrayBuffer(44 + dataSize);
-    const view = new DataView(buffer);
-    
-    // Write WAV header
-    const writeString = (offset, string) => {
-        for (let i = 0; i < string.length; i++) {
-            view.setUint8(offset + i, string.charCodeAt(i));
-        }
-    };
-    
-    writeString(0, 'RIFF');
-    view.setUint32(4, 36 + dataSize, true);
-    writeString(8, 'WAVE');
-    writeString(12, 'fmt ');
-    view.setUint32(16, 16, true);
-    view.setUint16(20, 1, true); // PCM
-    view.setUint16(22, numChannels, true);
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, byteRate, true);
-    view.setUint16(32, blockAlign, true);
-    view.setUint16(34, bitsPerSample, true);
-    writeString(36, 'data');
-    view.setUint32(40, dataSize, true);
-    
-    // Write audio data
-    const int16Data = new Int16Array(audioData.length);
-    for (let i = 0; i < audioData.length; i++) {
-        const clamped = Math.max(-1.0, Math.min(1.0, audioData[i]));
-        int16Data[i] = Math.floor(clamped * 32767);
-    }
-    
-    const dataView = new Uint8Array(buffer, 44);
-    dataView.set(new Uint8Array(int16Data.buffer));
-    
-    return buffer;
+    return encodeWav(audioData, sampleRate, { bitDepth: 16 });
 }
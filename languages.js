@@ -0,0 +1,10 @@
+/**
+ * Languages the Supertonic TTS model can speak
+ * Kept free of imports so any module can depend on it.
+ */
+
+export const AVAILABLE_LANGS = ['en', 'ko', 'es', 'pt', 'fr'];
+
+export function isValidLang(lang) {
+    return AVAILABLE_LANGS.includes(lang);
+}
@@ -1,17 +1,22 @@
-import {
-    loadTextToSpeech,
-    loadVoiceStyle,
-    writeWavFile
-} from './helper.js';
+import { writeWavFile } from './helper.js';
+import { loadTextToSpeech, loadVoiceStyle, blendStyles, styleToJSON } from './tts-service.js';
+import { EXPORT_FORMATS, exportAudio, getSupportedExportFormats } from './audio-export.js';
+import { isDialogueScript, parseDialogueScript, synthesizeDialogue } from './dialogue.js';
 
 // Configuration
 const DEFAULT_VOICE_STYLE_PATH = 'assets/voice_styles/M1.json';
+const SYNTHESIS_BATCH_SIZE = 4; // chunks of long text synthesized together
 
 // Helper function to extract filename from path
 function getFilenameFromPath(path) {
     return path.split('/').pop();
 }
 
+// Escape user text before putting it into innerHTML (SSML input contains tags)
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
 // Global state
 let textToSpeech = null;
 let cfgs = null;
@@ -19,6 +24,12 @@ let cfgs = null;
 // Pre-computed style
 let currentStyle = null;
 let currentStylePath = DEFAULT_VOICE_STYLE_PATH;
+let blendedStyle = null;
+
+// Last synthesized audio, kept for export in other formats
+let lastAudio = null;
+let exportFormats = ['wav16'];
+const EXPORT_SAMPLE_RATES = [8000, 16000, 22050, 24000, 44100, 48000];
 
 // UI Elements
 const textInput = document.getElementById('text');
@@ -105,6 +116,8 @@ async function initializeModels() {
             cfgs = result.cfgs;
         }
         
+        await textToSpeech.enableAudioCache();
+        
         showStatus('ℹ️ <strong>Loading default voice style...</strong>');
         
         // Load default voice style
@@ -113,6 +126,8 @@ async function initializeModels() {
         
         showStatus(`✅ <strong>Models loaded!</strong> Using ${executionProvider.toUpperCase()}. You can now generate speech.`, 'success');
         showBackendBadge();
+        createBlendPanel();
+        exportFormats = await getSupportedExportFormats();
         
         generateBtn.disabled = false;
         
@@ -194,17 +209,20 @@ async function generateSpeech() {
         showStatus('ℹ️ <strong>Generating speech from text...</strong>');
         const tic = Date.now();
         
-        const { wav, duration } = await textToSpeech.call(
-            text,
-            lang,
-            currentStyle, 
-            totalStep,
-            speed,
-            0.3,
-            (step, total) => {
-                showStatus(`ℹ️ <strong>Denoising (${step}/${total})...</strong>`);
-            }
-        );
+        const { wav, duration, segments = null } = isDialogueScript(text, dialogueSpeakers())
+            ? await generateDialogue(text, lang, totalStep, speed)
+            : await textToSpeech.call(
+                text,
+                lang,
+                currentStyle, 
+                totalStep,
+                speed,
+                0.3,
+                (step, total) => {
+                    showStatus(`ℹ️ <strong>Denoising (${step}/${total})...</strong>`);
+                },
+                { batchSize: SYNTHESIS_BATCH_SIZE }
+            );
         
         const toc = Date.now();
         console.log(`Text-to-speech synthesis: ${((toc - tic) / 1000).toFixed(2)}s`);
@@ -212,6 +230,7 @@ async function generateSpeech() {
         showStatus('ℹ️ <strong>Creating audio file...</strong>');
         const wavLen = Math.floor(textToSpeech.sampleRate * duration[0]);
         const wavOut = wav.slice(0, wavLen);
+        lastAudio = { samples: wavOut, sampleRate: textToSpeech.sampleRate };
         
         // Create WAV file
         const wavBuffer = writeWavFile(wavOut, textToSpeech.sampleRate);
@@ -228,7 +247,7 @@ async function generateSpeech() {
             <div class="result-item">
                 <div class="result-text-container">
                     <div class="result-text-label">Input Text</div>
-                    <div class="result-text">${text}</div>
+                    <div class="result-text">${escapeHtml(text)}</div>
                 </div>
                 <div class="result-info">
                     <div class="info-item">
@@ -240,15 +259,17 @@ async function generateSpeech() {
                         <strong>${totalTimeSec}s</strong>
                     </div>
                 </div>
+                ${segments ? renderSegments(segments) : ''}
                 <div class="result-player">
                     <audio controls>
                         <source src="${url}" type="audio/wav">
                     </audio>
                 </div>
                 <div class="result-actions">
-                    <button onclick="downloadAudio('${url}', 'synthesized_speech.wav')">
+                    ${renderExportControls(textToSpeech.sampleRate)}
+                    <button onclick="downloadResult()">
                         <span>⬇️</span>
-                        <span>Download WAV</span>
+                        <span>Download</span>
                     </button>
                 </div>
             </div>
@@ -273,6 +294,210 @@ async function generateSpeech() {
     }
 }
 
+// ============================================================================
+// Dialogue
+// ============================================================================
+
+const DIALOGUE_TURN_GAP = 0.4; // seconds between speakers
+
+// Speaker tags name voice files from the dropdown, e.g. [M1] -> .../M1.json
+function findVoicePath(speaker) {
+    const option = [...voiceStyleSelect.options].find(({ value }) => (
+        value && getFilenameFromPath(value).replace(/\.json$/i, '').toLowerCase() === speaker.toLowerCase()
+    ));
+    if (!option) {
+        throw new Error(`No voice style named "${speaker}" for the dialogue`);
+    }
+    return option.value;
+}
+
+// Names usable as speaker tags: the voice files in the dropdown
+function dialogueSpeakers() {
+    return [...voiceStyleSelect.options]
+        .filter(({ value }) => value)
+        .map(({ value }) => getFilenameFromPath(value).replace(/\.json$/i, ''));
+}
+
+async function generateDialogue(script, lang, totalStep, speed) {
+    const speakers = [...new Set(parseDialogueScript(script, dialogueSpeakers()).map(({ speaker }) => speaker))];
+    const voices = {};
+    for (const speaker of speakers) {
+        voices[speaker] = await loadVoiceStyle([findVoicePath(speaker)]);
+    }
+
+    try {
+        const { wav, duration, segments } = await synthesizeDialogue(textToSpeech, script, voices, {
+            lang,
+            totalStep,
+            speed,
+            turnGap: DIALOGUE_TURN_GAP,
+            batchSize: SYNTHESIS_BATCH_SIZE,
+            progressCallback: (done, total) => {
+                showStatus(`ℹ️ <strong>Synthesizing dialogue (${done}/${total} lines)...</strong>`);
+            }
+        });
+        return { wav, duration: [duration], segments };
+    } finally {
+        Object.values(voices).forEach(style => style.release());
+    }
+}
+
+function renderSegments(segments) {
+    const rows = segments.map(({ speaker, text, start, end }) => `
+        <li><strong>${escapeHtml(speaker)}</strong> ${start.toFixed(2)}s – ${end.toFixed(2)}s: ${escapeHtml(text)}</li>
+    `).join('');
+    return `<ol class="result-segments">${rows}</ol>`;
+}
+
+// ============================================================================
+// Voice blending
+// ============================================================================
+
+const blendSliders = [];
+
+// Sliders for every voice in the style dropdown; built at runtime so the page markup stays unchanged
+function createBlendPanel() {
+    const voices = [...voiceStyleSelect.options].filter(option => option.value);
+    if (voices.length < 2) return;
+
+    const panel = document.createElement('div');
+    panel.className = 'blend-panel';
+    panel.innerHTML = '<div class="blend-title">Voice blend</div>';
+
+    for (const voice of voices) {
+        const row = document.createElement('label');
+        row.className = 'blend-row';
+        row.innerHTML = `
+            <span class="blend-name">${escapeHtml(voice.textContent)}</span>
+            <input type="range" min="0" max="100" step="5" value="${voice.value === currentStylePath ? 100 : 0}">
+            <span class="blend-value"></span>
+        `;
+        const slider = row.querySelector('input');
+        const value = row.querySelector('.blend-value');
+        const update = () => { value.textContent = `${slider.value}%`; };
+        slider.addEventListener('input', update);
+        update();
+        blendSliders.push({ path: voice.value, name: getFilenameFromPath(voice.value), slider });
+        panel.appendChild(row);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'blend-actions';
+    actions.innerHTML = `
+        <button type="button" class="blend-audition">Audition blend</button>
+        <button type="button" class="blend-save">Save style JSON</button>
+    `;
+    actions.querySelector('.blend-audition').addEventListener('click', auditionBlend);
+    actions.querySelector('.blend-save').addEventListener('click', saveBlend);
+    panel.appendChild(actions);
+
+    voiceStyleSelect.parentElement.after(panel);
+}
+
+function selectedBlend() {
+    return blendSliders
+        .map(({ path, name, slider }) => ({ path, name, weight: Number(slider.value) }))
+        .filter(({ weight }) => weight > 0);
+}
+
+function describeBlend(mix) {
+    const total = mix.reduce((sum, { weight }) => sum + weight, 0);
+    return mix.map(({ name, weight }) => `${Math.round(weight / total * 100)}% ${name}`).join(' + ');
+}
+
+// Load the chosen voices as one batch and mix them into a single style
+async function applyBlend() {
+    const mix = selectedBlend();
+    if (mix.length === 0) {
+        throw new Error('Move at least one slider above 0%.');
+    }
+
+    const batch = await loadVoiceStyle(mix.map(({ path }) => path));
+    let style;
+    try {
+        style = await blendStyles(batch, mix.map(({ weight }) => weight));
+    } finally {
+        batch.release();
+    }
+
+    if (blendedStyle) blendedStyle.release();
+    blendedStyle = style;
+    currentStyle = style;
+    voiceStyleInfo.textContent = `Blend: ${describeBlend(mix)}`;
+    return mix;
+}
+
+async function auditionBlend() {
+    try {
+        generateBtn.disabled = true;
+        hideError();
+        showStatus('ℹ️ <strong>Blending voice styles...</strong>');
+        const mix = await applyBlend();
+        showStatus(`✅ <strong>Voice blend ready:</strong> ${escapeHtml(describeBlend(mix))}`, 'success');
+        generateBtn.disabled = false;
+        if (textInput.value.trim()) await generateSpeech();
+    } catch (error) {
+        generateBtn.disabled = false;
+        showError(`Error blending voice styles: ${error.message}`);
+    }
+}
+
+async function saveBlend() {
+    try {
+        hideError();
+        const mix = await applyBlend();
+        const json = await styleToJSON(currentStyle);
+        const blob = new Blob([JSON.stringify(json)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const filename = `blend_${mix.map(({ name, weight }) => `${name.replace(/\.json$/, '')}-${weight}`).join('_')}.json`;
+        window.downloadAudio(url, filename);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+        showError(`Error saving voice blend: ${error.message}`);
+    }
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+function renderExportControls(nativeRate) {
+    const formats = exportFormats.map(id => `<option value="${id}">${EXPORT_FORMATS[id].label}</option>`).join('');
+    const rates = EXPORT_SAMPLE_RATES.filter(rate => rate !== nativeRate)
+        .map(rate => `<option value="${rate}">${rate / 1000} kHz</option>`).join('');
+    return `
+        <select id="exportFormat" title="Format">${formats}</select>
+        <select id="exportRate" title="Sample rate">
+            <option value="">${nativeRate / 1000} kHz (native)</option>
+            ${rates}
+        </select>
+        <label class="export-dither"><input type="checkbox" id="exportDither"> Dither</label>
+    `;
+}
+
+window.downloadResult = async function () {
+    if (!lastAudio) return;
+
+    const format = document.getElementById('exportFormat').value;
+    const targetSampleRate = Number(document.getElementById('exportRate').value) || null;
+    const dither = document.getElementById('exportDither').checked;
+    const spec = EXPORT_FORMATS[format];
+
+    try {
+        hideError();
+        showStatus(`ℹ️ <strong>Encoding ${spec.label}...</strong>`);
+        const blob = await exportAudio(lastAudio.samples, lastAudio.sampleRate, { format, targetSampleRate, dither });
+        const url = URL.createObjectURL(blob);
+        const rate = spec.extension === 'wav' ? `_${(targetSampleRate || lastAudio.sampleRate) / 1000}k` : '';
+        window.downloadAudio(url, `synthesized_speech${rate}.${spec.extension}`);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        showStatus(`✅ <strong>Exported ${spec.label}</strong>`, 'success');
+    } catch (error) {
+        console.error('Export failed:', error);
+        showError(`Export failed: ${error.message}`);
+    }
+};
+
 // Download handler (make it global so it can be called from onclick)
 window.downloadAudio = function(url, filename) {
     const a = document.createElement('a');
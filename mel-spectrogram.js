@@ -0,0 +1,197 @@
+/**
+ * Log-mel spectrogram matching Whisper's feature extractor
+ * (n_fft = 400, hop = 160, Slaney mel scale, 30 s windows at 16 kHz)
+ */
+
+import FFT from 'fft.js';
+
+export const SAMPLE_RATE = 16000;
+export const N_FFT = 400;
+export const HOP_LENGTH = 160;
+export const CHUNK_LENGTH = 30;
+export const N_SAMPLES = CHUNK_LENGTH * SAMPLE_RATE;
+export const N_FRAMES = N_SAMPLES / HOP_LENGTH;
+
+const N_BINS = N_FFT / 2 + 1;
+
+/**
+ * Slaney-style mel scale (linear below 1 kHz, logarithmic above)
+ */
+function hzToMel(hz) {
+    const fSp = 200 / 3;
+    const minLogHz = 1000;
+    const minLogMel = minLogHz / fSp;
+    const logStep = Math.log(6.4) / 27;
+    return hz < minLogHz ? hz / fSp : minLogMel + Math.log(hz / minLogHz) / logStep;
+}
+
+function melToHz(mel) {
+    const fSp = 200 / 3;
+    const minLogHz = 1000;
+    const minLogMel = minLogHz / fSp;
+    const logStep = Math.log(6.4) / 27;
+    return mel < minLogMel ? mel * fSp : minLogHz * Math.exp(logStep * (mel - minLogMel));
+}
+
+/**
+ * Build a [nMels x N_BINS] filterbank, equivalent to librosa.filters.mel(norm='slaney')
+ */
+function createMelFilters(nMels, sampleRate = SAMPLE_RATE, fMax = sampleRate / 2) {
+    const minMel = hzToMel(0);
+    const maxMel = hzToMel(fMax);
+    const melPoints = new Float64Array(nMels + 2);
+    for (let i = 0; i < nMels + 2; i++) {
+        melPoints[i] = melToHz(minMel + (maxMel - minMel) * i / (nMels + 1));
+    }
+
+    const filters = new Float32Array(nMels * N_BINS);
+    for (let m = 0; m < nMels; m++) {
+        const lower = melPoints[m];
+        const center = melPoints[m + 1];
+        const upper = melPoints[m + 2];
+        const enorm = 2 / (upper - lower);
+        for (let k = 0; k < N_BINS; k++) {
+            const freq = k * sampleRate / N_FFT;
+            const rising = (freq - lower) / (center - lower);
+            const falling = (upper - freq) / (upper - center);
+            filters[m * N_BINS + k] = Math.max(0, Math.min(rising, falling)) * enorm;
+        }
+    }
+    return filters;
+}
+
+/**
+ * 400-point DFT via Bluestein's algorithm on top of a power-of-two FFT,
+ * since fft.js only supports radix-2 sizes
+ */
+class BluesteinDFT {
+    constructor(n) {
+        this.n = n;
+        let m = 1;
+        while (m < 2 * n - 1) m <<= 1;
+        this.m = m;
+        this.fft = new FFT(m);
+
+        // Chirp w[k] = exp(-i*pi*k^2/n), phase reduced mod 2n for precision
+        this.chirpRe = new Float64Array(n);
+        this.chirpIm = new Float64Array(n);
+        for (let k = 0; k < n; k++) {
+            const phase = Math.PI * ((k * k) % (2 * n)) / n;
+            this.chirpRe[k] = Math.cos(phase);
+            this.chirpIm[k] = -Math.sin(phase);
+        }
+
+        // Spectrum of the conjugate chirp, wrapped for circular convolution
+        const b = new Float64Array(2 * m);
+        for (let k = 0; k < n; k++) {
+            b[2 * k] = this.chirpRe[k];
+            b[2 * k + 1] = -this.chirpIm[k];
+            if (k > 0) {
+                b[2 * (m - k)] = this.chirpRe[k];
+                b[2 * (m - k) + 1] = -this.chirpIm[k];
+            }
+        }
+        this.chirpSpectrum = new Float64Array(2 * m);
+        this.fft.transform(this.chirpSpectrum, b);
+
+        this.work = new Float64Array(2 * m);
+        this.spectrum = new Float64Array(2 * m);
+    }
+
+    /**
+     * Write |X[k]|^2 for k in [0, bins) into `out`
+     */
+    powerSpectrum(frame, out, bins) {
+        const { n, m, work, spectrum, chirpSpectrum, chirpRe, chirpIm } = this;
+        work.fill(0);
+        for (let k = 0; k < n; k++) {
+            work[2 * k] = frame[k] * chirpRe[k];
+            work[2 * k + 1] = frame[k] * chirpIm[k];
+        }
+        this.fft.transform(spectrum, work);
+        for (let k = 0; k < m; k++) {
+            const re = spectrum[2 * k];
+            const im = spectrum[2 * k + 1];
+            const bRe = chirpSpectrum[2 * k];
+            const bIm = chirpSpectrum[2 * k + 1];
+            spectrum[2 * k] = re * bRe - im * bIm;
+            spectrum[2 * k + 1] = re * bIm + im * bRe;
+        }
+        this.fft.inverseTransform(work, spectrum);
+        for (let k = 0; k < bins; k++) {
+            const re = work[2 * k] * chirpRe[k] - work[2 * k + 1] * chirpIm[k];
+            const im = work[2 * k] * chirpIm[k] + work[2 * k + 1] * chirpRe[k];
+            out[k] = re * re + im * im;
+        }
+    }
+}
+
+const filterCache = new Map();
+let dft = null;
+let hannWindow = null;
+
+function getMelFilters(nMels) {
+    if (!filterCache.has(nMels)) {
+        filterCache.set(nMels, createMelFilters(nMels));
+    }
+    return filterCache.get(nMels);
+}
+
+/**
+ * Compute Whisper input features for 16 kHz mono audio.
+ * Audio is padded/truncated to `nFrames * HOP_LENGTH` samples.
+ * Returns a Float32Array laid out as [nMels, nFrames].
+ */
+export function logMelSpectrogram(audio, nMels = 80, nFrames = N_FRAMES) {
+    if (!dft) {
+        dft = new BluesteinDFT(N_FFT);
+        hannWindow = new Float64Array(N_FFT);
+        for (let i = 0; i < N_FFT; i++) {
+            hannWindow[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / N_FFT);
+        }
+    }
+    const filters = getMelFilters(nMels);
+
+    // Pad or trim, then reflect-pad by n_fft/2 on both sides (torch.stft center=True)
+    const nSamples = nFrames * HOP_LENGTH;
+    const pad = N_FFT / 2;
+    const padded = new Float32Array(nSamples + 2 * pad);
+    padded.set(audio.length > nSamples ? audio.subarray(0, nSamples) : audio, pad);
+    for (let i = 0; i < pad; i++) {
+        padded[pad - 1 - i] = padded[pad + 1 + i];
+        padded[pad + nSamples + i] = padded[pad + nSamples - 2 - i];
+    }
+
+    const features = new Float32Array(nMels * nFrames);
+    const frame = new Float64Array(N_FFT);
+    const power = new Float64Array(N_BINS);
+    let maxVal = -Infinity;
+
+    // Whisper drops the final STFT frame, so exactly nFrames are produced
+    for (let t = 0; t < nFrames; t++) {
+        const offset = t * HOP_LENGTH;
+        for (let i = 0; i < N_FFT; i++) {
+            frame[i] = padded[offset + i] * hannWindow[i];
+        }
+        dft.powerSpectrum(frame, power, N_BINS);
+
+        for (let m = 0; m < nMels; m++) {
+            let sum = 0;
+            const base = m * N_BINS;
+            for (let k = 0; k < N_BINS; k++) {
+                sum += filters[base + k] * power[k];
+            }
+            const logVal = Math.log10(Math.max(sum, 1e-10));
+            features[m * nFrames + t] = logVal;
+            if (logVal > maxVal) maxVal = logVal;
+        }
+    }
+
+    // Dynamic range compression and scaling
+    const floor = maxVal - 8.0;
+    for (let i = 0; i < features.length; i++) {
+        features[i] = (Math.max(features[i], floor) + 4.0) / 4.0;
+    }
+
+    return features;
+}
@@ -0,0 +1,128 @@
+/**
+ * Catalog of LLMs Nadha can run
+ * Every entry is a single GGUF (Wllama loads files up to 2 GB without
+ * splitting) served from /models/llm/<file>, with the chat template it was
+ * trained on. `hf` is only used after the user opts in to downloading.
+ * Smaller models answer faster; larger ones answer better.
+ */
+
+export const LLM_MODEL_DIR = '/models/llm';
+
+export const MODEL_CATALOG = [
+    {
+        id: 'smollm2-135m-q8',
+        name: 'SmolLM2 135M',
+        quant: 'Q8_0',
+        sizeMB: 145,
+        template: 'chatml',
+        file: 'smollm2-135m-instruct-q8_0.gguf',
+        hf: { repo: 'HuggingFaceTB/SmolLM2-135M-Instruct-GGUF', file: 'smollm2-135m-instruct-q8_0.gguf' },
+    },
+    {
+        id: 'smollm2-360m-q8',
+        name: 'SmolLM2 360M',
+        quant: 'Q8_0',
+        sizeMB: 386,
+        template: 'chatml',
+        file: 'smollm2-360m-instruct-q8_0.gguf',
+        hf: { repo: 'HuggingFaceTB/SmolLM2-360M-Instruct-GGUF', file: 'smollm2-360m-instruct-q8_0.gguf' },
+    },
+    {
+        id: 'smollm2-1.7b-q4',
+        name: 'SmolLM2 1.7B',
+        quant: 'Q4_K_M',
+        sizeMB: 1060,
+        template: 'chatml',
+        file: 'smollm2-1.7b-instruct-q4_k_m.gguf',
+        hf: { repo: 'HuggingFaceTB/SmolLM2-1.7B-Instruct-GGUF', file: 'smollm2-1.7b-instruct-q4_k_m.gguf' },
+    },
+    {
+        id: 'qwen2.5-0.5b-q4',
+        name: 'Qwen2.5 0.5B',
+        quant: 'Q4_K_M',
+        sizeMB: 398,
+        template: 'chatml',
+        file: 'qwen2.5-0.5b-instruct-q4_k_m.gguf',
+        hf: { repo: 'Qwen/Qwen2.5-0.5B-Instruct-GGUF', file: 'qwen2.5-0.5b-instruct-q4_k_m.gguf' },
+    },
+    {
+        id: 'qwen2.5-0.5b-q8',
+        name: 'Qwen2.5 0.5B',
+        quant: 'Q8_0',
+        sizeMB: 676,
+        template: 'chatml',
+        file: 'qwen2.5-0.5b-instruct-q8_0.gguf',
+        hf: { repo: 'Qwen/Qwen2.5-0.5B-Instruct-GGUF', file: 'qwen2.5-0.5b-instruct-q8_0.gguf' },
+    },
+    {
+        id: 'qwen2.5-1.5b-q4',
+        name: 'Qwen2.5 1.5B',
+        quant: 'Q4_K_M',
+        sizeMB: 1120,
+        template: 'chatml',
+        file: 'qwen2.5-1.5b-instruct-q4_k_m.gguf',
+        hf: { repo: 'Qwen/Qwen2.5-1.5B-Instruct-GGUF', file: 'qwen2.5-1.5b-instruct-q4_k_m.gguf' },
+    },
+    {
+        id: 'llama3.2-1b-q4',
+        name: 'Llama 3.2 1B',
+        quant: 'Q4_K_M',
+        sizeMB: 808,
+        template: 'llama3',
+        file: 'Llama-3.2-1B-Instruct-Q4_K_M.gguf',
+        hf: { repo: 'bartowski/Llama-3.2-1B-Instruct-GGUF', file: 'Llama-3.2-1B-Instruct-Q4_K_M.gguf' },
+    },
+    {
+        id: 'llama3.2-1b-q8',
+        name: 'Llama 3.2 1B',
+        quant: 'Q8_0',
+        sizeMB: 1320,
+        template: 'llama3',
+        file: 'Llama-3.2-1B-Instruct-Q8_0.gguf',
+        hf: { repo: 'bartowski/Llama-3.2-1B-Instruct-GGUF', file: 'Llama-3.2-1B-Instruct-Q8_0.gguf' },
+    },
+    {
+        id: 'gemma2-2b-q4',
+        name: 'Gemma 2 2B',
+        quant: 'Q4_K_M',
+        sizeMB: 1710,
+        template: 'gemma',
+        file: 'gemma-2-2b-it-Q4_K_M.gguf',
+        hf: { repo: 'bartowski/gemma-2-2b-it-GGUF', file: 'gemma-2-2b-it-Q4_K_M.gguf' },
+    },
+    {
+        id: 'phi3.5-mini-q3',
+        name: 'Phi-3.5 mini',
+        quant: 'Q3_K_M',
+        sizeMB: 1960,
+        template: 'phi3',
+        file: 'Phi-3.5-mini-instruct-Q3_K_M.gguf',
+        hf: { repo: 'bartowski/Phi-3.5-mini-instruct-GGUF', file: 'Phi-3.5-mini-instruct-Q3_K_M.gguf' },
+    },
+];
+
+export const DEFAULT_MODEL_ID = 'smollm2-360m-q8';
+
+export function getModel(id) {
+    return MODEL_CATALOG.find(model => model.id === id) || null;
+}
+
+/**
+ * Catalog entry for a GGUF file name, e.g. one dropped onto the page
+ */
+export function findModelByFile(fileName) {
+    const name = fileName.toLowerCase();
+    return MODEL_CATALOG.find(model => model.file.toLowerCase() === name) || null;
+}
+
+export function modelUrl(model) {
+    return `${LLM_MODEL_DIR}/${model.file}`;
+}
+
+/**
+ * "Qwen2.5 0.5B · Q4_K_M · 398 MB"
+ */
+export function describeModel(model) {
+    const size = model.sizeMB >= 1000 ? `${(model.sizeMB / 1000).toFixed(1)} GB` : `${model.sizeMB} MB`;
+    return `${model.name} · ${model.quant} · ${size}`;
+}
@@ -0,0 +1,279 @@
+/**
+ * Model loading manager
+ * Loads independent components (TTS, STT, LLM) concurrently, sums their
+ * download progress in bytes, retries failed files with exponential backoff,
+ * and lets one failed or cancelled component be retried on its own.
+ */
+
+export function isAbortError(err) {
+    return !!err && err.name === 'AbortError';
+}
+
+function abortReason(signal) {
+    return signal.reason ?? new DOMException('Loading cancelled', 'AbortError');
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(abortReason(signal));
+            return;
+        }
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(abortReason(signal));
+            }, { once: true });
+        }
+    });
+}
+
+// Network errors, timeouts, rate limits and server errors are worth another try
+function isRetryable(err) {
+    return err.status === undefined || err.status === 408 || err.status === 429 || err.status >= 500;
+}
+
+// ============================================================================
+// Downloads
+// ============================================================================
+
+/**
+ * Run `task(attempt)` until it succeeds, retrying network and server errors
+ * `retries` times with retryDelayMs, 2 × retryDelayMs, ... in between.
+ * `onRetry(err, attempt)` is called before each wait.
+ */
+export async function withRetries(task, {
+    signal = null,
+    retries = 3,
+    retryDelayMs = 1000,
+    label = 'Download',
+    onRetry = null,
+} = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task(attempt);
+        } catch (err) {
+            if (isAbortError(err) || (signal && signal.aborted) || attempt >= retries || !isRetryable(err)) throw err;
+
+            if (onRetry) onRetry(err, attempt);
+            const delay = retryDelayMs * 2 ** attempt;
+            console.warn(`[Loader] ${label} failed (${err.message}), retry ${attempt + 1}/${retries} in ${delay} ms`);
+            await sleep(delay, signal);
+        }
+    }
+}
+
+/**
+ * Fetch a file into a Uint8Array, reporting `onProgress(loaded, total)` in
+ * bytes. Failed attempts are retried as in withRetries().
+ */
+export async function fetchWithProgress(url, {
+    signal = null,
+    onProgress = null,
+    retries = 3,
+    retryDelayMs = 1000,
+    fetchImpl = globalThis.fetch,
+} = {}) {
+    let total = 0;
+    return withRetries(async () => {
+        const response = await fetchImpl(url, { signal });
+        if (!response.ok) {
+            const err = new Error(`HTTP ${response.status} fetching ${url}`);
+            err.status = response.status;
+            throw err;
+        }
+        total = Number(response.headers.get('content-length')) || 0;
+        if (onProgress) onProgress(0, total);
+
+        if (!response.body) {
+            const bytes = new Uint8Array(await response.arrayBuffer());
+            if (onProgress) onProgress(bytes.length, bytes.length);
+            return bytes;
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            loaded += value.length;
+            // Compressed responses report the encoded length; never show more than 100%
+            if (onProgress) onProgress(loaded, Math.max(total, loaded));
+        }
+
+        const bytes = new Uint8Array(loaded);
+        let offset = 0;
+        for (const chunk of chunks) {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        }
+        if (onProgress) onProgress(loaded, loaded);
+        return bytes;
+    }, {
+        signal, retries, retryDelayMs, label: url,
+        onRetry: () => {
+            if (onProgress) onProgress(0, total);
+        },
+    });
+}
+
+/**
+ * Fetch and parse a JSON file, retried like fetchWithProgress()
+ */
+export async function fetchJson(url, options = {}) {
+    const bytes = await fetchWithProgress(url, options);
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Sum the progress of several files into one `onProgress(loaded, total)`.
+ * Returns a function that creates the per-file callback.
+ */
+export function combineProgress(onProgress) {
+    const files = new Map();
+    return (key) => (loaded, total) => {
+        files.set(key, { loaded, total });
+        if (!onProgress) return;
+        let sumLoaded = 0;
+        let sumTotal = 0;
+        for (const file of files.values()) {
+            sumLoaded += file.loaded;
+            sumTotal += file.total;
+        }
+        onProgress(sumLoaded, sumTotal);
+    };
+}
+
+// ============================================================================
+// Components
+// ============================================================================
+
+/**
+ * Runs named loaders concurrently. Each loader is
+ * `async ({ signal, onProgress, setDetail }) => result`; `onUpdate(snapshot)`
+ * is called whenever a component's status or progress changes.
+ */
+export class ModelLoader {
+    constructor({ onUpdate = null } = {}) {
+        this.components = new Map();
+        this.onUpdate = onUpdate;
+    }
+
+    add(name, { label = name, load }) {
+        this.components.set(name, {
+            name, label, load,
+            status: 'pending', // pending | loading | done | error | cancelled
+            detail: '',
+            loaded: 0,
+            total: 0,
+            error: null,
+            result: undefined,
+            controller: null,
+            promise: null,
+        });
+        return this;
+    }
+
+    _get(name) {
+        const component = this.components.get(name);
+        if (!component) {
+            throw new Error(`Unknown model component: ${name}`);
+        }
+        return component;
+    }
+
+    _emit() {
+        if (this.onUpdate) this.onUpdate(this.snapshot());
+    }
+
+    /**
+     * Start (or restart after a failure) one component; resolves to true when it loaded
+     */
+    start(name) {
+        const component = this._get(name);
+        if (component.status === 'loading') return component.promise;
+        if (component.status === 'done') return Promise.resolve(true);
+
+        const controller = new AbortController();
+        Object.assign(component, { controller, status: 'loading', detail: '', loaded: 0, total: 0, error: null });
+        const current = () => component.controller === controller;
+        this._emit();
+
+        component.promise = (async () => {
+            try {
+                const result = await component.load({
+                    signal: controller.signal,
+                    onProgress: (loaded, total) => {
+                        if (!current()) return;
+                        component.loaded = loaded;
+                        component.total = total;
+                        this._emit();
+                    },
+                    setDetail: (detail) => {
+                        if (!current()) return;
+                        component.detail = detail;
+                        this._emit();
+                    },
+                });
+                controller.signal.throwIfAborted();
+                component.result = result;
+                component.status = 'done';
+            } catch (err) {
+                component.error = err;
+                component.status = isAbortError(err) ? 'cancelled' : 'error';
+                if (component.status === 'error') {
+                    console.error(`[Loader] ${component.label} failed:`, err);
+                }
+            }
+            component.controller = null;
+            this._emit();
+            return component.status === 'done';
+        })();
+        return component.promise;
+    }
+
+    /**
+     * Start every component that isn't loaded; resolves once all have settled
+     */
+    async loadAll() {
+        await Promise.all([...this.components.keys()].map(name => this.start(name)));
+        return this.snapshot();
+    }
+
+    retry(name) {
+        return this.start(name);
+    }
+
+    /**
+     * Cancel one component, or everything still loading
+     */
+    cancel(name = null) {
+        const targets = name ? [this._get(name)] : [...this.components.values()];
+        for (const component of targets) {
+            if (component.controller) component.controller.abort();
+        }
+    }
+
+    result(name) {
+        return this._get(name).result;
+    }
+
+    snapshot() {
+        const components = [...this.components.values()].map(
+            ({ name, label, status, detail, loaded, total, error }) => ({ name, label, status, detail, loaded, total, error })
+        );
+        const loaded = components.reduce((sum, c) => sum + (c.status === 'done' ? Math.max(c.loaded, c.total) : c.loaded), 0);
+        const total = components.reduce((sum, c) => sum + c.total, 0);
+        return {
+            components,
+            loaded,
+            total,
+            progress: total > 0 ? Math.min(1, loaded / total) : 0,
+            settled: components.every(c => c.status !== 'loading' && c.status !== 'pending'),
+            failed: components.filter(c => c.status === 'error' || c.status === 'cancelled').map(c => c.name),
+        };
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * Service worker registration and update flow
+ * The worker (sw.js) only exists in production builds; see vite.config.js.
+ */
+
+let waitingWorker = null;
+
+/**
+ * Register /sw.js. `onUpdate` is called when a new version has been
+ * downloaded and is waiting for applyUpdate().
+ */
+export async function registerServiceWorker({ onUpdate = null } = {}) {
+    if (!('serviceWorker' in navigator)) {
+        console.log('[PWA] Service workers are not supported');
+        return null;
+    }
+
+    const registration = await navigator.serviceWorker.register('/sw.js');
+    const hadController = !!navigator.serviceWorker.controller;
+
+    const notify = (worker) => {
+        waitingWorker = worker;
+        if (onUpdate) onUpdate();
+    };
+
+    // An update that finished installing during an earlier visit
+    if (registration.waiting && hadController) notify(registration.waiting);
+
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+            // Without a controller this is the first install, not an update
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) notify(worker);
+        });
+    });
+
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!hadController || reloading) return;
+        reloading = true;
+        window.location.reload();
+    });
+
+    // Look for new builds on each visit and every hour while open
+    setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+
+    console.log('[PWA] Service worker registered');
+    return registration;
+}
+
+/**
+ * Activate the waiting version; the page reloads once it takes over
+ */
+export function applyUpdate() {
+    if (waitingWorker) waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+/**
+ * Ask the browser not to evict cached models under storage pressure
+ */
+export async function requestPersistentStorage() {
+    if (!navigator.storage || !navigator.storage.persist) return false;
+    if (await navigator.storage.persisted()) return true;
+    const granted = await navigator.storage.persist();
+    console.log(`[PWA] Persistent storage ${granted ? 'granted' : 'denied'}`);
+    return granted;
+}
@@ -0,0 +1,65 @@
+/**
+ * Convert JSON voice styles to the binary .vstyle format
+ *
+ * Usage:
+ *   node scripts/convert-voice-styles.js [dir-or-file ...]
+ *
+ * Defaults to public/models/supertonic. Every *.json file with style_ttl and
+ * style_dp is written next to the original as <name>.vstyle; the JSON files
+ * are left in place so existing paths keep working.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { encodeVoiceStyle, parseVoiceStyle, VOICE_STYLE_EXTENSION } from '../voice-style-format.js';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_DIR = path.join(rootDir, 'public/models/supertonic');
+
+function findJsonFiles(target) {
+    const stat = fs.statSync(target);
+    if (stat.isFile()) return target.endsWith('.json') ? [target] : [];
+    return fs.readdirSync(target, { withFileTypes: true }).flatMap(entry => {
+        if (entry.name.startsWith('.') || entry.name === 'onnx') return [];
+        return findJsonFiles(path.join(target, entry.name));
+    });
+}
+
+function isVoiceStyleJson(file) {
+    try {
+        const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return Boolean(json.style_ttl && json.style_dp);
+    } catch {
+        return false;
+    }
+}
+
+function convert(file) {
+    const bytes = fs.readFileSync(file);
+    const style = parseVoiceStyle(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength), file);
+    const output = file.replace(/\.json$/, VOICE_STYLE_EXTENSION);
+    fs.writeFileSync(output, new Uint8Array(encodeVoiceStyle(style)));
+
+    const before = bytes.byteLength;
+    const after = fs.statSync(output).size;
+    console.log(`${path.relative(rootDir, output)}: ${(before / 1024).toFixed(1)} KB -> ${(after / 1024).toFixed(1)} KB`);
+}
+
+const targets = process.argv.slice(2);
+if (targets.length === 0) targets.push(DEFAULT_DIR);
+
+let converted = 0;
+for (const target of targets) {
+    if (!fs.existsSync(target)) {
+        console.error(`Not found: ${target}`);
+        process.exitCode = 1;
+        continue;
+    }
+    for (const file of findJsonFiles(target)) {
+        if (!isVoiceStyleJson(file)) continue;
+        convert(file);
+        converted++;
+    }
+}
+console.log(`Converted ${converted} voice style${converted === 1 ? '' : 's'}`);
@@ -0,0 +1,57 @@
+/**
+ * Short UI sounds, synthesized with Web Audio so they work offline
+ */
+
+let context = null;
+
+/**
+ * Play tones given as { freq, at, length } in seconds from now
+ */
+function playTones(tones, volume = 0.3) {
+    context = context || new AudioContext();
+    const ctx = context;
+    const start = ctx.currentTime + 0.05;
+    for (const { freq, at, length } of tones) {
+        const begin = start + at;
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.frequency.value = freq;
+        gain.gain.setValueAtTime(0, begin);
+        gain.gain.linearRampToValueAtTime(volume, begin + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.001, begin + length);
+        osc.connect(gain).connect(ctx.destination);
+        osc.start(begin);
+        osc.stop(begin + length + 0.01);
+    }
+}
+
+/**
+ * Three short double beeps
+ */
+export function playTimerAlert() {
+    const tones = [];
+    for (let i = 0; i < 6; i++) {
+        tones.push({ freq: 880, at: Math.floor(i / 2) * 0.8 + (i % 2) * 0.2, length: 0.15 });
+    }
+    playTones(tones);
+}
+
+/**
+ * Rising two-note chime: the wake word was heard
+ */
+export function playWakeChime() {
+    playTones([
+        { freq: 660, at: 0, length: 0.12 },
+        { freq: 990, at: 0.1, length: 0.2 },
+    ], 0.2);
+}
+
+/**
+ * Falling two-note chime: the follow-up window closed
+ */
+export function playSleepChime() {
+    playTones([
+        { freq: 880, at: 0, length: 0.1 },
+        { freq: 587, at: 0.09, length: 0.18 },
+    ], 0.12);
+}
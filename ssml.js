@@ -0,0 +1,223 @@
+/**
+ * Minimal SSML front end for Supertonic TTS
+ * Supports <speak>, <break>, <prosody rate>, <say-as>, <lang> and <sub>;
+ * other tags are ignored but their text is kept. Parsing is lenient so
+ * fragments streamed from an LLM (unclosed or stray tags) still render.
+ */
+
+import { AVAILABLE_LANGS } from './languages.js';
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<\/?([a-zA-Z][\w:-]*)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+|<)/g;
+const ATTRIBUTE_PATTERN = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const SUPPORTED_TAGS = /<\/?(?:speak|break|prosody|say-as|lang|sub)\b[^>]*>/i;
+
+const BREAK_STRENGTHS = {
+    'none': 0,
+    'x-weak': 0.1,
+    'weak': 0.2,
+    'medium': 0.4,
+    'strong': 0.7,
+    'x-strong': 1.0,
+};
+
+const RATES = {
+    'x-slow': 0.6,
+    'slow': 0.8,
+    'medium': 1.0,
+    'default': 1.0,
+    'fast': 1.2,
+    'x-fast': 1.4,
+};
+
+const MAX_BREAK_SECONDS = 10;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+    return text.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[\da-f]+);/gi, (m, name) => {
+        if (name[0] !== '#') return ENTITIES[name.toLowerCase()];
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        // Out-of-range references read as the replacement character, like browsers do
+        return code <= 0x10FFFF ? String.fromCodePoint(code) : '\uFFFD';
+    });
+}
+
+function parseAttributes(source) {
+    const attrs = {};
+    for (const [, name, doubleQuoted, singleQuoted] of source.matchAll(ATTRIBUTE_PATTERN)) {
+        attrs[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted);
+    }
+    return attrs;
+}
+
+/**
+ * True when the text is an SSML document (starts with <speak>)
+ */
+export function isSsml(text) {
+    return /^\s*<speak[\s>]/i.test(text);
+}
+
+/**
+ * True when the text contains any of the supported SSML tags
+ */
+export function containsSsmlTags(text) {
+    return SUPPORTED_TAGS.test(text);
+}
+
+/**
+ * Remove markup, leaving the text a listener would hear (for display or fallback voices)
+ */
+export function stripSsml(text) {
+    const parts = [];
+    for (const segment of parseSsml(text)) {
+        if (segment.type === 'text') parts.push(segment.text);
+    }
+    return parts.join(' ').replace(/\s+([,.!?;:])/g, '$1');
+}
+
+/**
+ * Pause length in seconds for a <break> element
+ */
+function parseBreak(attrs) {
+    if (attrs.time) {
+        const match = /^\s*([\d.]+)\s*(ms|s)?\s*$/i.exec(attrs.time);
+        if (match) {
+            const seconds = parseFloat(match[1]) / ((match[2] || 's').toLowerCase() === 'ms' ? 1000 : 1);
+            return Math.min(Math.max(seconds, 0), MAX_BREAK_SECONDS);
+        }
+        console.warn(`[SSML] Invalid break time "${attrs.time}"`);
+    }
+    return BREAK_STRENGTHS[attrs.strength] ?? BREAK_STRENGTHS.medium;
+}
+
+/**
+ * Speed multiplier for <prosody rate>: keywords, "120%", "+20%" or a bare factor
+ */
+function parseRate(rate) {
+    if (rate === undefined) return 1;
+    const value = rate.trim().toLowerCase();
+    if (value in RATES) return RATES[value];
+
+    const relative = /^([+-])(\d+(?:\.\d+)?)%$/.exec(value);
+    if (relative) return Math.max(0.1, 1 + (relative[1] === '-' ? -1 : 1) * parseFloat(relative[2]) / 100);
+
+    const percent = /^(\d+(?:\.\d+)?)%$/.exec(value);
+    if (percent) return Math.max(0.1, parseFloat(percent[1]) / 100);
+
+    const factor = parseFloat(value);
+    if (Number.isFinite(factor) && factor > 0) return factor;
+
+    console.warn(`[SSML] Invalid prosody rate "${rate}"`);
+    return 1;
+}
+
+function parseLang(code, fallback) {
+    const lang = (code || '').split(/[-_]/)[0].toLowerCase();
+    if (AVAILABLE_LANGS.includes(lang)) return lang;
+    console.warn(`[SSML] Unsupported language "${code}", keeping ${fallback}`);
+    return fallback;
+}
+
+/**
+ * Rewrite <say-as> content so the text normalizer reads it as requested
+ */
+function interpretAs(text, attrs, lang) {
+    switch ((attrs['interpret-as'] || '').toLowerCase()) {
+        case 'characters':
+        case 'spell-out':
+            return [...text.replace(/\s+/g, '')].join(' ');
+        case 'digits':
+            return [...text.replace(/\D+/g, '')].join(' ');
+        case 'date': {
+            const fields = text.trim().split(/[-/.\s]+/).map(Number);
+            const format = (attrs.format || (lang === 'en' ? 'mdy' : lang === 'ko' ? 'ymd' : 'dmy')).toLowerCase();
+            if (fields.length !== 3 || format.length !== 3 || fields.some(Number.isNaN)) return text;
+            const date = {};
+            [...format].forEach((field, i) => { date[field] = fields[i]; });
+            if (!date.y || !date.m || !date.d) return text;
+            const pad = (n) => String(n).padStart(2, '0');
+            return `${date.y < 100 ? 2000 + date.y : date.y}-${pad(date.m)}-${pad(date.d)}`;
+        }
+        default:
+            console.warn(`[SSML] Unsupported say-as "${attrs['interpret-as']}"`);
+            return text;
+    }
+}
+
+/**
+ * Parse SSML into a flat list of segments:
+ *  - { type: 'text', text, lang, speed }
+ *  - { type: 'break', time } (seconds)
+ * Adjacent text with the same language and speed is merged.
+ */
+export function parseSsml(ssml, { lang = 'en', speed = 1.05 } = {}) {
+    const segments = [];
+    const stack = [{ tag: null, lang, speed, sayAs: null, skip: false }];
+    const top = () => stack[stack.length - 1];
+
+    const pushText = (raw) => {
+        const frame = top();
+        if (frame.skip) return;
+        let text = decodeEntities(raw);
+        if (frame.sayAs) text = interpretAs(text, frame.sayAs, frame.lang);
+        text = text.replace(/\s+/g, ' ');
+        if (!text.trim()) {
+            // Keep word spacing between adjacent tags
+            const last = segments[segments.length - 1];
+            if (last && last.type === 'text' && text) last.text += ' ';
+            return;
+        }
+
+        const last = segments[segments.length - 1];
+        if (last && last.type === 'text' && last.lang === frame.lang && last.speed === frame.speed) {
+            last.text += text;
+        } else {
+            segments.push({ type: 'text', text, lang: frame.lang, speed: frame.speed });
+        }
+    };
+
+    for (const [token, rawTag, rawAttrs = '', selfClosing, text] of ssml.matchAll(TOKEN_PATTERN)) {
+        if (text !== undefined) {
+            pushText(text);
+            continue;
+        }
+        if (rawTag === undefined) continue; // comment
+
+        const tag = rawTag.toLowerCase();
+        const attrs = parseAttributes(rawAttrs);
+
+        if (token.startsWith('</')) {
+            // Close the innermost matching element; stray closers are ignored
+            const index = stack.map(frame => frame.tag).lastIndexOf(tag);
+            if (index > 0) stack.length = index;
+            continue;
+        }
+
+        if (tag === 'break') {
+            const time = parseBreak(attrs);
+            const last = segments[segments.length - 1];
+            if (last && last.type === 'break') last.time += time;
+            else segments.push({ type: 'break', time });
+            continue;
+        }
+
+        const parent = top();
+        const frame = { ...parent, tag };
+        if (tag === 'prosody') frame.speed = parent.speed * parseRate(attrs.rate);
+        else if (tag === 'lang') frame.lang = parseLang(attrs['xml:lang'] ?? attrs.lang, parent.lang);
+        else if (tag === 'say-as') frame.sayAs = attrs;
+        else if (tag === 'sub') {
+            if (attrs.alias !== undefined) {
+                pushText(attrs.alias);
+                frame.skip = true;
+            }
+        }
+
+        if (!selfClosing) stack.push(frame);
+    }
+
+    for (const segment of segments) {
+        if (segment.type === 'text') segment.text = segment.text.trim();
+    }
+    return segments.filter(segment => segment.type === 'break' || segment.text);
+}
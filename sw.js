@@ -0,0 +1,101 @@
+/**
+ * Service worker: offline app shell and model cache
+ *
+ * - The app shell (HTML, bundles, styles, manifest) is precached per build
+ *   and served cache-first, so the installed app starts in airplane mode.
+ * - Files under /models/ are cached on first fetch in a separate cache that
+ *   survives app updates; bump MODEL_CACHE_VERSION when the model files change.
+ *   The LLM (/models/llm/) is left to Wllama's own cache.
+ * - A new build waits until the page asks it to take over (update prompt).
+ *
+ * Built into dist/sw.js by the service-worker plugin in vite.config.js, which
+ * fills in APP_VERSION and PRECACHE_URLS. Not used by the dev server.
+ */
+
+const APP_VERSION = '__APP_VERSION__';
+const PRECACHE_URLS = ['__PRECACHE_URLS__'];
+
+const MODEL_CACHE_VERSION = 1;
+
+const SHELL_CACHE = `nadha-shell-${APP_VERSION}`;
+const MODEL_CACHE = `nadha-models-v${MODEL_CACHE_VERSION}`;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, MODEL_CACHE];
+        for (const name of await caches.keys()) {
+            if (name.startsWith('nadha-') && !keep.includes(name)) {
+                console.log(`[SW] Deleting old cache ${name}`);
+                await caches.delete(name);
+            }
+        }
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    } else if (event.data && event.data.type === 'GET_VERSION') {
+        event.source.postMessage({ type: 'VERSION', appVersion: APP_VERSION, modelCacheVersion: MODEL_CACHE_VERSION });
+    }
+});
+
+/**
+ * Serve from the cache, falling back to the network and storing full responses.
+ * The response is returned right away so download progress stays visible.
+ */
+async function cacheFirst(event, cacheName) {
+    const { request } = event;
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Skip partial (206) and opaque responses; they can't be replayed as full files
+    if (response.status === 200 && response.type !== 'opaque') {
+        event.waitUntil(cache.put(request, response.clone()));
+    }
+    return response;
+}
+
+// Headers of a cached model file, so the app can check for models while offline
+async function headFromCache(request) {
+    const cached = await caches.match(request.url, { cacheName: MODEL_CACHE });
+    return cached ? new Response(null, { headers: cached.headers }) : fetch(request);
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    // GGUF files are kept by Wllama in OPFS; caching them here too would store them twice
+    const isModel = url.origin === self.location.origin && url.pathname.startsWith('/models/')
+        && !url.pathname.startsWith('/models/llm/');
+
+    if (request.method === 'HEAD' && isModel) {
+        event.respondWith(headFromCache(request));
+        return;
+    }
+    if (request.method !== 'GET' || request.headers.has('range')) return;
+
+    if (url.origin === self.location.origin) {
+        if (request.mode === 'navigate') {
+            // Always the shell of this build, so it matches the precached bundles;
+            // index.html is precached as '/' (checked by the build)
+            event.respondWith(
+                caches.match('/', { cacheName: SHELL_CACHE })
+                    .then(cached => cached || fetch(request))
+            );
+        } else if (isModel) {
+            event.respondWith(cacheFirst(event, MODEL_CACHE));
+        } else if (PRECACHE_URLS.includes(url.pathname)) {
+            event.respondWith(cacheFirst(event, SHELL_CACHE));
+        }
+    }
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for audio cache keys and TextToSpeech.call cache lookups
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { audioCacheKey, styleFingerprint } from '../audio-cache.js';
+import { TextToSpeech } from '../helper.js';
+
+const base = {
+    text: 'Hello there.', lang: 'en', styleId: 'abc', totalStep: 2, speed: 1.2,
+    silenceDuration: 0.05, modelVersion: 'v1',
+};
+
+function makeStyle(value) {
+    const tensor = (dims) => ({ dims, data: new Float32Array(dims.reduce((a, b) => a * b, 1)).fill(value) });
+    return { ttl: tensor([1, 2, 3]), dp: tensor([1, 2]) };
+}
+
+test('cache keys ignore whitespace and option order but not settings', async () => {
+    const key = await audioCacheKey({ ...base, postProcess: { fadeMs: 8, targetLufs: -18 } });
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.equal(await audioCacheKey({ ...base, text: '  Hello   there. ', postProcess: { targetLufs: -18, fadeMs: 8 } }), key);
+
+    for (const change of [{ text: 'Hello there!' }, { lang: 'fr' }, { styleId: 'abd' }, { totalStep: 4 },
+        { speed: 1.0 }, { modelVersion: 'v2' }, { seed: 7 }, { postProcess: null }, { batchSize: 4 }]) {
+        assert.notEqual(await audioCacheKey({ ...base, postProcess: { fadeMs: 8, targetLufs: -18 }, ...change }), key);
+    }
+});
+
+test('style fingerprints depend on the style data', async () => {
+    assert.equal(await styleFingerprint(makeStyle(0.5)), await styleFingerprint(makeStyle(0.5)));
+    assert.notEqual(await styleFingerprint(makeStyle(0.5)), await styleFingerprint(makeStyle(0.25)));
+});
+
+test('TextToSpeech.call reuses cached clips', async () => {
+    const tts = new TextToSpeech({ ae: { sample_rate: 100 } });
+    let inferCount = 0;
+    tts._infer = async () => {
+        inferCount++;
+        return { wav: new Float32Array(60).fill(0.5), duration: [0.5] };
+    };
+
+    const store = new Map();
+    tts.audioCache = {
+        get: async (key) => store.get(key) ?? null,
+        put: async (key, entry) => { store.set(key, entry); },
+    };
+    const style = makeStyle(0.1);
+
+    const first = await tts.call('Hi there.', 'en', style, 2, 1, 0.1);
+    assert.equal(first.wav.length, 60);
+    assert.equal(store.size, 1);
+    // Stored up to the predicted duration
+    assert.equal([...store.values()][0].wav.length, 50);
+
+    const second = await tts.call('Hi  there.', 'en', style, 2, 1, 0.1);
+    assert.equal(inferCount, 1);
+    assert.equal(second.wav.length, 50);
+    assert.deepEqual(second.duration, [0.5]);
+
+    await tts.call('Hi there.', 'en', style, 4, 1, 0.1);
+    await tts.call('Hi there.', 'en', style, 2, 1, 0.1, null, { cache: false });
+    assert.equal(inferCount, 3);
+    assert.equal(store.size, 2);
+});
+
+test('TextToSpeech.call still synthesizes when the cache fails', async () => {
+    const tts = new TextToSpeech({ ae: { sample_rate: 100 } });
+    tts._infer = async () => ({ wav: new Float32Array(50), duration: [0.5] });
+    tts.audioCache = {
+        get: async () => { throw new Error('quota'); },
+        put: async () => { throw new Error('quota'); },
+    };
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const { wav } = await tts.call('Hi.', 'en', makeStyle(0.1), 2, 1, 0.1);
+        assert.equal(wav.length, 50);
+    } finally {
+        console.warn = warn;
+    }
+});
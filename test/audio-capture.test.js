@@ -0,0 +1,122 @@
+/**
+ * Tests for VAD endpointing in the capture pipeline
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VoiceActivityDetector, CAPTURE_SAMPLE_RATE } from '../audio-capture.js';
+
+const FRAME_SIZE = 512;
+const FRAME_MS = FRAME_SIZE / CAPTURE_SAMPLE_RATE * 1000;
+
+function noiseSource(seed) {
+    return () => {
+        seed = (seed * 1664525 + 1013904223) >>> 0;
+        return seed / 2 ** 32 - 0.5;
+    };
+}
+
+const noise = noiseSource(1);
+let phase = 0;
+
+// Room tone well below the VAD's absolute floor
+function silentFrame() {
+    return Float32Array.from({ length: FRAME_SIZE }, () => noise() * 0.0005);
+}
+
+// A voiced frame: 150 Hz with harmonics, continuous across frames
+function speechFrame() {
+    const frame = new Float32Array(FRAME_SIZE);
+    for (let i = 0; i < FRAME_SIZE; i++, phase++) {
+        let v = 0;
+        for (let h = 1; h <= 5; h++) v += Math.sin(2 * Math.PI * 150 * h * phase / CAPTURE_SAMPLE_RATE) / h;
+        frame[i] = 0.2 * v + noise() * 0.0005;
+    }
+    return frame;
+}
+
+// Feeds frames to a detector and records transitions with the frame index they
+// happened on; utterances are taken as soon as they end, like startAudioCapture does
+function recorder(detector) {
+    const log = {
+        events: [],
+        utterances: [],
+        frame: 0,
+        feed(makeFrame, count) {
+            for (let i = 0; i < count; i++, log.frame++) {
+                const transition = detector.process(makeFrame());
+                if (transition) log.events.push({ transition, frame: log.frame });
+                if (transition === 'end') log.utterances.push(detector.takeUtterance());
+            }
+            return log;
+        },
+        transitions: () => log.events.map(e => e.transition),
+    };
+    return log;
+}
+
+const frames = ms => Math.ceil(ms / FRAME_MS);
+
+test('opens an utterance after speechStartMs of speech, with pre-roll', () => {
+    const detector = new VoiceActivityDetector();
+    const { speechStartMs, preRollMs } = detector.options;
+    const log = recorder(detector).feed(silentFrame, 30);
+    assert.deepEqual(log.events, []);
+
+    log.feed(speechFrame, frames(speechStartMs) + 2);
+    assert.deepEqual(log.transitions(), ['start']);
+    assert.equal(log.events[0].frame, 30 + frames(speechStartMs) - 1);
+    assert.ok(detector.inSpeech);
+    // The onset and the silence before it are part of the utterance
+    const kept = detector.currentUtterance().length / FRAME_SIZE;
+    assert.ok(kept >= frames(speechStartMs) + frames(preRollMs), `${kept} frames kept`);
+});
+
+test('ignores blips shorter than speechStartMs', () => {
+    const detector = new VoiceActivityDetector();
+    const log = recorder(detector).feed(silentFrame, 20);
+    for (let i = 0; i < 5; i++) {
+        log.feed(speechFrame, frames(detector.options.speechStartMs) - 1).feed(silentFrame, 5);
+    }
+    assert.deepEqual(log.events, []);
+    assert.equal(detector.inSpeech, false);
+});
+
+test('closes the utterance after hangoverMs of silence, not during short pauses', () => {
+    const detector = new VoiceActivityDetector();
+    const { hangoverMs } = detector.options;
+    const log = recorder(detector).feed(silentFrame, 20).feed(speechFrame, 20);
+    // A pause shorter than the hangover keeps the utterance open
+    log.feed(silentFrame, frames(hangoverMs) - 2).feed(speechFrame, 10);
+    assert.deepEqual(log.transitions(), ['start']);
+
+    const pauseStart = log.frame;
+    log.feed(silentFrame, frames(hangoverMs) + 5);
+    assert.deepEqual(log.transitions(), ['start', 'end']);
+    assert.equal(log.events[1].frame, pauseStart + frames(hangoverMs) - 1);
+
+    const [{ pcm, reason, durationMs }] = log.utterances;
+    assert.equal(reason, 'silence');
+    assert.equal(pcm.length, Math.round(durationMs / FRAME_MS) * FRAME_SIZE);
+    assert.equal(detector.inSpeech, false);
+    assert.equal(detector.currentUtterance().length, 0);
+});
+
+test('forces an endpoint at maxUtteranceMs', () => {
+    const detector = new VoiceActivityDetector({ maxUtteranceMs: 2000 });
+    const log = recorder(detector).feed(silentFrame, 20).feed(speechFrame, frames(3000));
+    // Speech that carries on opens the next utterance
+    assert.deepEqual(log.transitions(), ['start', 'end', 'start']);
+
+    const [{ reason, durationMs }] = log.utterances;
+    assert.equal(reason, 'maxLength');
+    assert.ok(durationMs >= 2000 && durationMs < 2000 + FRAME_MS, `${durationMs} ms`);
+});
+
+test('treats loud noise as non-speech', () => {
+    const detector = new VoiceActivityDetector();
+    const loud = noiseSource(7);
+    const log = recorder(detector).feed(silentFrame, 20);
+    log.feed(() => Float32Array.from({ length: FRAME_SIZE }, () => loud() * 0.5), 30);
+    assert.deepEqual(log.events, []);
+});
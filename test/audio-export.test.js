@@ -0,0 +1,104 @@
+/**
+ * Tests for WAV encoding, resampling and Ogg Opus muxing
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeWav, quantize, resample, muxOggOpus } from '../audio-export.js';
+
+function readString(view, offset, length) {
+    return String.fromCharCode(...new Uint8Array(view.buffer, offset, length));
+}
+
+function sine(freq, sampleRate, seconds) {
+    const out = new Float32Array(Math.round(sampleRate * seconds));
+    for (let i = 0; i < out.length; i++) out[i] = Math.sin(2 * Math.PI * freq * i / sampleRate);
+    return out;
+}
+
+function rms(samples, from = 0, to = samples.length) {
+    let sum = 0;
+    for (let i = from; i < to; i++) sum += samples[i] * samples[i];
+    return Math.sqrt(sum / (to - from));
+}
+
+test('quantizes by rounding to nearest with symmetric clipping', () => {
+    assert.deepEqual(Array.from(quantize(new Float32Array([0, -0.00001, 1, -1, 2, 0.5]), 16)),
+        [0, 0, 32767, -32767, 32767, 16384]);
+});
+
+test('writes 16-bit, 24-bit and 8-bit PCM WAV', () => {
+    const samples = new Float32Array([0, 1, -1]);
+
+    const wav16 = new DataView(encodeWav(samples, 16000));
+    assert.equal(readString(wav16, 0, 4), 'RIFF');
+    assert.equal(wav16.getUint16(20, true), 1);
+    assert.equal(wav16.getUint32(24, true), 16000);
+    assert.equal(wav16.getUint16(34, true), 16);
+    assert.equal(readString(wav16, 36, 4), 'data');
+    assert.equal(wav16.getInt16(46, true), 32767);
+
+    const wav24 = new DataView(encodeWav(samples, 48000, { bitDepth: 24 }));
+    assert.equal(wav24.getUint16(34, true), 24);
+    assert.equal(wav24.getUint32(40, true), 9);
+    assert.equal(wav24.getUint8(47) | (wav24.getUint8(48) << 8) | (wav24.getUint8(49) << 16), 8388607);
+    assert.equal(wav24.byteLength % 2, 0);
+
+    const wav8 = new DataView(encodeWav(samples, 8000, { bitDepth: 8 }));
+    assert.deepEqual([wav8.getUint8(44), wav8.getUint8(45), wav8.getUint8(46)], [128, 255, 1]);
+});
+
+test('writes 32-bit float WAV with a fact chunk', () => {
+    const wav = new DataView(encodeWav(new Float32Array([0.25, -0.5]), 44100, { bitDepth: 32 }));
+    assert.equal(wav.getUint16(20, true), 3);
+    assert.equal(readString(wav, 38, 4), 'fact');
+    assert.equal(readString(wav, 50, 4), 'data');
+    assert.equal(wav.getFloat32(58, true), 0.25);
+    assert.equal(wav.getFloat32(62, true), -0.5);
+});
+
+test('resamples in-band tones and filters out what the target rate cannot hold', () => {
+    const low = resample(sine(1000, 44100, 0.5), 44100, 16000);
+    assert.equal(low.length, 8000);
+    assert.ok(Math.abs(rms(low, 500, 7500) - Math.SQRT1_2) < 0.01);
+
+    // 10 kHz is above the 8 kHz Nyquist of 16 kHz audio and must not alias back in
+    const high = resample(sine(10000, 44100, 0.5), 44100, 16000);
+    assert.ok(rms(high, 500, 7500) < 0.01);
+
+    const up = resample(sine(1000, 16000, 0.5), 16000, 48000);
+    assert.equal(up.length, 24000);
+    assert.ok(Math.abs(rms(up, 1000, 23000) - Math.SQRT1_2) < 0.01);
+});
+
+test('muxes Opus packets into Ogg pages', async () => {
+    const packets = [
+        { data: new Uint8Array(10).fill(1), samples: 960 },
+        { data: new Uint8Array(300).fill(2), samples: 960 },
+    ];
+    const blob = muxOggOpus(packets, { inputSampleRate: 44100, totalSamples: 1500, preSkip: 312 });
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+
+    const pages = [];
+    for (let offset = 0; offset < bytes.length;) {
+        assert.equal(readString(view, offset, 4), 'OggS');
+        const segments = view.getUint8(offset + 26);
+        let size = 0;
+        for (let i = 0; i < segments; i++) size += view.getUint8(offset + 27 + i);
+        pages.push({
+            flags: view.getUint8(offset + 5),
+            granule: Number(view.getBigInt64(offset + 6, true)),
+            sequence: view.getUint32(offset + 18, true),
+            body: readString(view, offset + 27 + segments, Math.min(size, 8)),
+            size,
+        });
+        offset += 27 + segments + size;
+    }
+
+    assert.deepEqual(pages.map(({ body }) => body).slice(0, 2), ['OpusHead', 'OpusTags']);
+    assert.deepEqual(pages.map(({ flags }) => flags), [0x02, 0, 0, 0x04]);
+    assert.deepEqual(pages.map(({ sequence }) => sequence), [0, 1, 2, 3]);
+    assert.deepEqual(pages.map(({ granule }) => granule), [0, 0, 1272, 1812]);
+    assert.equal(pages[3].size, 300);
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for chunk joining, silence trimming, loudness and true-peak limiting
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    joinChunks, trimSilence, measureLoudness, measureTruePeak, limitTruePeak, postProcess,
+} from '../audio-postprocess.js';
+import { TextToSpeech } from '../helper.js';
+
+function sine(freq, sampleRate, seconds, amplitude = 1) {
+    const out = new Float32Array(Math.round(sampleRate * seconds));
+    for (let i = 0; i < out.length; i++) out[i] = amplitude * Math.sin(2 * Math.PI * freq * i / sampleRate);
+    return out;
+}
+
+test('joins chunks with zero-filled gaps when no fades are set', () => {
+    const out = joinChunks([new Float32Array([1, 1]), new Float32Array([2]), new Float32Array([3, 3])], [0.25, 0], 8);
+    assert.deepEqual(Array.from(out), [1, 1, 0, 0, 2, 3, 3]);
+});
+
+test('fades chunk edges around a gap without touching the input', () => {
+    const a = new Float32Array(10).fill(1);
+    const b = new Float32Array(10).fill(1);
+    const out = joinChunks([a, b], [0.5], 10, { fadeMs: 500 });
+    assert.equal(out.length, 25);
+    assert.equal(out[0], 1);
+    assert.ok(out[9] < 0.25);
+    assert.equal(out[15], 0);
+    assert.ok(out[14] === 0 && out[24] === 1);
+    assert.deepEqual(Array.from(a), new Array(10).fill(1));
+});
+
+test('crossfades chunks joined without a pause', () => {
+    const out = joinChunks([new Float32Array(100).fill(1), new Float32Array(100).fill(1)], [0], 1000, { crossfadeMs: 20 });
+    assert.equal(out.length, 180);
+    // Equal-power overlap of two constant signals peaks at sqrt(2) mid-way
+    assert.ok(Math.abs(out[90] - Math.SQRT2) < 0.01);
+    assert.ok(Math.abs(out[80] - 1) < 0.1 && Math.abs(out[99] - 1) < 0.1);
+});
+
+test('trims edge silence and keeps padding', () => {
+    const sampleRate = 1000;
+    const samples = new Float32Array(1000);
+    samples.fill(0.5, 300, 600);
+    const trimmed = trimSilence(samples, sampleRate, { paddingMs: 20 });
+    assert.equal(trimmed.length, 340);
+    assert.equal(trimmed[20], 0.5);
+    assert.equal(trimSilence(new Float32Array(500), sampleRate).length, 0);
+});
+
+test('measures a full-scale 1 kHz sine at -3.01 LUFS', () => {
+    const loudness = measureLoudness(sine(1000, 48000, 2), 48000);
+    assert.ok(Math.abs(loudness + 3.01) < 0.05, `got ${loudness}`);
+    assert.equal(measureLoudness(new Float32Array(48000), 48000), -Infinity);
+});
+
+test('gates silence out of the integrated loudness', () => {
+    const sampleRate = 44100;
+    const tone = sine(1000, sampleRate, 1, 0.1);
+    const padded = new Float32Array(tone.length * 3);
+    padded.set(tone, tone.length);
+    // Ungated, two seconds of silence would pull the tone down by 4.8 dB
+    assert.ok(measureLoudness(padded, sampleRate) > measureLoudness(tone, sampleRate) - 1.5);
+});
+
+test('limiter keeps the true peak under the ceiling', () => {
+    const sampleRate = 44100;
+    // fs/4 sine with a 45° phase: samples sit at -3 dBFS but the waveform peaks at 0 dBTP
+    const samples = new Float32Array(4410);
+    for (let i = 0; i < samples.length; i++) samples[i] = Math.sin(Math.PI / 2 * i + Math.PI / 4);
+    assert.ok(measureTruePeak(samples) > -0.5);
+
+    const limited = limitTruePeak(samples, sampleRate, { ceilingDb: -1 });
+    assert.ok(measureTruePeak(limited.subarray(100)) <= -0.9);
+});
+
+test('normalizes loudness to the target behind the limiter', () => {
+    const sampleRate = 24000;
+    const quiet = sine(440, sampleRate, 1.5, 0.02);
+    const out = postProcess(quiet, sampleRate, { targetLufs: -18, truePeakDb: -1 });
+    assert.ok(Math.abs(measureLoudness(out, sampleRate) + 18) < 0.5);
+    assert.ok(measureTruePeak(out) <= -0.9);
+});
+
+test('TextToSpeech.call output is unchanged without postProcess and processed with it', async () => {
+    const sampleRate = 1000;
+    const tts = new TextToSpeech({ ae: { sample_rate: sampleRate } });
+    tts._infer = async () => {
+        const wav = new Float32Array(500);
+        wav.fill(0.5, 100, 400);
+        return { wav, duration: [0.5] };
+    };
+    const style = { ttl: { dims: [1] }, dp: { dims: [1] } };
+    const text = 'One sentence here. '.repeat(20).trim();
+
+    const plain = await tts.call(text, 'en', style, 2, 1, 0.1);
+    assert.equal(plain.wav.length, 2 * 500 + 100);
+    assert.ok(Math.abs(plain.duration[0] - 1.1) < 1e-9);
+
+    const processed = await tts.call(text, 'en', style, 2, 1, 0.1, null, { postProcess: { trimSilence: true, silencePaddingMs: 0 } });
+    assert.equal(processed.wav.length, 900);
+    assert.equal(processed.duration[0], 0.9);
+});
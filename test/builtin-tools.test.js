@@ -0,0 +1,145 @@
+/**
+ * Tests for the built-in tools: clock, timers, calculator, unit conversion
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolRegistry } from '../tools.js';
+import { registerBuiltinTools, evaluateExpression, convertUnits, formatDuration, Timers } from '../builtin-tools.js';
+
+// Timers driven by a fake clock
+function fakeTimers(onDone = null) {
+    const pending = new Map();
+    let clock = 0;
+    let nextHandle = 1;
+    const timers = new Timers({
+        onDone,
+        now: () => clock,
+        setTimer: (fn, ms) => {
+            const handle = nextHandle++;
+            pending.set(handle, { fn, at: clock + ms });
+            return handle;
+        },
+        clearTimer: (handle) => pending.delete(handle),
+    });
+    const advance = (ms) => {
+        clock += ms;
+        for (const [handle, { fn, at }] of [...pending]) {
+            if (at <= clock) {
+                pending.delete(handle);
+                fn();
+            }
+        }
+    };
+    return { timers, advance };
+}
+
+test('evaluates arithmetic with precedence, percent and functions', () => {
+    assert.equal(evaluateExpression('17% * 240'), 40.8);
+    assert.equal(evaluateExpression('2 + 3 * 4'), 14);
+    assert.equal(evaluateExpression('(2 + 3) * 4'), 20);
+    assert.equal(evaluateExpression('-2^2'), -4);
+    assert.equal(evaluateExpression('2^3^2'), 512);
+    assert.equal(evaluateExpression('2 ** 10'), 1024);
+    assert.equal(evaluateExpression('0.1 + 0.2'), 0.3);
+    assert.equal(evaluateExpression('sqrt(16) + abs(-2)'), 6);
+    assert.equal(evaluateExpression('12 × 3 ÷ 4'), 9);
+    assert.equal(evaluateExpression('1,250 / 5'), 250);
+    assert.equal(evaluateExpression('1.5e3'), 1500);
+    assert.equal(evaluateExpression('round(pi * 100)'), 314);
+});
+
+test('rejects invalid expressions', () => {
+    assert.throws(() => evaluateExpression('1 / 0'), /Division by zero/);
+    assert.throws(() => evaluateExpression('2 +'), /Incomplete expression/);
+    assert.throws(() => evaluateExpression('(1 + 2'), /Expected "\)"/);
+    assert.throws(() => evaluateExpression('alert(1)'), /Unknown name "alert"/);
+    assert.throws(() => evaluateExpression('1 2'), /Unexpected "2"/);
+    assert.throws(() => evaluateExpression('2 $ 3'), /Unexpected "\$"/);
+    assert.throws(() => evaluateExpression('sqrt(-1)'), /not a finite number/);
+});
+
+test('converts units by name or symbol', () => {
+    assert.deepEqual(convertUnits(5, 'km', 'miles'), { value: 3.10686, unit: 'mi' });
+    assert.deepEqual(convertUnits(1, 'pound', 'g'), { value: 453.592, unit: 'g' });
+    assert.deepEqual(convertUnits(100, 'Celsius', 'F'), { value: 212, unit: 'F' });
+    assert.deepEqual(convertUnits(0, 'K', 'c'), { value: -273.15, unit: 'C' });
+    assert.deepEqual(convertUnits(1, 'GiB', 'MB'), { value: 1073.74, unit: 'MB' });
+    assert.deepEqual(convertUnits(60, 'mph', 'km/h'), { value: 96.5606, unit: 'km/h' });
+    assert.deepEqual(convertUnits(2, 'cups', 'ml'), { value: 473.176, unit: 'ml' });
+    assert.throws(() => convertUnits(1, 'kg', 'm'), /Cannot convert mass \(kg\) to length \(m\)/);
+    assert.throws(() => convertUnits(1, 'furlong', 'm'), /Unknown unit "furlong"/);
+});
+
+test('formats durations for speech', () => {
+    assert.equal(formatDuration(300), '5 minutes');
+    assert.equal(formatDuration(3661), '1 hour 1 minute 1 second');
+    assert.equal(formatDuration(0), '0 seconds');
+});
+
+test('timers ring once and can be listed and cancelled', async () => {
+    const done = [];
+    const { timers, advance } = fakeTimers(timer => done.push(timer.label));
+    const registry = registerBuiltinTools(new ToolRegistry(), { timers });
+
+    assert.deepEqual(await registry.execute({ name: 'set_timer', arguments: { minutes: 5, label: 'pasta' } }),
+        { ok: true, result: { started: 'pasta timer', duration: '5 minutes' } });
+    await registry.execute({ name: 'set_timer', arguments: { seconds: 90 } });
+
+    advance(60 * 1000);
+    assert.deepEqual((await registry.execute({ name: 'list_timers', arguments: {} })).result, {
+        timers: [
+            { name: 'pasta timer', remaining: '4 minutes' },
+            { name: '1 minute 30 seconds timer', remaining: '30 seconds' },
+        ],
+    });
+
+    advance(30 * 1000);
+    assert.deepEqual(done, ['']);
+
+    assert.deepEqual((await registry.execute({ name: 'cancel_timer', arguments: { label: 'Pasta' } })).result,
+        { cancelled: ['pasta timer'] });
+    advance(10 * 60 * 1000);
+    assert.deepEqual(done, ['']);
+});
+
+test('timers need a sensible duration', async () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const registry = registerBuiltinTools(new ToolRegistry(), { timers: fakeTimers().timers });
+        assert.deepEqual(await registry.execute({ name: 'set_timer', arguments: {} }), { ok: false, error: 'The timer needs a duration' });
+        assert.equal((await registry.execute({ name: 'set_timer', arguments: { hours: 25 } })).ok, false);
+        assert.equal((await registry.execute({ name: 'set_timer', arguments: { minutes: -5 } })).ok, false);
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('reports the date and time, optionally in another time zone', async () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const now = () => new Date('2026-10-19T13:05:00Z');
+        const registry = registerBuiltinTools(new ToolRegistry(), { timers: fakeTimers().timers, now });
+
+        const { result } = await registry.execute({ name: 'get_datetime', arguments: { timezone: 'Asia/Tokyo' } });
+        assert.deepEqual(result, { date: 'Monday, October 19, 2026', time: '10:05 PM', timezone: 'Asia/Tokyo' });
+
+        const utc = await registry.execute({ name: 'get_datetime', arguments: { timezone: 'UTC' } });
+        assert.equal(utc.result.time, '1:05 PM');
+
+        assert.deepEqual(await registry.execute({ name: 'get_datetime', arguments: { timezone: 'Mars/Olympus' } }),
+            { ok: false, error: 'Unknown time zone "Mars/Olympus"' });
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('calculate and convert_units return results the model can read out', async () => {
+    const registry = registerBuiltinTools(new ToolRegistry(), { timers: fakeTimers().timers });
+    assert.deepEqual(await registry.execute({ name: 'calculate', arguments: { expression: '17% * 240' } }),
+        { ok: true, result: { expression: '17% * 240', result: 40.8 } });
+    assert.deepEqual(await registry.execute({ name: 'convert_units', arguments: { value: '10', from: 'kg', to: 'lb' } }),
+        { ok: true, result: { value: 10, from: 'kg', to: 'lb', result: 22.0462 } });
+});
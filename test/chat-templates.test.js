@@ -0,0 +1,114 @@
+/**
+ * Tests for chat templates and the LLM model catalog
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHAT_TEMPLATES, getChatTemplate, renderChat, truncateAtStop, detectChatTemplate } from '../chat-templates.js';
+import { MODEL_CATALOG, DEFAULT_MODEL_ID, getModel, findModelByFile, modelUrl, describeModel } from '../model-catalog.js';
+import { Conversation } from '../conversation.js';
+
+const messages = [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Hi' },
+    { role: 'assistant', content: 'Hello!' },
+    { role: 'user', content: 'Bye' },
+];
+
+test('renders ChatML', () => {
+    assert.equal(renderChat(messages, CHAT_TEMPLATES.chatml),
+        '<|im_start|>system\nBe brief.<|im_end|>\n' +
+        '<|im_start|>user\nHi<|im_end|>\n' +
+        '<|im_start|>assistant\nHello!<|im_end|>\n' +
+        '<|im_start|>user\nBye<|im_end|>\n' +
+        '<|im_start|>assistant\n');
+});
+
+test('renders Llama 3 without a BOS token', () => {
+    const prompt = renderChat(messages.slice(0, 2), CHAT_TEMPLATES.llama3);
+    assert.equal(prompt,
+        '<|start_header_id|>system<|end_header_id|>\n\nBe brief.<|eot_id|>' +
+        '<|start_header_id|>user<|end_header_id|>\n\nHi<|eot_id|>' +
+        '<|start_header_id|>assistant<|end_header_id|>\n\n');
+});
+
+test('renders Gemma with the system prompt folded into the first user turn', () => {
+    assert.equal(renderChat(messages, CHAT_TEMPLATES.gemma),
+        '<start_of_turn>user\nBe brief.\n\nHi<end_of_turn>\n' +
+        '<start_of_turn>model\nHello!<end_of_turn>\n' +
+        '<start_of_turn>user\nBye<end_of_turn>\n' +
+        '<start_of_turn>model\n');
+    // The caller's messages are left alone
+    assert.equal(messages[1].content, 'Hi');
+});
+
+test('renders Phi-3', () => {
+    assert.equal(renderChat(messages.slice(1, 2), CHAT_TEMPLATES.phi3), '<|user|>\nHi<|end|>\n<|assistant|>\n');
+});
+
+test('looks templates up by id', () => {
+    assert.equal(getChatTemplate('gemma'), CHAT_TEMPLATES.gemma);
+    assert.equal(getChatTemplate(CHAT_TEMPLATES.phi3), CHAT_TEMPLATES.phi3);
+    assert.throws(() => getChatTemplate('alpaca'), /Unknown chat template/);
+});
+
+test('cuts the reply at the earliest stop string', () => {
+    assert.deepEqual(truncateAtStop('Sure.<|eot_id|><|start_header_id|>user', CHAT_TEMPLATES.llama3),
+        { text: 'Sure.', stopped: true });
+    assert.deepEqual(truncateAtStop('Still going', CHAT_TEMPLATES.gemma), { text: 'Still going', stopped: false });
+    // Another template's markers are ordinary text
+    assert.equal(truncateAtStop('a<|im_end|>b', CHAT_TEMPLATES.gemma).stopped, false);
+});
+
+test('detects the template from the embedded Jinja, then the file name', () => {
+    assert.equal(detectChatTemplate("{{ '<|im_start|>' + message['role'] }}"), CHAT_TEMPLATES.chatml);
+    assert.equal(detectChatTemplate('{{ "<|start_header_id|>" }}', 'x.gguf'), CHAT_TEMPLATES.llama3);
+    assert.equal(detectChatTemplate('<start_of_turn>model'), CHAT_TEMPLATES.gemma);
+    assert.equal(detectChatTemplate("'<|assistant|>' ... '<|end|>'"), CHAT_TEMPLATES.phi3);
+    assert.equal(detectChatTemplate(null, 'Meta-Llama-3.1-8B-Instruct.Q2_K.gguf'), CHAT_TEMPLATES.llama3);
+    assert.equal(detectChatTemplate(null, 'gemma-2-9b-it.gguf'), CHAT_TEMPLATES.gemma);
+    assert.equal(detectChatTemplate(null, 'tinyllama.gguf'), CHAT_TEMPLATES.chatml);
+});
+
+test('catalog entries are unique, loadable single files with known templates', () => {
+    const ids = new Set(MODEL_CATALOG.map(model => model.id));
+    assert.equal(ids.size, MODEL_CATALOG.length);
+    assert.ok(getModel(DEFAULT_MODEL_ID));
+    for (const model of MODEL_CATALOG) {
+        assert.ok(CHAT_TEMPLATES[model.template], model.id);
+        assert.match(model.file, /\.gguf$/);
+        assert.ok(model.sizeMB < 2048, `${model.id} is over Wllama's 2 GB file limit`);
+        assert.equal(model.hf.file.toLowerCase(), model.file.toLowerCase());
+    }
+});
+
+test('finds catalog models by file name and describes them', () => {
+    const model = findModelByFile('llama-3.2-1b-instruct-q4_k_m.gguf');
+    assert.equal(model.id, 'llama3.2-1b-q4');
+    assert.equal(modelUrl(model), '/models/llm/Llama-3.2-1B-Instruct-Q4_K_M.gguf');
+    assert.equal(describeModel(model), 'Llama 3.2 1B · Q4_K_M · 808 MB');
+    assert.equal(describeModel(getModel('gemma2-2b-q4')), 'Gemma 2 2B · Q4_K_M · 1.7 GB');
+    assert.equal(findModelByFile('unknown.gguf'), null);
+    assert.equal(getModel('nope'), null);
+});
+
+test('conversation prompts follow the template and recount tokens after a switch', async () => {
+    const counted = [];
+    const conversation = new Conversation({
+        countTokens: async (text) => {
+            counted.push(text);
+            return text.length;
+        },
+    });
+    conversation.addUser('Hi');
+    conversation.addAssistant('Hello!');
+
+    let prompt = await conversation.buildPrompt('Be brief.', 'Bye');
+    assert.ok(prompt.startsWith('<|im_start|>system'));
+
+    conversation.setTemplate(CHAT_TEMPLATES.gemma);
+    counted.length = 0;
+    prompt = await conversation.buildPrompt('Be brief.', 'Bye');
+    assert.equal(prompt, renderChat(messages, CHAT_TEMPLATES.gemma));
+    assert.ok(counted.includes('<start_of_turn>model\nHello!<end_of_turn>\n'));
+});
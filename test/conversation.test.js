@@ -0,0 +1,108 @@
+/**
+ * Tests for conversation history and token-budget trimming
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Conversation } from '../conversation.js';
+import { renderChat } from '../chat-templates.js';
+
+// One token per whitespace-separated word
+const countTokens = async text => text.split(/\s+/).filter(Boolean).length;
+
+function conversationWith(turns, options = {}) {
+    const conversation = new Conversation({ countTokens, ...options });
+    for (let i = 1; i <= turns; i++) {
+        conversation.addUser(`question ${i}`);
+        conversation.addAssistant(`answer ${i}`);
+    }
+    return conversation;
+}
+
+// Tokens of the system prompt, the pending input and the assistant prefix
+async function fixedCost(system, input) {
+    return countTokens(renderChat([{ role: 'system', content: system }, { role: 'user', content: input }]));
+}
+
+// Tokens of one rendered user + assistant exchange
+async function exchangeCost(conversation, i) {
+    const [user, assistant] = conversation.turns.slice(2 * (i - 1), 2 * i);
+    return (await conversation.tokensFor(user)) + (await conversation.tokensFor(assistant));
+}
+
+test('keeps every turn when the budget allows', async () => {
+    const conversation = conversationWith(3);
+    const prompt = await conversation.buildPrompt('Be brief.', 'question 4');
+    assert.equal(prompt, renderChat([
+        { role: 'system', content: 'Be brief.' },
+        ...conversation.turns.map(({ role, content }) => ({ role, content })),
+        { role: 'user', content: 'question 4' },
+    ]));
+});
+
+test('drops the oldest turns first to fit the budget', async () => {
+    const conversation = conversationWith(5);
+    // Room for exactly the two newest exchanges
+    const budget = (await fixedCost('Be brief.', 'question 6'))
+        + (await exchangeCost(conversation, 4)) + (await exchangeCost(conversation, 5));
+    conversation.maxPromptTokens = budget;
+
+    const log = console.log;
+    console.log = () => {};
+    try {
+        const prompt = await conversation.buildPrompt('Be brief.', 'question 6');
+        for (const i of [1, 2, 3]) assert.ok(!prompt.includes(`question ${i}<`), `question ${i} kept`);
+        for (const i of [4, 5]) {
+            assert.ok(prompt.includes(`question ${i}<`), `question ${i} dropped`);
+            assert.ok(prompt.includes(`answer ${i}<`), `answer ${i} dropped`);
+        }
+        assert.ok(await countTokens(prompt) <= budget);
+    } finally {
+        console.log = log;
+    }
+});
+
+test('never starts the history on an assistant reply', async () => {
+    const conversation = conversationWith(2);
+    // Room for the last answer but not the question before it
+    const lastAnswer = await conversation.tokensFor(conversation.turns[3]);
+    conversation.maxPromptTokens = (await fixedCost('Be brief.', 'question 3')) + lastAnswer;
+
+    const log = console.log;
+    console.log = () => {};
+    try {
+        const prompt = await conversation.buildPrompt('Be brief.', 'question 3');
+        assert.ok(!prompt.includes('answer 2'));
+    } finally {
+        console.log = log;
+    }
+});
+
+test('always keeps the system prompt and the user input', async () => {
+    const conversation = conversationWith(3, { maxPromptTokens: 1 });
+    const log = console.log;
+    console.log = () => {};
+    try {
+        const prompt = await conversation.buildPrompt('Be brief.', 'What now?', {
+            followUp: [{ role: 'assistant', content: 'call' }],
+        });
+        assert.equal(prompt, renderChat([
+            { role: 'system', content: 'Be brief.' },
+            { role: 'user', content: 'What now?' },
+            { role: 'assistant', content: 'call' },
+        ]));
+    } finally {
+        console.log = log;
+    }
+});
+
+test('caps stored turns at maxTurns, oldest out first', () => {
+    const conversation = conversationWith(3, { maxTurns: 4 });
+    assert.equal(conversation.length, 4);
+    assert.deepEqual(conversation.turns.map(turn => turn.content), ['question 2', 'answer 2', 'question 3', 'answer 3']);
+
+    conversation.addUser('   ');
+    assert.equal(conversation.length, 4);
+    conversation.reset();
+    assert.equal(conversation.length, 0);
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for multi-speaker dialogue synthesis
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isDialogueScript, parseDialogueScript, synthesizeDialogue } from '../dialogue.js';
+
+// Fake TTS: every line lasts 0.1 s per word, filled with the style's value
+function fakeTts(sampleRate = 100) {
+    const batches = [];
+    return {
+        sampleRate,
+        batches,
+        async batch(textList, langList, style) {
+            batches.push({ style: style.name, texts: textList });
+            const durations = textList.map(text => text.split(' ').length * 0.1);
+            const rowLen = Math.round(Math.max(...durations) * sampleRate);
+            const wav = new Float32Array(rowLen * textList.length).fill(style.value);
+            return { wav, duration: durations };
+        },
+    };
+}
+
+test('parses speaker tags into lines', () => {
+    assert.deepEqual(parseDialogueScript('[M1] Hello there.\n[F1]  Hi! [M1] Bye'), [
+        { speaker: 'M1', text: 'Hello there.' },
+        { speaker: 'F1', text: 'Hi!' },
+        { speaker: 'M1', text: 'Bye' },
+    ]);
+    assert.throws(() => parseDialogueScript('Hello [M1] there'), /must start with a speaker tag/);
+});
+
+test('keeps bracketed cues that are not speakers in the text', () => {
+    const speakers = ['M1', 'F1'];
+    assert.deepEqual(parseDialogueScript('[M1] Hello [laughs] there.\n[f1] Hi! [sighs]', speakers), [
+        { speaker: 'M1', text: 'Hello [laughs] there.' },
+        { speaker: 'f1', text: 'Hi! [sighs]' },
+    ]);
+    assert.equal(isDialogueScript('[M1] Hello', speakers), true);
+    assert.equal(isDialogueScript('[laughs] Hello [M1] there', speakers), false);
+    assert.throws(() => parseDialogueScript('[laughs] Hello [M1] there', speakers), /No voice style for speaker "laughs"/);
+});
+
+test('batches lines per speaker and lays them out with turn gaps', async () => {
+    const tts = fakeTts();
+    const voices = { M1: { name: 'M1', value: 1 }, F1: { name: 'F1', value: 2 } };
+
+    const { wav, duration, segments } = await synthesizeDialogue(
+        tts, '[M1] one two [F1] three [M1] four five six [M1] seven', voices,
+        { turnGap: 0.5, lineGap: 0.2 }
+    );
+
+    assert.deepEqual(tts.batches, [
+        { style: 'M1', texts: ['one two', 'four five six', 'seven'] },
+        { style: 'F1', texts: ['three'] },
+    ]);
+    assert.deepEqual(segments.map(({ speaker, start, end }) => [speaker, start, end]), [
+        ['M1', 0, 0.2],
+        ['F1', 0.7, 0.8],
+        ['M1', 1.3, 1.6],
+        ['M1', 1.8, 1.9],
+    ]);
+    assert.equal(wav.length, 190);
+    assert.equal(duration, 1.9);
+    assert.equal(wav[75], 2);
+    assert.equal(wav[100], 0);
+});
+
+test('rejects speakers without a voice', async () => {
+    await assert.rejects(synthesizeDialogue(fakeTts(), '[X] hi', {}), /No voice style for speaker "X"/);
+});
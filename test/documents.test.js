@@ -0,0 +1,171 @@
+/**
+ * Tests for document chunking, retrieval and citations (local RAG)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    chunkText, markdownToText, extractText, isDocumentFile, documentTitle, topK,
+    formatPassages, citation, DocumentIndex, EMBEDDING_MODEL,
+} from '../documents.js';
+
+// Bag-of-words vectors over a tiny vocabulary, normalized like the real embedder
+const VOCABULARY = ['budget', 'launch', 'vacation', 'coffee', 'server', 'march'];
+
+async function fakeEmbed(texts) {
+    return texts.map((text) => {
+        const words = text.toLowerCase().match(/[a-z]+/g) || [];
+        const vector = Float32Array.from(VOCABULARY, word => words.filter(w => w.startsWith(word)).length);
+        const norm = Math.hypot(...vector) || 1;
+        return vector.map(v => v / norm);
+    });
+}
+
+// In-memory stand-in for DocumentStore
+class MemoryStore {
+    constructor() {
+        this.docs = new Map();
+        this.rows = [];
+        this.nextId = 1;
+    }
+
+    async add(document, chunks) {
+        const id = this.nextId++;
+        this.docs.set(id, { ...document, id });
+        const stored = chunks.map(chunk => ({ ...chunk, docId: id, id: this.nextId++ }));
+        this.rows.push(...stored);
+        return { document: { ...document, id }, chunks: stored };
+    }
+
+    async documents() {
+        return [...this.docs.values()];
+    }
+
+    async chunks() {
+        return this.rows;
+    }
+
+    async remove(id) {
+        this.docs.delete(id);
+        this.rows = this.rows.filter(chunk => chunk.docId !== id);
+    }
+
+    async clear() {
+        this.docs.clear();
+        this.rows = [];
+    }
+}
+
+test('chunks text at sentences with overlap and a size limit', () => {
+    const sentences = Array.from({ length: 12 }, (_, i) => `Sentence number ${i} is here.`);
+    const chunks = chunkText(sentences.join(' '), { maxChars: 120, overlap: 40 });
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) assert.ok(chunk.length <= 120, chunk);
+    // Every sentence is kept, and consecutive chunks share their boundary sentence
+    for (const sentence of sentences) assert.ok(chunks.some(chunk => chunk.includes(sentence)), sentence);
+    for (let i = 1; i < chunks.length; i++) {
+        const last = chunks[i - 1].match(/Sentence number \d+ is here\.$/)[0];
+        assert.ok(chunks[i].startsWith(last));
+    }
+});
+
+test('keeps paragraphs apart and splits overlong runs at words', () => {
+    assert.deepEqual(chunkText('First para.\n\nSecond\npara.', { maxChars: 12, overlap: 0 }), ['First para.', 'Second para.']);
+    const chunks = chunkText('word '.repeat(100), { maxChars: 50, overlap: 0 });
+    assert.ok(chunks.every(chunk => chunk.length <= 50));
+    assert.equal(chunks.join(' ').split(' ').length, 100);
+    assert.deepEqual(chunkText('  \n\n '), []);
+});
+
+test('strips Markdown markup', () => {
+    const text = markdownToText('# Plan\n\n- Ship **v2** by [March](http://x)\n> note `code`\n\n```js\nlet a;\n```');
+    assert.equal(text, 'Plan\n\nShip v2 by March\nnote code\n\n\nlet a;\n');
+});
+
+test('reads text and Markdown files and recognizes supported types', async () => {
+    assert.equal(await extractText(new File(['Hello *there*'], 'a.md')), 'Hello there');
+    assert.equal(await extractText(new File(['Hello *there*'], 'a.txt')), 'Hello *there*');
+    assert.equal(isDocumentFile({ name: 'Report.PDF' }), true);
+    assert.equal(isDocumentFile({ name: 'model.gguf' }), false);
+});
+
+test('ranks chunks by similarity above a threshold', () => {
+    const chunks = [
+        { text: 'a', vector: [1, 0] },
+        { text: 'b', vector: [0.6, 0.8] },
+        { text: 'c', vector: [0, 1] },
+    ];
+    assert.deepEqual(topK([1, 0], chunks, 2).map(r => r.chunk.text), ['a', 'b']);
+    assert.deepEqual(topK([1, 0], chunks, 3, 0.5).map(r => r.chunk.text), ['a', 'b']);
+});
+
+test('prompts with titled passages and cites only when the reply does not', () => {
+    assert.equal(documentTitle('team_notes-2026.md'), 'team notes 2026');
+    const passages = [
+        { title: 'team notes', text: 'Launch is in March.' },
+        { title: 'budget', text: 'Budget is fixed.' },
+        { title: 'team notes', text: 'Coffee is free.' },
+    ];
+    const prompt = formatPassages(passages);
+    assert.match(prompt, /\[1\] From "team notes": Launch is in March\./);
+    assert.match(prompt, /\[2\] From "budget": Budget is fixed\./);
+
+    assert.equal(citation('According to Team Notes, it is in March.', passages), '');
+    assert.equal(citation('It is in March.', passages), 'Source: team notes, budget.');
+    assert.equal(citation('Es en marzo.', passages, 'Fuente'), 'Fuente: team notes, budget.');
+    assert.equal(citation('Hi.', []), '');
+});
+
+test('indexes, searches, replaces and removes documents', async () => {
+    const store = new MemoryStore();
+    const index = new DocumentIndex({ store, embed: fakeEmbed, batchSize: 2 });
+    const progress = [];
+
+    await index.add('plan.md', 'The launch is planned for March.\n\nThe budget was approved.\n\nCoffee machines are broken.', {
+        onProgress: (done, total) => progress.push([done, total]),
+    });
+    await index.add('ops.txt', 'The server moves next week.');
+    assert.deepEqual(progress, [[1, 1]]);
+    assert.deepEqual(index.list().map(d => [d.name, d.chunks, d.model]), [['plan.md', 1, EMBEDDING_MODEL], ['ops.txt', 1, EMBEDDING_MODEL]]);
+
+    const [hit] = await index.search('When is the server move?', { k: 1 });
+    assert.equal(hit.name, 'ops.txt');
+    assert.equal(hit.title, 'ops');
+    assert.equal(hit.text, 'The server moves next week.');
+    assert.deepEqual(await index.search('vacation days?'), []);
+
+    // Same name replaces the old version
+    await index.add('ops.txt', 'Vacation policy: 25 days.');
+    assert.equal(index.list().length, 2);
+    assert.equal((await index.search('vacation'))[0].text, 'Vacation policy: 25 days.');
+    assert.deepEqual(await index.search('server'), []);
+
+    // A fresh index reads back what was stored
+    const reloaded = new DocumentIndex({ store, embed: fakeEmbed });
+    await reloaded.load();
+    assert.equal(reloaded.chunks.length, 2);
+
+    await reloaded.remove(reloaded.list().find(d => d.name === 'plan.md').id);
+    assert.deepEqual(reloaded.list().map(d => d.name), ['ops.txt']);
+    assert.equal(store.rows.length, 1);
+
+    await assert.rejects(index.add('empty.txt', ' \n '), /empty\.txt has no text/);
+});
+
+test('drops documents embedded with another model', async () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const store = new MemoryStore();
+        await new DocumentIndex({ store, embed: fakeEmbed, model: 'old-model' }).add('a.txt', 'Budget.');
+        await new DocumentIndex({ store, embed: fakeEmbed }).add('b.txt', 'Launch.');
+
+        const index = new DocumentIndex({ store, embed: fakeEmbed });
+        await index.load();
+        assert.deepEqual(index.list().map(d => d.name), ['b.txt']);
+        assert.equal(store.docs.size, 1);
+    } finally {
+        console.warn = warn;
+    }
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests for the Whisper log-mel front end
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { logMelSpectrogram, SAMPLE_RATE, HOP_LENGTH } from '../mel-spectrogram.js';
+
+const N_MELS = 80;
+
+function tone(hz, seconds, gain = 0.5) {
+    const audio = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    for (let i = 0; i < audio.length; i++) audio[i] = gain * Math.sin(2 * Math.PI * hz * i / SAMPLE_RATE);
+    return audio;
+}
+
+// Slaney mel scale: linear below 1 kHz, logarithmic above
+function hzToMel(hz) {
+    return hz < 1000 ? hz / (200 / 3) : 15 + Math.log(hz / 1000) / (Math.log(6.4) / 27);
+}
+
+// Band whose triangular filter is centred nearest to `hz`
+function expectedBand(hz) {
+    const step = hzToMel(SAMPLE_RATE / 2) / (N_MELS + 1);
+    return Math.round(hzToMel(hz) / step) - 1;
+}
+
+function loudestBand(mel, nFrames, t) {
+    let best = 0;
+    for (let m = 1; m < N_MELS; m++) {
+        if (mel[m * nFrames + t] > mel[best * nFrames + t]) best = m;
+    }
+    return best;
+}
+
+test('produces nMels x nFrames features', () => {
+    assert.equal(logMelSpectrogram(tone(440, 0.5), N_MELS, 100).length, N_MELS * 100);
+    assert.equal(logMelSpectrogram(tone(440, 0.5), 128, 30).length, 128 * 30);
+});
+
+test('puts a pure tone in the band centred on its frequency', () => {
+    for (const hz of [440, 1000, 3000]) {
+        const mel = logMelSpectrogram(tone(hz, 1), N_MELS, 100);
+        const band = loudestBand(mel, 100, 50);
+        assert.ok(Math.abs(band - expectedBand(hz)) <= 1, `${hz} Hz peaked in band ${band}, expected ${expectedBand(hz)}`);
+    }
+});
+
+test('pads short audio with silence at the dynamic-range floor', () => {
+    // 0.5 s of tone in a 1 s window: frames past the end of the audio are silent
+    const nFrames = SAMPLE_RATE / HOP_LENGTH;
+    const mel = logMelSpectrogram(tone(1000, 0.5), N_MELS, nFrames);
+    const band = loudestBand(mel, nFrames, 25);
+    const max = Math.max(...mel);
+    const floor = Math.min(...mel);
+    // Whisper clamps to 8 log10 units below the peak, then maps x to (x + 4) / 4
+    assert.ok(Math.abs(max - floor - 2) < 1e-5, `range ${max - floor}`);
+    assert.ok(mel[band * nFrames + 25] > floor + 1);
+    assert.equal(mel[band * nFrames + nFrames - 10], floor);
+});
@@ -0,0 +1,185 @@
+/**
+ * Tests for downloads with progress/retry and the parallel model loader
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchWithProgress, fetchJson, withRetries, combineProgress, ModelLoader, isAbortError } from '../model-loader.js';
+
+function streamResponse(chunks, { status = 200, length = chunks.reduce((sum, c) => sum + c.length, 0) } = {}) {
+    const body = new ReadableStream({
+        start(controller) {
+            for (const chunk of chunks) controller.enqueue(new Uint8Array(chunk));
+            controller.close();
+        },
+    });
+    return new Response(body, { status, headers: { 'content-length': String(length) } });
+}
+
+test('downloads a file and reports byte progress', async () => {
+    const progress = [];
+    const bytes = await fetchWithProgress('/model.onnx', {
+        fetchImpl: async () => streamResponse([[1, 2], [3, 4, 5]]),
+        onProgress: (loaded, total) => progress.push([loaded, total]),
+    });
+    assert.deepEqual(Array.from(bytes), [1, 2, 3, 4, 5]);
+    assert.deepEqual(progress, [[0, 5], [2, 5], [5, 5], [5, 5]]);
+});
+
+test('retries network and server errors with backoff, not 404s', async () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        let calls = 0;
+        const bytes = await fetchWithProgress('/flaky', {
+            retryDelayMs: 1,
+            fetchImpl: async () => {
+                calls++;
+                if (calls === 1) throw new TypeError('Failed to fetch');
+                if (calls === 2) return new Response('busy', { status: 503 });
+                return streamResponse([[7]]);
+            },
+        });
+        assert.equal(calls, 3);
+        assert.deepEqual(Array.from(bytes), [7]);
+
+        calls = 0;
+        await assert.rejects(
+            fetchWithProgress('/missing', { retryDelayMs: 1, fetchImpl: async () => { calls++; return new Response('', { status: 404 }); } }),
+            err => err.status === 404
+        );
+        assert.equal(calls, 1);
+
+        calls = 0;
+        await assert.rejects(
+            fetchWithProgress('/down', { retries: 2, retryDelayMs: 1, fetchImpl: async () => { calls++; throw new TypeError('offline'); } }),
+            /offline/
+        );
+        assert.equal(calls, 3);
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('cancellation stops retrying', async () => {
+    const controller = new AbortController();
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const pending = fetchWithProgress('/down', {
+            signal: controller.signal,
+            retryDelayMs: 10000,
+            fetchImpl: async () => { throw new TypeError('offline'); },
+        });
+        setTimeout(() => controller.abort(), 5);
+        await assert.rejects(pending, isAbortError);
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('fetches JSON config files with the same retries', async () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        let calls = 0;
+        const json = await fetchJson('/tts.json', {
+            retryDelayMs: 1,
+            fetchImpl: async () => (++calls === 1 ? new Response('', { status: 502 }) : new Response('{"ae":{"sample_rate":44100}}')),
+        });
+        assert.equal(calls, 2);
+        assert.deepEqual(json, { ae: { sample_rate: 44100 } });
+
+        await assert.rejects(
+            fetchJson('/gone.json', { retryDelayMs: 1, fetchImpl: async () => new Response('', { status: 404 }) }),
+            err => err.status === 404
+        );
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('retries any task that fails with a network error', async () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const attempts = [];
+        const retried = [];
+        const result = await withRetries(async (attempt) => {
+            attempts.push(attempt);
+            if (attempt < 2) throw new TypeError('network error');
+            return 'loaded';
+        }, { retryDelayMs: 1, onRetry: (err, attempt) => retried.push(attempt) });
+        assert.equal(result, 'loaded');
+        assert.deepEqual(attempts, [0, 1, 2]);
+        assert.deepEqual(retried, [0, 1]);
+
+        const notFound = Object.assign(new Error('HTTP 404'), { status: 404 });
+        let calls = 0;
+        await assert.rejects(withRetries(async () => { calls++; throw notFound; }, { retryDelayMs: 1 }), notFound);
+        assert.equal(calls, 1);
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('combines progress across files', () => {
+    const reports = [];
+    const track = combineProgress((loaded, total) => reports.push([loaded, total]));
+    track('a')(0, 100);
+    track('b')(0, 50);
+    track('a')(40, 100);
+    track('b')(50, 50);
+    assert.deepEqual(reports.at(-1), [90, 150]);
+});
+
+test('loads components in parallel with aggregate progress', async () => {
+    const started = [];
+    const loader = new ModelLoader()
+        .add('a', { load: async ({ onProgress }) => { started.push('a'); onProgress(10, 100); await null; onProgress(100, 100); return 'A'; } })
+        .add('b', { load: async ({ onProgress }) => { started.push('b'); onProgress(50, 300); return 'B'; } });
+
+    const snapshot = await loader.loadAll();
+    assert.deepEqual(started, ['a', 'b']);
+    assert.equal(snapshot.settled, true);
+    assert.deepEqual(snapshot.failed, []);
+    assert.equal(snapshot.total, 400);
+    // Finished components count as fully loaded
+    assert.equal(snapshot.progress, 1);
+    assert.equal(loader.result('a'), 'A');
+});
+
+test('retries only the failed component', async () => {
+    const error = console.error;
+    console.error = () => {};
+    try {
+        const runs = { ok: 0, flaky: 0 };
+        const loader = new ModelLoader()
+            .add('ok', { load: async () => { runs.ok++; } })
+            .add('flaky', { load: async () => { runs.flaky++; if (runs.flaky === 1) throw new Error('HTTP 500'); } });
+
+        let snapshot = await loader.loadAll();
+        assert.deepEqual(snapshot.failed, ['flaky']);
+        assert.equal(snapshot.components[1].error.message, 'HTTP 500');
+
+        assert.equal(await loader.retry('flaky'), true);
+        snapshot = loader.snapshot();
+        assert.deepEqual(snapshot.failed, []);
+        assert.deepEqual(runs, { ok: 1, flaky: 2 });
+    } finally {
+        console.error = error;
+    }
+});
+
+test('cancel marks running components as cancelled', async () => {
+    const loader = new ModelLoader().add('slow', {
+        load: ({ signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason));
+        }),
+    });
+    const done = loader.start('slow');
+    loader.cancel();
+    assert.equal(await done, false);
+    assert.equal(loader.snapshot().components[0].status, 'cancelled');
+    assert.deepEqual(loader.snapshot().failed, ['slow']);
+});
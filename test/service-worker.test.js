@@ -0,0 +1,52 @@
+/**
+ * Tests for the generated service worker (vite.config.js serviceWorker plugin)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { serviceWorker } from '../vite.config.js';
+
+const BUNDLE = {
+    'index.html': { type: 'asset', source: '<html></html>' },
+    'assets/index-abc.js': { type: 'chunk', code: 'console.log(1);' },
+    'assets/index-abc.js.map': { type: 'asset', source: '{}' },
+    'assets/ort-wasm-simd-threaded.jsep-def.wasm': { type: 'asset', source: new Uint8Array([0, 97, 115, 109]) },
+};
+
+function buildServiceWorker(bundle) {
+    let emitted = null;
+    serviceWorker().generateBundle.call({ emitFile: (file) => { emitted = file; } }, {}, bundle);
+    assert.equal(emitted.fileName, 'sw.js');
+    return emitted.source;
+}
+
+function precacheUrls(source) {
+    return JSON.parse(source.match(/const PRECACHE_URLS = (\[.*\]);/)[1]);
+}
+
+test('precaches the URL that navigations are served from', () => {
+    const source = buildServiceWorker(BUNDLE);
+    const fallback = source.match(/request\.mode === 'navigate'[\s\S]*?caches\.match\('([^']+)'/)[1];
+    assert.ok(precacheUrls(source).includes(fallback), `${fallback} is not precached`);
+});
+
+test('precaches bundles, the ORT wasm and shell files but not source maps', () => {
+    const urls = precacheUrls(buildServiceWorker(BUNDLE));
+    assert.deepEqual(urls, [
+        '/',
+        '/assets/index-abc.js',
+        '/assets/ort-wasm-simd-threaded.jsep-def.wasm',
+        '/index.html',
+        '/manifest.webmanifest',
+        '/icon.svg',
+    ]);
+});
+
+test('versions the worker by the content of the build', () => {
+    const version = source => source.match(/const APP_VERSION = "([0-9a-f]+)";/)[1];
+    const first = version(buildServiceWorker(BUNDLE));
+    assert.equal(version(buildServiceWorker(BUNDLE)), first);
+
+    const changed = { ...BUNDLE, 'assets/index-abc.js': { type: 'chunk', code: 'console.log(2);' } };
+    assert.notEqual(version(buildServiceWorker(changed)), first);
+});
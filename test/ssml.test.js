@@ -0,0 +1,71 @@
+/**
+ * Tests for the SSML front end
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSsml, isSsml, stripSsml } from '../ssml.js';
+import { TextToSpeech } from '../helper.js';
+
+test('detects SSML documents', () => {
+    assert.equal(isSsml('  <speak>Hi</speak>'), true);
+    assert.equal(isSsml('Say <break/> hi'), false);
+});
+
+test('parses breaks, prosody, lang, say-as and sub into segments', () => {
+    const segments = parseSsml(
+        '<speak>Hello <break time="500ms"/><prosody rate="slow">slowly</prosody> ' +
+        '<lang xml:lang="fr-FR">bonjour</lang> <say-as interpret-as="characters">TTS</say-as> ' +
+        '<sub alias="World Wide Web">WWW</sub> <say-as interpret-as="digits">2026</say-as></speak>',
+        { lang: 'en', speed: 1 }
+    );
+    assert.deepEqual(segments, [
+        { type: 'text', text: 'Hello', lang: 'en', speed: 1 },
+        { type: 'break', time: 0.5 },
+        { type: 'text', text: 'slowly', lang: 'en', speed: 0.8 },
+        { type: 'text', text: 'bonjour', lang: 'fr', speed: 1 },
+        { type: 'text', text: 'T T S World Wide Web 2 0 2 6', lang: 'en', speed: 1 },
+    ]);
+});
+
+test('reads say-as dates in the requested field order', () => {
+    const [segment] = parseSsml('<speak><say-as interpret-as="date" format="dmy">19/10/2026</say-as></speak>');
+    assert.equal(segment.text, '2026-10-19');
+});
+
+test('tolerates unclosed and stray tags', () => {
+    assert.deepEqual(parseSsml('</prosody>One <prosody rate="200%">two', { speed: 1 }), [
+        { type: 'text', text: 'One', lang: 'en', speed: 1 },
+        { type: 'text', text: 'two', lang: 'en', speed: 2 },
+    ]);
+    assert.equal(stripSsml('Wait<break time="1s"/>, then &amp; go.'), 'Wait, then & go.');
+});
+
+test('decodes character references and survives out-of-range ones', () => {
+    const [segment] = parseSsml('<speak>caf&#233; &amp; &#x1F600; &#99999999; &#x110000;</speak>', { speed: 1 });
+    assert.equal(segment.text, 'café & \u{1F600} \uFFFD \uFFFD');
+});
+
+test('inserts exactly the requested pauses between segments', async () => {
+    const sampleRate = 100;
+    const tts = new TextToSpeech({ ae: { sample_rate: sampleRate } });
+    const calls = [];
+    tts._infer = async (textList, langList, style, totalStep, speed) => {
+        calls.push({ text: textList[0], lang: langList[0], speed });
+        return { wav: new Float32Array(sampleRate).fill(1), duration: [1] };
+    };
+    const style = { ttl: { dims: [1] } };
+
+    const { wav, duration } = await tts.call(
+        '<speak>One<break time="250ms"/><lang xml:lang="es">dos</lang></speak>', 'en', style, 2, 1.0, 0.3
+    );
+
+    assert.deepEqual(calls, [
+        { text: 'One', lang: 'en', speed: 1 },
+        { text: 'dos', lang: 'es', speed: 1 },
+    ]);
+    assert.equal(wav.length, 2 * sampleRate + 25);
+    assert.equal(wav[sampleRate], 0);
+    assert.equal(wav[sampleRate + 25], 1);
+    assert.ok(Math.abs(duration[0] - 2.25) < 1e-9);
+});
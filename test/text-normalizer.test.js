@@ -0,0 +1,154 @@
+/**
+ * Tests for the language-aware TTS text normalizer
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeText, registerNormalizer } from '../text-normalizer.js';
+
+const CASES = {
+    en: [
+        ['I paid $1,200.50', 'I paid one thousand two hundred dollars and fifty cents'],
+        ['on 10/19/2026 at 2:30pm', 'on October nineteenth, twenty twenty-six at two thirty PM'],
+        ['the 21st time', 'the twenty-first time'],
+        ['up 3.5%', 'up three point five percent'],
+        ['-4 °C and 5 km', 'minus four degrees Celsius and five kilometers'],
+        ['in 1999, 5-10 people', 'in nineteen ninety-nine, five-ten people'],
+        ['Call me at 3:05am on 1/2/2025', 'Call me at three oh five AM on January second, twenty twenty-five'],
+        ['$0.99 and 1 cent', 'ninety-nine cents and one cent'],
+        ['the 2nd and 3rd, 100th', 'the second and third, one hundredth'],
+        ['1,000,000 people', 'one million people'],
+        ['2026-01-05', 'January fifth, twenty twenty-six'],
+        ['£5 and €1', 'five pounds and one euro'],
+    ],
+    es: [
+        ['1.200,50 €', 'mil doscientos euros con cincuenta céntimos'],
+        ['el 19/10/2026', 'el diecinueve de octubre de dos mil veintiséis'],
+        ['21 km y la 1ª', 'veintiún kilómetros y la primera'],
+        ['el 1 de enero, 2,5 kg', 'el uno de enero, dos coma cinco kilogramos'],
+        ['$1 y 2 €', 'un dólar y dos euros'],
+        ['-3 °C', 'menos tres grados Celsius'],
+        ['1.000.000 de personas', 'un millón de personas'],
+        ['el 2º piso', 'el segundo piso'],
+    ],
+    pt: [
+        ['R$ 1.234,56', 'mil duzentos e trinta e quatro reais e cinquenta e seis centavos'],
+        ['às 2:00pm', 'às duas horas da tarde'],
+        ['1º lugar, 2,5 km', 'primeiro lugar, dois vírgula cinco quilômetros'],
+        ['R$ 1,00', 'um real'],
+        ['às 14:15', 'às catorze e quinze'],
+        ['2 kg e 1 km', 'dois quilogramas e um quilômetro'],
+        ['-5 °C', 'menos cinco graus Celsius'],
+    ],
+    fr: [
+        ['1 234,50 €', 'mille deux cent trente-quatre euros et cinquante centimes'],
+        ['le 1er à 14h30', 'le premier à quatorze heures trente'],
+        ['80 % et 71 km', 'quatre-vingts pour cent et soixante et onze kilomètres'],
+        ['21 h et 1,5 kg', 'vingt et une heures et un virgule cinq kilogrammes'],
+        ['le 2e, 1991', 'le deuxième, mille neuf cent quatre-vingt-onze'],
+        ['1 € et 2 $', 'un euro et deux dollars'],
+        ['le 19/10/2026', 'le dix-neuf octobre deux mille vingt-six'],
+    ],
+    ko: [
+        ['₩12,000 또는 1200원', '만 이천 원 또는 천이백 원'],
+        ['2026-06-19 14:30', '이천이십육년 유월 십구일 오후 두 시 삼십 분'],
+        ['3번째, 20개', '세 번째, 스무 개'],
+        ['제3장', '제삼장'],
+        ['10월과 6월', '시월과 유월'],
+        ['50% 할인', '오십 퍼센트 할인'],
+    ],
+};
+
+for (const [lang, cases] of Object.entries(CASES)) {
+    test(`normalizes ${lang} numbers, dates, currency and units`, () => {
+        for (const [input, expected] of cases) {
+            assert.equal(normalizeText(input, lang), expected);
+        }
+    });
+}
+
+test('reads Korean counters natively up to 99 and sino-Korean from 100', () => {
+    const cases = [
+        ['1개', '한 개'],
+        ['12시', '열두 시'],
+        ['35살', '서른다섯 살'],
+        ['99명', '아흔아홉 명'],
+        ['100개', '백 개'],
+        ['120명', '백이십 명'],
+        ['350명', '삼백오십 명'],
+        ['1,200명', '천이백 명'],
+        ['100개 중 21개', '백 개 중 스물한 개'],
+        // Decimals and months with more than two digits are not counters
+        ['1.5개', '일 점 오개'],
+        ['112월', '백십이월'],
+    ];
+    for (const [input, expected] of cases) {
+        assert.equal(normalizeText(input, 'ko'), expected);
+    }
+});
+
+test('leaves versions and IP addresses as written', () => {
+    assert.equal(normalizeText('Version 2.0.1 is out', 'en'), 'Version 2.0.1 is out');
+    assert.equal(normalizeText('Ping 192.168.1.1 now', 'en'), 'Ping 192.168.1.1 now');
+    assert.equal(normalizeText('versión 2.0.1', 'es'), 'versión 2.0.1');
+    // Thousands groups and decimals still read as numbers
+    assert.equal(normalizeText('1.000.000 de personas', 'es'), 'un millón de personas');
+    assert.equal(normalizeText('up 1.5.', 'en'), 'up one point five.');
+});
+
+test('reads plural decades', () => {
+    assert.equal(normalizeText('The 1990s were fun', 'en'), 'The nineteen nineties were fun');
+    assert.equal(normalizeText("the 80s and the '90s", 'en'), 'the eighties and the nineties');
+    assert.equal(normalizeText('the 1900s and 2010s', 'en'), 'the nineteen hundreds and twenty tens');
+});
+
+test('expands units only when the symbol ends the word', () => {
+    assert.equal(normalizeText('I ate 3 m&ms', 'en'), 'I ate three m&ms');
+    assert.equal(normalizeText('It is 5m away, or 5 m.', 'en'), 'It is five meters away, or five meters.');
+    assert.equal(normalizeText('Run 2h today', 'en'), 'Run two hours today');
+    assert.equal(normalizeText('3 m&ms', 'es'), 'tres m&ms');
+});
+
+test('keeps numbers apart from letters written against them', () => {
+    assert.equal(normalizeText('v1.2', 'en'), 'v one point two');
+    assert.equal(normalizeText('a 3D film', 'en'), 'a three D film');
+});
+
+test('makes Spanish numbers agree with the noun they count', () => {
+    const cases = [
+        ['Tengo 21 años', 'Tengo veintiún años'],
+        ['Hay 1 perro', 'Hay un perro'],
+        ['31 días', 'treinta y un días'],
+        ['21 casas y 1 persona', 'veintiuna casas y una persona'],
+        // Not followed by what it counts
+        ['el 1 de mayo', 'el uno de mayo'],
+        ['1 más 1', 'uno más uno'],
+    ];
+    for (const [input, expected] of cases) {
+        assert.equal(normalizeText(input, 'es'), expected);
+    }
+});
+
+test('passes text through for languages without rules', () => {
+    assert.equal(normalizeText('Room 101', 'xx'), 'Room 101');
+});
+
+test('accepts custom rule sets', () => {
+    registerNormalizer('test', {
+        cardinal: (n) => 'I'.repeat(n),
+        ordinal: (n) => `${'I'.repeat(n)}th`,
+        decimalWord: 'dot',
+        minusWord: 'neg',
+        percentWord: 'pct',
+        andWord: 'and',
+        numberPattern: { grouped: '(?!)', plain: '\\d+', groupChars: /,/g, decimalChar: '.' },
+        count: (n, noun) => `${'I'.repeat(n)} ${noun.one}`,
+        slashDateOrder: 'dmy',
+        date: (y, m, d) => `${d}-${m}-${y}`,
+        time: (h, min) => `${h}h${min}`,
+        ordinalPattern: /(\d+)th\b/g,
+        currencies: {},
+        units: {},
+    });
+    assert.equal(normalizeText('4 and 3th', 'test'), 'IIII and IIIth');
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for tool call parsing, validation, grammar and the registry
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ToolRegistry, splitToolCall, parseToolCall, formatToolCall, formatToolResult,
+    validateArguments, toolCallGrammar,
+} from '../tools.js';
+
+const timerTool = {
+    name: 'set_timer',
+    description: 'Start a timer.',
+    parameters: {
+        type: 'object',
+        properties: {
+            minutes: { type: 'number', minimum: 0 },
+            label: { type: 'string' },
+            unit: { type: 'string', enum: ['s', 'min'] },
+        },
+        required: ['minutes'],
+    },
+    run: ({ minutes, label = '' }) => ({ started: `${minutes} min ${label}`.trim() }),
+};
+
+test('holds streaming text that may become a tool call', () => {
+    const speech = text => splitToolCall(text, { partial: true }).speech;
+    assert.equal(speech(''), '');
+    assert.equal(speech('<tool'), '');
+    assert.equal(speech(' <tool_call>{"na'), ' ');
+    assert.equal(speech('{"name"'), '');
+    assert.equal(speech('Sure! {"na'), 'Sure! ');
+    assert.equal(speech('Sure! { '), 'Sure! ');
+    assert.equal(speech('Sure! <tool_'), 'Sure! ');
+    assert.equal(speech('It is'), 'It is');
+    assert.equal(speech('<b>'), '<b>');
+});
+
+test('finds a tool call after a preamble', () => {
+    const call = '<tool_call>{"name": "get_datetime", "arguments": {}}</tool_call>';
+    assert.deepEqual(splitToolCall(`Sure! Let me check. ${call}`), { speech: 'Sure! Let me check. ', callText: call });
+    assert.deepEqual(splitToolCall('{"name": "x"}'), { speech: '', callText: '{"name": "x"}' });
+    // Bare calls after a preamble, complete or cut off, are held back from speech too
+    const bare = '{"name":"get_datetime","arguments":{}}';
+    assert.deepEqual(splitToolCall(`Sure! ${bare}`), { speech: 'Sure! ', callText: bare });
+    const truncated = '{"name":"set_timer","arguments":{"minutes":5}';
+    assert.deepEqual(splitToolCall(`On it. ${truncated}`), { speech: 'On it. ', callText: truncated });
+    assert.equal(parseToolCall(truncated), null);
+    // Other JSON in a reply is just text
+    assert.deepEqual(splitToolCall('Use {"a": 1} here'), { speech: 'Use {"a": 1} here', callText: '' });
+    assert.deepEqual(splitToolCall('{"a": 1}'), { speech: '{"a": 1}', callText: '' });
+    // A finished reply ending in "<" is not held back
+    assert.equal(splitToolCall('a <').speech, 'a <');
+});
+
+test('parses tagged, bare and unterminated tool calls', () => {
+    const expected = { name: 'set_timer', arguments: { minutes: 5 } };
+    assert.deepEqual(parseToolCall('<tool_call>{"name": "set_timer", "arguments": {"minutes": 5}}</tool_call>'), expected);
+    assert.deepEqual(parseToolCall('{"name": "set_timer", "arguments": {"minutes": 5}}'), expected);
+    assert.deepEqual(parseToolCall('<tool_call>\n{"name": "set_timer", "arguments": {"minutes": 5}}\nDone!'), expected);
+    assert.deepEqual(parseToolCall('<tool_call>{"name": "set_timer", "arguments": "{\\"minutes\\": 5}"}</tool_call>'), expected);
+    assert.deepEqual(parseToolCall('<tool_call>{"name": "list_timers"}</tool_call>'), { name: 'list_timers', arguments: {} });
+});
+
+test('rejects text that is not a tool call', () => {
+    assert.equal(parseToolCall('The time is 5 pm.'), null);
+    assert.equal(parseToolCall('<tool_call>{"name": "set_timer", "arguments": {'), null);
+    assert.equal(parseToolCall('<tool_call>{"arguments": {}}</tool_call>'), null);
+    assert.equal(parseToolCall('<tool_call>{"name": "x", "arguments": [1]}</tool_call>'), null);
+});
+
+test('formats calls and results for the next prompt', () => {
+    const call = { name: 'calculate', arguments: { expression: '2+2' } };
+    assert.equal(formatToolCall(call), '<tool_call>{"name":"calculate","arguments":{"expression":"2+2"}}</tool_call>');
+    assert.deepEqual(parseToolCall(formatToolCall(call)), call);
+    assert.equal(formatToolResult(call, { ok: true, result: 4 }), '<tool_response>{"name":"calculate","result":4}</tool_response>');
+    assert.equal(formatToolResult(call, { ok: false, error: 'bad' }), '<tool_response>{"name":"calculate","error":"bad"}</tool_response>');
+});
+
+test('validates arguments and converts numeric strings', () => {
+    assert.deepEqual(validateArguments(timerTool.parameters, { minutes: '5', label: 'tea' }),
+        { value: { minutes: 5, label: 'tea' }, errors: [] });
+    assert.deepEqual(validateArguments(timerTool.parameters, { label: 3, unit: 'h', minutes: -1, extra: true }).errors,
+        ['"label" should be string', '"unit" should be one of s, min', '"minutes" should be at least 0']);
+    assert.deepEqual(validateArguments(timerTool.parameters, {}).errors, ['missing "minutes"']);
+    assert.deepEqual(validateArguments({ type: 'object', properties: {}, additionalProperties: false }, { x: 1 }).errors,
+        ['unknown argument "x"']);
+});
+
+test('builds a GBNF grammar with every referenced rule defined', () => {
+    const grammar = toolCallGrammar([timerTool, { name: 'list_timers', parameters: { type: 'object', properties: {} } }]);
+    const defined = new Set(grammar.split('\n').map(line => line.split(' ::= ')[0]));
+    assert.ok(defined.has('root'));
+    for (const line of grammar.split('\n')) {
+        const body = line.split(' ::= ')[1].replace(/"(?:[^"\\]|\\.)*"/g, '').replace(/\[(?:[^\]\\]|\\.)*\]/g, '');
+        for (const name of body.match(/[a-z][a-z0-9-]*/g) || []) {
+            assert.ok(defined.has(name), `rule "${name}" is not defined`);
+        }
+    }
+    assert.match(grammar, /^root ::= "<tool_call>" \( set-timer-call \| list-timers-call \) "<\/tool_call>"$/m);
+    assert.match(grammar, /set-timer-args ::= "\{" ws "\\"minutes\\"" ws ":" ws number \( ws "," ws set-timer-opt-0 \)\? ws "\}"/);
+    assert.match(grammar, /set-timer-opt-1 ::= "\\"unit\\"" ws ":" ws \( "\\"s\\"" \| "\\"min\\"" \)/);
+    assert.match(grammar, /list-timers-args ::= "\{" ws {2}ws "\}"/);
+});
+
+test('runs registered tools and reports failures instead of throwing', async () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const registry = new ToolRegistry()
+            .register(timerTool)
+            .register({ name: 'fail', description: 'Always fails.', run: () => { throw new Error('boom'); } });
+
+        assert.deepEqual(await registry.execute({ name: 'set_timer', arguments: { minutes: '3', label: 'tea' } }),
+            { ok: true, result: { started: '3 min tea' } });
+        assert.deepEqual(await registry.execute({ name: 'set_timer', arguments: {} }),
+            { ok: false, error: 'Invalid arguments: missing "minutes"' });
+        assert.deepEqual(await registry.execute({ name: 'nope', arguments: {} }), { ok: false, error: 'Unknown tool "nope"' });
+        assert.deepEqual(await registry.execute({ name: 'fail', arguments: {} }), { ok: false, error: 'boom' });
+        assert.throws(() => registry.register({ name: 'bad name', run: () => {} }), /Invalid tool name/);
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('describes tools for the system prompt', () => {
+    const text = new ToolRegistry().register(timerTool).describe();
+    assert.match(text, /<tool_call>\{"name": "tool_name", "arguments": \{\.\.\.\}\}<\/tool_call>/);
+    assert.match(text, /- set_timer: Start a timer\. Arguments: \{"minutes": number, "label": string \(optional\), "unit": "s"\|"min" \(optional\)\}/);
+});
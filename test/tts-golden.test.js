@@ -0,0 +1,135 @@
+/**
+ * Golden-output regression tests for Supertonic TTS
+ *
+ * Synthesizes fixed sentences with a fixed seed through onnxruntime-node and
+ * compares them with stored waveforms in test/golden/. Needs the models in
+ * public/models/supertonic (or SUPERTONIC_DIR); skipped when they are absent.
+ * Cases without a recorded golden are skipped too.
+ *
+ * Record the goldens, or regenerate them after an intended change, with:
+ *   npm run test:update-golden
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as ort from 'onnxruntime-web';
+import { TextToSpeech, UnicodeProcessor, Style, createSeededRandom } from '../helper.js';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const modelDir = process.env.SUPERTONIC_DIR || path.join(rootDir, 'public/models/supertonic');
+const goldenDir = path.join(rootDir, 'test/golden');
+const updateGolden = process.env.UPDATE_GOLDEN === '1';
+
+const SEED = 1234;
+const TOTAL_STEP = 5;
+const SPEED = 1.05;
+
+// Relative RMS error allowed between runs (covers CPU/ISA float differences)
+const MAX_RELATIVE_RMS_ERROR = 0.01;
+
+const CASES = [
+    { name: 'en-short', lang: 'en', text: 'Hello, this is Nadha speaking.' },
+    { name: 'en-long', lang: 'en', text: 'The quick brown fox jumps over the lazy dog. She sells sea shells by the sea shore, and the shells she sells are surely seashells.' },
+    { name: 'es-short', lang: 'es', text: 'Hola, ¿cómo estás hoy?' },
+    { name: 'ko-short', lang: 'ko', text: '안녕하세요, 만나서 반갑습니다.' },
+];
+
+const hasModels = fs.existsSync(path.join(modelDir, 'tts.json'));
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function loadStyle(file) {
+    const json = readJson(file);
+    const tensor = ({ dims, data }) => new ort.Tensor('float32', new Float32Array(data.flat(Infinity)), dims);
+    return new Style(tensor(json.style_ttl), tensor(json.style_dp));
+}
+
+async function loadModel() {
+    // Imported lazily so the model-free tests run without the native binding
+    const ortNode = await import('onnxruntime-node');
+    const cfgs = readJson(path.join(modelDir, 'tts.json'));
+    const textProcessor = new UnicodeProcessor(readJson(path.join(modelDir, 'unicode_indexer.json')));
+    const names = ['duration_predictor', 'text_encoder', 'vector_estimator', 'vocoder'];
+    const sessions = [];
+    for (const name of names) {
+        sessions.push(await ortNode.InferenceSession.create(path.join(modelDir, `${name}.onnx`)));
+    }
+    return new TextToSpeech(cfgs, textProcessor, ...sessions);
+}
+
+function goldenPath(name) {
+    return path.join(goldenDir, `${name}.f32`);
+}
+
+function readGolden(name) {
+    const buffer = fs.readFileSync(goldenPath(name));
+    return new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4);
+}
+
+function relativeRmsError(actual, expected) {
+    let errSum = 0;
+    let refSum = 0;
+    for (let i = 0; i < expected.length; i++) {
+        const diff = actual[i] - expected[i];
+        errSum += diff * diff;
+        refSum += expected[i] * expected[i];
+    }
+    return Math.sqrt(errSum / Math.max(refSum, 1e-12));
+}
+
+test('TTS output matches golden waveforms', { skip: !hasModels && `no models in ${modelDir}` }, async (t) => {
+    const tts = await loadModel();
+    const style = loadStyle(path.join(modelDir, 'M1.json'));
+
+    for (const { name, lang, text } of CASES) {
+        const skip = !updateGolden && !fs.existsSync(goldenPath(name))
+            && `no golden ${name}.f32; record it with npm run test:update-golden`;
+        await t.test(name, { skip }, async () => {
+            const { wav } = await tts.call(text, lang, style, TOTAL_STEP, SPEED, 0.3, null, { seed: SEED });
+
+            if (updateGolden) {
+                fs.mkdirSync(goldenDir, { recursive: true });
+                fs.writeFileSync(goldenPath(name), Buffer.from(wav.buffer, wav.byteOffset, wav.byteLength));
+                return;
+            }
+
+            const expected = readGolden(name);
+            assert.equal(wav.length, expected.length, 'waveform length changed');
+            const error = relativeRmsError(wav, expected);
+            assert.ok(error <= MAX_RELATIVE_RMS_ERROR, `relative RMS error ${error.toFixed(5)} exceeds ${MAX_RELATIVE_RMS_ERROR}`);
+        });
+    }
+});
+
+test('seeded synthesis is reproducible', { skip: !hasModels && `no models in ${modelDir}` }, async () => {
+    const tts = await loadModel();
+    const style = loadStyle(path.join(modelDir, 'M1.json'));
+    const text = 'Same seed, same audio.';
+
+    const first = await tts.call(text, 'en', style, TOTAL_STEP, SPEED, 0.3, null, { seed: SEED });
+    const second = await tts.call(text, 'en', style, TOTAL_STEP, SPEED, 0.3, null, { seed: SEED });
+    assert.deepEqual(second.wav, first.wav);
+});
+
+test('seeded noise sampling is deterministic', () => {
+    const tts = new TextToSpeech({ ae: { sample_rate: 44100 } });
+    const sample = (seed) => tts.sampleNoisyLatent([1.2, 0.8], 44100, 512, 6, 24, createSeededRandom(seed));
+
+    const a = sample(7);
+    const b = sample(7);
+    const c = sample(8);
+    assert.deepEqual(a.xt, b.xt);
+    assert.notDeepEqual(a.xt, c.xt);
+
+    // Padding beyond the shorter item's length stays silent
+    const [, latentDim, latentLen] = a.latentShape;
+    const secondItem = a.xt.subarray(latentDim * latentLen);
+    const shortLen = a.latentMask.subarray(latentLen).reduce((n, m) => n + m, 0);
+    assert.ok(shortLen < latentLen);
+    assert.equal(Math.abs(secondItem[shortLen]), 0);
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for voice style blending and serialization
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as ort from 'onnxruntime-web';
+import { Style, blendStyles, styleToJSON, loadVoiceStyle } from '../helper.js';
+import { encodeVoiceStyle, decodeVoiceStyle, isBinaryVoiceStyle } from '../voice-style-format.js';
+
+function styleBatch(ttlRows, dpRows) {
+    const tensor = (rows, dims) => new ort.Tensor('float32', Float32Array.from(rows.flat()), [rows.length, ...dims]);
+    return new Style(tensor(ttlRows, [2, 2]), tensor(dpRows, [1, 2]));
+}
+
+test('blends a style batch with normalized weights', () => {
+    const batch = styleBatch([[0, 0, 0, 0], [10, 20, 30, 40]], [[1, 1], [3, 5]]);
+    const blended = blendStyles(batch, [70, 30]);
+
+    assert.deepEqual(blended.ttl.dims, [1, 2, 2]);
+    assert.deepEqual(blended.dp.dims, [1, 1, 2]);
+    const expectedTtl = [3, 6, 9, 12];
+    expectedTtl.forEach((v, i) => assert.ok(Math.abs(blended.ttl.data[i] - v) < 1e-5));
+    [1.6, 2.2].forEach((v, i) => assert.ok(Math.abs(blended.dp.data[i] - v) < 1e-5));
+});
+
+test('rejects mismatched or empty weights', () => {
+    const batch = styleBatch([[0, 0, 0, 0], [1, 1, 1, 1]], [[0, 0], [1, 1]]);
+    assert.throws(() => blendStyles(batch, [1]), /Expected 2 blend weights/);
+    assert.throws(() => blendStyles(batch, [0, 0]), /not all zero/);
+    assert.throws(() => blendStyles(batch, [-1, 2]), /non-negative/);
+});
+
+test('serializes a single style in the voice style JSON layout', () => {
+    const style = blendStyles(styleBatch([[1, 2, 3, 4]], [[5, 6]]), [1]);
+    assert.deepEqual(styleToJSON(style), {
+        style_ttl: { dims: [1, 2, 2], data: [[[1, 2], [3, 4]]] },
+        style_dp: { dims: [1, 1, 2], data: [[[5, 6]]] },
+    });
+    assert.throws(() => styleToJSON(styleBatch([[0, 0, 0, 0], [0, 0, 0, 0]], [[0, 0], [0, 0]])), /single voice style/);
+});
+
+const STYLE_JSON = {
+    style_ttl: { dims: [1, 2, 2], data: [[[1, 2], [3, 4]]] },
+    style_dp: { dims: [1, 1, 2], data: [[[-0.5, 0.25]]] },
+};
+
+test('round-trips the binary voice style format', () => {
+    const buffer = encodeVoiceStyle({
+        ttl: { dims: [1, 2, 2], data: [1, 2, 3, 4] },
+        dp: { dims: [1, 1, 2], data: [-0.5, 0.25] },
+    });
+    assert.equal(isBinaryVoiceStyle(buffer), true);
+    assert.equal(isBinaryVoiceStyle(new TextEncoder().encode('{"style_ttl"').buffer), false);
+
+    const { ttl, dp } = decodeVoiceStyle(buffer);
+    assert.deepEqual(ttl.dims, [1, 2, 2]);
+    assert.deepEqual(Array.from(ttl.data), [1, 2, 3, 4]);
+    assert.deepEqual(Array.from(dp.data), [-0.5, 0.25]);
+    assert.throws(() => decodeVoiceStyle(buffer.slice(0, buffer.byteLength - 4)), /truncated/);
+});
+
+test('loads JSON and binary styles into one batch, fetching each file once', async (t) => {
+    const binary = encodeVoiceStyle({
+        ttl: { dims: [1, 2, 2], data: [5, 6, 7, 8] },
+        dp: { dims: [1, 1, 2], data: [1, 1] },
+    });
+    const files = {
+        '/styles/A.json': JSON.stringify(STYLE_JSON),
+        // Detected by magic bytes even without the .vstyle extension
+        '/styles/B.bin': binary,
+    };
+    const fetched = [];
+    t.mock.method(globalThis, 'fetch', async (url) => {
+        fetched.push(url);
+        return new Response(files[url]);
+    });
+
+    const style = await loadVoiceStyle(['/styles/A.json', '/styles/B.bin']);
+
+    assert.deepEqual(fetched, ['/styles/A.json', '/styles/B.bin']);
+    assert.deepEqual(style.ttl.dims, [2, 2, 2]);
+    assert.deepEqual(Array.from(style.ttl.data), [1, 2, 3, 4, 5, 6, 7, 8]);
+    assert.deepEqual(Array.from(style.dp.data), [-0.5, 0.25, 1, 1]);
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for wake-word detection against enrolled templates
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WakeWordDetector, wakeFeatures } from '../wake-word.js';
+
+const SAMPLE_RATE = 16000;
+
+function noiseSource(seed) {
+    return () => {
+        seed = (seed * 1664525 + 1013904223) >>> 0;
+        return seed / 2 ** 32 - 0.5;
+    };
+}
+
+// A synthetic "word": voiced segments of [pitch Hz, seconds] with harmonics, in light noise
+function word(segments, { stretch = 1, gain = 0.3, seed = 1, pre = 0.3, post = 0.3 } = {}) {
+    const noise = noiseSource(seed);
+    const samples = [];
+    const silence = seconds => {
+        for (let i = 0; i < seconds * SAMPLE_RATE; i++) samples.push(noise() * 0.003);
+    };
+    silence(pre);
+    for (const [pitch, seconds] of segments) {
+        const n = Math.floor(seconds * stretch * SAMPLE_RATE);
+        for (let i = 0; i < n; i++) {
+            let v = 0;
+            for (let h = 1; h <= 4; h++) v += Math.sin(2 * Math.PI * pitch * h * i / SAMPLE_RATE) / h;
+            samples.push(gain * v * Math.sin(Math.PI * i / n) ** 0.3 + noise() * 0.003);
+        }
+    }
+    silence(post);
+    return Float32Array.from(samples);
+}
+
+function concat(a, b) {
+    const out = new Float32Array(a.length + b.length);
+    out.set(a);
+    out.set(b, a.length);
+    return out;
+}
+
+const PHRASE = [[220, 0.15], [300, 0.15], [180, 0.2], [260, 0.25]];
+const OTHER = [[400, 0.2], [150, 0.2], [350, 0.3]];
+
+function enrolledDetector(options) {
+    const detector = new WakeWordDetector(options);
+    for (const [stretch, seed] of [[1, 1], [1.1, 2], [0.92, 3]]) {
+        assert.equal(detector.enroll(word(PHRASE, { stretch, seed })), true);
+    }
+    return detector;
+}
+
+test('trims silence around speech', () => {
+    const { frames, offset } = wakeFeatures(word(PHRASE));
+    // 0.3 s of leading silence at 100 frames per second
+    assert.ok(offset >= 25 && offset <= 32, `offset ${offset}`);
+    assert.ok(frames.length >= 65 && frames.length <= 80, `${frames.length} frames`);
+});
+
+test('matches the enrolled phrase, louder or quieter and a little faster or slower', () => {
+    const detector = enrolledDetector();
+    assert.equal(detector.templates.length, 3);
+    assert.ok(detector.match(word(PHRASE, { stretch: 1.05, gain: 0.15, seed: 9 })).matched);
+    assert.ok(detector.match(word(PHRASE, { stretch: 0.95, gain: 0.5, seed: 10 })).matched);
+});
+
+test('rejects other speech', () => {
+    const detector = enrolledDetector();
+    assert.equal(detector.match(word(OTHER, { seed: 4 })).matched, false);
+    assert.equal(detector.match(word([...PHRASE].reverse(), { seed: 5 })).matched, false);
+    assert.equal(detector.match(new Float32Array(800)).matched, false);
+    assert.equal(new WakeWordDetector().match(word(PHRASE)).matched, false);
+});
+
+test('reports where a request after the phrase starts', () => {
+    const detector = enrolledDetector();
+    const phrase = word(PHRASE, { seed: 7, post: 0 });
+    const result = detector.match(concat(phrase, word(OTHER, { seed: 8, pre: 0 })));
+    assert.ok(result.matched);
+    // Within 0.1 s of the end of the phrase
+    assert.ok(Math.abs(result.restSample - phrase.length) < 0.1 * SAMPLE_RATE, `restSample ${result.restSample}`);
+});
+
+test('refuses recordings too short to be the phrase', () => {
+    const detector = new WakeWordDetector();
+    assert.equal(detector.enroll(word([[220, 0.1]], { pre: 0.1, post: 0.1 })), false);
+    assert.equal(detector.enrolled, false);
+});
+
+test('sensitivity widens the threshold', () => {
+    const strict = enrolledDetector({ sensitivity: 0 });
+    const lenient = enrolledDetector({ sensitivity: 1 });
+    assert.ok(lenient.threshold() > strict.threshold());
+});
+
+test('templates survive a round trip through JSON', () => {
+    const detector = enrolledDetector();
+    const restored = WakeWordDetector.fromJSON(JSON.parse(JSON.stringify(detector.toJSON())), { sensitivity: 0.5 });
+    assert.equal(restored.templates.length, 3);
+    assert.ok(Math.abs(restored.baseline - detector.baseline) < 1e-3);
+    assert.ok(restored.match(word(PHRASE, { seed: 11 })).matched);
+    assert.equal(WakeWordDetector.fromJSON(null).enrolled, false);
+});
@@ -0,0 +1,885 @@
+/**
+ * Language-aware text normalizer for TTS
+ * Expands numbers, ordinals, decimals, currency, dates, times, percentages
+ * and common units into words before text is indexed for the model.
+ *
+ * Each language registers a rule set (see registerNormalizer). The shared
+ * passes below find the patterns; the rule set decides how they are read.
+ */
+
+const rules = new Map();
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+/**
+ * Register (or replace) the rule set for a language.
+ *
+ * A rule set provides:
+ *  - cardinal(n, { feminine }) / ordinal(n, { feminine })
+ *  - decimalWord, minusWord, percentWord
+ *  - numberPattern: { grouped, plain: RegExp sources; groupChars: RegExp; decimalChar }
+ *  - count(n, noun, { plural }) -> "<n> <noun>" with agreement
+ *  - date(year, month, day), time(hour, minute, meridiem)
+ *  - year(n): optional reading for bare four-digit numbers, or null
+ *  - slashDateOrder: 'mdy' | 'dmy' | 'ymd'
+ *  - ordinalPattern: RegExp with the number in group 1 (optional group 2 = suffix)
+ *  - currencies / units: symbol -> noun ({ one, many, feminine })
+ *  - beforeNoun(n, word): optional reading of a whole number followed by `word`,
+ *    for agreement (veintiún años), or null for the plain cardinal
+ *  - extraPasses: optional [RegExp, replacer] pairs run first
+ */
+export function registerNormalizer(lang, languageRules) {
+    rules.set(lang, languageRules);
+}
+
+export function hasNormalizer(lang) {
+    return rules.has(lang);
+}
+
+// ============================================================================
+// Shared helpers
+// ============================================================================
+
+function digitsToWords(digits, r) {
+    return [...digits].map(d => r.cardinal(Number(d))).join(' ');
+}
+
+/**
+ * Parse a matched number string into its integer and fraction digits
+ */
+function parseNumber(str, r) {
+    const groupedRe = new RegExp(`^${r.numberPattern.grouped}$`);
+    let intPart;
+    let fracPart = null;
+    if (groupedRe.test(str)) {
+        const [int, frac] = str.split(r.numberPattern.decimalChar);
+        intPart = int.replace(r.numberPattern.groupChars, '');
+        fracPart = frac ?? null;
+    } else {
+        const match = /^(\d+)(?:[.,](\d+))?$/.exec(str);
+        intPart = match[1];
+        fracPart = match[2] ?? null;
+    }
+    return { intPart, fracPart };
+}
+
+/**
+ * Read a parsed number as words; decimals are read digit by digit
+ */
+function readNumber({ intPart, fracPart }, r, options = {}) {
+    // Very long numbers and ones with leading zeros (codes, IDs) are read as digits
+    if (intPart.length > 15 || (intPart.length > 1 && intPart.startsWith('0') && fracPart === null)) {
+        return digitsToWords(intPart, r);
+    }
+    const whole = r.cardinal(Number(intPart), options);
+    if (fracPart === null) return whole;
+    return `${whole} ${r.decimalWord} ${digitsToWords(fracPart, r)}`;
+}
+
+// Never one part of a dotted sequence such as a version or an IP (2.0.1)
+function numberSource(r) {
+    return `(?<!\\d\\.?)(?:${r.numberPattern.grouped}|${r.numberPattern.plain})(?!\\.?\\d)`;
+}
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+function isValidDate(month, day) {
+    return month >= 1 && month <= 12 && day >= 1 && day <= 31;
+}
+
+function expandYear(year) {
+    if (year.length === 2) return 2000 + Number(year);
+    return Number(year);
+}
+
+// ============================================================================
+// Passes
+// ============================================================================
+
+function normalizeDates(text, r) {
+    // ISO 2026-10-19
+    text = text.replace(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, (m, y, mo, d) => (
+        isValidDate(Number(mo), Number(d)) ? r.date(Number(y), Number(mo), Number(d)) : m
+    ));
+
+    // Year-first with dots or slashes: 2026.10.19, 2026/10/19
+    text = text.replace(/\b(\d{4})[./](\d{1,2})[./](\d{1,2})\b/g, (m, y, mo, d) => (
+        isValidDate(Number(mo), Number(d)) ? r.date(Number(y), Number(mo), Number(d)) : m
+    ));
+
+    // Slashed dates in the language's customary order
+    return text.replace(/\b(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/g, (m, a, b, y) => {
+        const [mo, d] = r.slashDateOrder === 'mdy' ? [Number(a), Number(b)] : [Number(b), Number(a)];
+        return isValidDate(mo, d) ? r.date(expandYear(y), mo, d) : m;
+    });
+}
+
+function normalizeTimes(text, r) {
+    const meridiem = '([ap])\\.?\\s?m\\.?(?![a-z])';
+
+    // 2:30pm, 2:30 p.m.
+    text = text.replace(new RegExp(`\\b(\\d{1,2}):(\\d{2})\\s*${meridiem}`, 'gi'), (m, h, min, ap) => (
+        Number(h) <= 12 && Number(min) < 60 ? r.time(Number(h), Number(min), ap.toLowerCase()) : m
+    ));
+
+    // 2pm, 2 p.m.
+    text = text.replace(new RegExp(`\\b(\\d{1,2})\\s*${meridiem}`, 'gi'), (m, h, ap) => (
+        Number(h) <= 12 ? r.time(Number(h), 0, ap.toLowerCase()) : m
+    ));
+
+    // 24-hour 14:05
+    return text.replace(/\b(\d{1,2}):(\d{2})\b/g, (m, h, min) => (
+        Number(h) <= 24 && Number(min) < 60 ? r.time(Number(h), Number(min), null) : m
+    ));
+}
+
+function normalizeCurrency(text, r) {
+    if (!r.currencies || Object.keys(r.currencies).length === 0) return text;
+    const symbols = Object.keys(r.currencies).map(escapeRegExp).join('|');
+    const num = numberSource(r);
+    const scales = r.scaleWords ? `(?:\\s+(${r.scaleWords.join('|')}))?` : '()';
+
+    const speak = (amount, symbol, scale) => {
+        const currency = r.currencies[symbol];
+        const parsed = parseNumber(amount, r);
+
+        // "$1.5 million" -> "one point five million dollars"
+        if (scale) {
+            return `${readNumber(parsed, r)} ${scale} ${r.scaleCurrency ? r.scaleCurrency(currency) : currency.many}`;
+        }
+
+        const units = Number(parsed.intPart);
+        const cents = parsed.fracPart ? Number(parsed.fracPart.padEnd(2, '0').slice(0, 2)) : 0;
+        let words = r.count(units, currency);
+        if (cents > 0 && currency.sub) {
+            words = units > 0
+                ? [words, r.andWord, r.count(cents, currency.sub)].filter(Boolean).join(' ')
+                : r.count(cents, currency.sub);
+        }
+        return words;
+    };
+
+    // Symbol first: $1,200.50
+    text = text.replace(new RegExp(`(${symbols})\\s?(${num})${scales}`, 'g'), (m, symbol, amount, scale) => (
+        speak(amount, symbol, scale)
+    ));
+
+    // Symbol last: 5 €, 1200원
+    return text.replace(new RegExp(`(${num})${scales}\\s?(${symbols})`, 'g'), (m, amount, scale, symbol) => (
+        speak(amount, symbol, scale)
+    ));
+}
+
+function normalizePercentages(text, r) {
+    return text.replace(new RegExp(`(${numberSource(r)})\\s?%`, 'g'), (m, amount) => (
+        `${readNumber(parseNumber(amount, r), r)} ${r.percentWord}`
+    ));
+}
+
+function normalizeUnits(text, r) {
+    if (!r.units || Object.keys(r.units).length === 0) return text;
+    // Longest symbols first so "km/h" wins over "km"
+    const symbols = Object.keys(r.units).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+    // The symbol must end the word: "5 m." but not "3 m&ms"
+    return text.replace(new RegExp(`(${numberSource(r)})\\s?(${symbols})(?=[\\s.,;:!?)\\]"'’”]|$)`, 'gu'), (m, amount, symbol) => {
+        const parsed = parseNumber(amount, r);
+        const unit = r.units[symbol];
+        if (parsed.fracPart !== null) {
+            return r.countDecimal ? r.countDecimal(readNumber(parsed, r), unit) : `${readNumber(parsed, r)} ${unit.many}`;
+        }
+        return r.count(Number(parsed.intPart), unit);
+    });
+}
+
+function normalizeOrdinals(text, r) {
+    return text.replace(r.ordinalPattern, (m, n, suffix = '') => r.ordinalFromMatch
+        ? r.ordinalFromMatch(Number(n), suffix)
+        : r.ordinal(Number(n)));
+}
+
+// Minus signs only at word starts, so ranges like 5-10 are left alone
+function normalizeSigns(text, r) {
+    return text.replace(/(^|\s)[-−](?=\d)/g, (m, pre) => `${pre}${r.minusWord} `);
+}
+
+function normalizeNumbers(text, r) {
+    return text.replace(new RegExp(numberSource(r), 'g'), (amount, offset, string) => {
+        const after = string.slice(offset + amount.length);
+        const parsed = parseNumber(amount, r);
+        const year = r.year && /^\d{4}$/.test(amount) ? r.year(Number(amount)) : null;
+        const noun = r.beforeNoun && parsed.fracPart === null && /^\s+(\p{L}+)/u.exec(after);
+        let words = year ?? (noun && r.beforeNoun(Number(parsed.intPart), noun[1])) ?? readNumber(parsed, r);
+        // Keep words apart from letters the digits were written against (2h, v1.2)
+        if (/^\p{Script=Latin}/u.test(after)) words += ' ';
+        if (/\p{Script=Latin}$/u.test(string.slice(0, offset))) words = ` ${words}`;
+        return words;
+    });
+}
+
+/**
+ * Normalize `text` for `lang`. Languages without a rule set pass through.
+ */
+export function normalizeText(text, lang) {
+    const r = rules.get(lang);
+    if (!r || !/\d/.test(text)) return text;
+
+    for (const [pattern, replacer] of r.extraPasses || []) {
+        text = text.replace(pattern, replacer);
+    }
+
+    text = normalizeDates(text, r);
+    text = normalizeTimes(text, r);
+    text = normalizeSigns(text, r);
+    text = normalizeCurrency(text, r);
+    text = normalizePercentages(text, r);
+    text = normalizeUnits(text, r);
+    text = normalizeOrdinals(text, r);
+    text = normalizeNumbers(text, r);
+    return text;
+}
+
+// ============================================================================
+// English
+// ============================================================================
+
+const EN_ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+    'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const EN_TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const EN_SCALES = ['', 'thousand', 'million', 'billion', 'trillion'];
+const EN_MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+    'September', 'October', 'November', 'December'];
+
+function enBelowThousand(n) {
+    const parts = [];
+    if (n >= 100) {
+        parts.push(`${EN_ONES[Math.floor(n / 100)]} hundred`);
+        n %= 100;
+    }
+    if (n >= 20) {
+        parts.push(EN_TENS[Math.floor(n / 10)] + (n % 10 ? `-${EN_ONES[n % 10]}` : ''));
+    } else if (n > 0) {
+        parts.push(EN_ONES[n]);
+    }
+    return parts.join(' ');
+}
+
+function enCardinal(n) {
+    if (n === 0) return 'zero';
+    const parts = [];
+    let scale = 0;
+    while (n > 0) {
+        const chunk = n % 1000;
+        if (chunk) parts.unshift(enBelowThousand(chunk) + (EN_SCALES[scale] ? ` ${EN_SCALES[scale]}` : ''));
+        n = Math.floor(n / 1000);
+        scale++;
+    }
+    return parts.join(' ');
+}
+
+const EN_ORDINAL_IRREGULAR = {
+    one: 'first', two: 'second', three: 'third', five: 'fifth',
+    eight: 'eighth', nine: 'ninth', twelve: 'twelfth',
+};
+
+function enOrdinal(n) {
+    return enCardinal(n).replace(/([a-z]+)$/, (word) => {
+        if (EN_ORDINAL_IRREGULAR[word]) return EN_ORDINAL_IRREGULAR[word];
+        if (word.endsWith('y')) return word.slice(0, -1) + 'ieth';
+        return word + 'th';
+    });
+}
+
+// "nineteen ninety" -> "nineteen nineties"
+function enPlural(words) {
+    return words.replace(/y$/, 'ies').replace(/(?<!ies)$/, 's');
+}
+
+function enYear(year) {
+    if (year >= 2000 && year < 2010) return enCardinal(year);
+    if (year >= 1100 && year < 10000 && year % 100 === 0) return `${enCardinal(year / 100)} hundred`;
+    if (year >= 1100 && year < 10000) {
+        const low = year % 100;
+        return `${enCardinal(Math.floor(year / 100))} ${low < 10 ? `oh ${EN_ONES[low]}` : enCardinal(low)}`;
+    }
+    return enCardinal(year);
+}
+
+registerNormalizer('en', {
+    cardinal: enCardinal,
+    ordinal: enOrdinal,
+    decimalWord: 'point',
+    minusWord: 'minus',
+    percentWord: 'percent',
+    andWord: 'and',
+    numberPattern: { grouped: '\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?', groupChars: /,/g, decimalChar: '.', plain: '\\d+(?:\\.\\d+)?' },
+    scaleWords: ['thousand', 'million', 'billion', 'trillion'],
+    count: (n, noun) => `${enCardinal(n)} ${n === 1 ? noun.one : noun.many}`,
+    slashDateOrder: 'mdy',
+    date: (y, m, d) => `${EN_MONTHS[m - 1]} ${enOrdinal(d)}, ${enYear(y)}`,
+    year: (n) => (n >= 1100 && n < 2100 ? enYear(n) : null),
+    time: (h, min, meridiem) => {
+        let words = enCardinal(h === 0 && meridiem ? 12 : h);
+        if (min === 0 && !meridiem) words += " o'clock";
+        else if (min > 0 && min < 10) words += ` oh ${EN_ONES[min]}`;
+        else if (min > 0) words += ` ${enCardinal(min)}`;
+        if (meridiem) words += meridiem === 'a' ? ' AM' : ' PM';
+        return words;
+    },
+    ordinalPattern: /\b(\d+)(?:st|nd|rd|th)\b/gi,
+    // Decades: 1990s, '80s
+    extraPasses: [
+        [/(?<![\w.,])'?(\d0|\d{3}0)s\b/g, (m, n) => enPlural(n.length === 4 ? enYear(Number(n)) : enCardinal(Number(n)))],
+    ],
+    currencies: {
+        '$': { one: 'dollar', many: 'dollars', sub: { one: 'cent', many: 'cents' } },
+        '€': { one: 'euro', many: 'euros', sub: { one: 'cent', many: 'cents' } },
+        '£': { one: 'pound', many: 'pounds', sub: { one: 'penny', many: 'pence' } },
+        '¥': { one: 'yen', many: 'yen' },
+        '₩': { one: 'won', many: 'won' },
+    },
+    units: {
+        'km/h': { one: 'kilometer per hour', many: 'kilometers per hour' },
+        'mph': { one: 'mile per hour', many: 'miles per hour' },
+        'km': { one: 'kilometer', many: 'kilometers' },
+        'm': { one: 'meter', many: 'meters' },
+        'cm': { one: 'centimeter', many: 'centimeters' },
+        'mm': { one: 'millimeter', many: 'millimeters' },
+        'mi': { one: 'mile', many: 'miles' },
+        'ft': { one: 'foot', many: 'feet' },
+        'kg': { one: 'kilogram', many: 'kilograms' },
+        'g': { one: 'gram', many: 'grams' },
+        'mg': { one: 'milligram', many: 'milligrams' },
+        'lb': { one: 'pound', many: 'pounds' },
+        'lbs': { one: 'pound', many: 'pounds' },
+        'oz': { one: 'ounce', many: 'ounces' },
+        'l': { one: 'liter', many: 'liters' },
+        'L': { one: 'liter', many: 'liters' },
+        'ml': { one: 'milliliter', many: 'milliliters' },
+        'mL': { one: 'milliliter', many: 'milliliters' },
+        '°C': { one: 'degree Celsius', many: 'degrees Celsius' },
+        '°F': { one: 'degree Fahrenheit', many: 'degrees Fahrenheit' },
+        'KB': { one: 'kilobyte', many: 'kilobytes' },
+        'MB': { one: 'megabyte', many: 'megabytes' },
+        'GB': { one: 'gigabyte', many: 'gigabytes' },
+        'TB': { one: 'terabyte', many: 'terabytes' },
+        'min': { one: 'minute', many: 'minutes' },
+        'h': { one: 'hour', many: 'hours' },
+    },
+});
+
+// ============================================================================
+// Spanish
+// ============================================================================
+
+const ES_BELOW_30 = ['cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve', 'diez',
+    'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve', 'veinte',
+    'veintiuno', 'veintidós', 'veintitrés', 'veinticuatro', 'veinticinco', 'veintiséis', 'veintisiete', 'veintiocho', 'veintinueve'];
+const ES_TENS = ['', '', '', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'];
+const ES_HUNDREDS = ['', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos', 'seiscientos',
+    'setecientos', 'ochocientos', 'novecientos'];
+const ES_MONTHS = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto',
+    'septiembre', 'octubre', 'noviembre', 'diciembre'];
+
+function esBelowThousand(n, feminine) {
+    if (n === 100) return 'cien';
+    const parts = [];
+    if (n >= 100) {
+        let hundreds = ES_HUNDREDS[Math.floor(n / 100)];
+        if (feminine) hundreds = hundreds.replace(/ientos$/, 'ientas');
+        parts.push(hundreds);
+        n %= 100;
+    }
+    if (n >= 30) {
+        parts.push(ES_TENS[Math.floor(n / 10)] + (n % 10 ? ` y ${ES_BELOW_30[n % 10]}` : ''));
+    } else if (n > 0) {
+        parts.push(ES_BELOW_30[n]);
+    }
+    let words = parts.join(' ');
+    if (feminine) words = words.replace(/uno$/, 'una');
+    return words;
+}
+
+// "uno" shortens to "un" before a noun or a scale word (veintiún mil, un millón)
+function esApocope(words) {
+    return words.replace(/veintiuno$/, 'veintiún').replace(/uno$/, 'un');
+}
+
+function esCardinal(n, { feminine = false } = {}) {
+    if (n === 0) return 'cero';
+    const millions = Math.floor(n / 1e6);
+    const thousands = Math.floor((n % 1e6) / 1000);
+    const rest = n % 1000;
+    const parts = [];
+    if (millions) {
+        parts.push(millions === 1 ? 'un millón' : `${esApocope(esCardinal(millions))} millones`);
+    }
+    if (thousands) {
+        parts.push(thousands === 1 ? 'mil' : `${esApocope(esBelowThousand(thousands, feminine))} mil`);
+    }
+    if (rest) parts.push(esBelowThousand(rest, feminine));
+    return parts.join(' ');
+}
+
+const ES_ORDINALS = ['', 'primero', 'segundo', 'tercero', 'cuarto', 'quinto', 'sexto', 'séptimo', 'octavo', 'noveno', 'décimo'];
+const ES_ORDINAL_TENS = ['', 'décimo', 'vigésimo', 'trigésimo', 'cuadragésimo', 'quincuagésimo', 'sexagésimo',
+    'septuagésimo', 'octogésimo', 'nonagésimo'];
+
+function esOrdinal(n, { feminine = false } = {}) {
+    if (n < 1 || n >= 100) return esCardinal(n, { feminine });
+    const words = n <= 10
+        ? ES_ORDINALS[n]
+        : [ES_ORDINAL_TENS[Math.floor(n / 10)], ES_ORDINALS[n % 10]].filter(Boolean).join(' ');
+    return feminine ? words.replace(/o\b/g, 'a') : words;
+}
+
+// Nouns in -a that are masculine anyway
+const ES_MASCULINE_IN_A = new Set(['día', 'días', 'mapa', 'mapas', 'idioma', 'idiomas', 'planeta', 'planetas',
+    'problema', 'problemas', 'programa', 'programas', 'sistema', 'sistemas', 'tema', 'temas']);
+// Words that often follow a number but are not what it counts
+const ES_NOT_NOUNS = new Set(['como', 'pero', 'sino', 'cuando', 'donde', 'más', 'menos', 'tras', 'entre',
+    'desde', 'hasta', 'sobre', 'para', 'porque', 'pues', 'dos', 'tres', 'seis', 'son', 'fue', 'era']);
+
+// Agree with the noun a number counts: un perro, veintiún años, veintiuna casas.
+// Gender is guessed from the ending; anything unclear keeps the plain cardinal.
+function esBeforeNoun(n, word) {
+    const w = word.toLowerCase();
+    if (w.length < 3 || ES_NOT_NOUNS.has(w)) return null;
+    if (!ES_MASCULINE_IN_A.has(w) && /(?:as?|ión|iones|dad|dades)$/.test(w)) return esCardinal(n, { feminine: true });
+    if (ES_MASCULINE_IN_A.has(w) || /(?:os?|es|ón|ones|or|ores)$/.test(w)) return esApocope(esCardinal(n));
+    return null;
+}
+
+function esCount(n, noun) {
+    const number = noun.feminine ? esCardinal(n, { feminine: true }) : esApocope(esCardinal(n));
+    return `${number} ${n === 1 ? noun.one : noun.many}`;
+}
+
+registerNormalizer('es', {
+    cardinal: esCardinal,
+    ordinal: esOrdinal,
+    decimalWord: 'coma',
+    minusWord: 'menos',
+    percentWord: 'por ciento',
+    andWord: 'con',
+    numberPattern: { grouped: '\\d{1,3}(?:\\.\\d{3})+(?:,\\d+)?', plain: '\\d+(?:[.,]\\d+)?', groupChars: /\./g, decimalChar: ',' },
+    scaleWords: ['mil', 'millones', 'millón'],
+    scaleCurrency: (currency) => `de ${currency.many}`,
+    count: esCount,
+    beforeNoun: esBeforeNoun,
+    slashDateOrder: 'dmy',
+    date: (y, m, d) => `${d === 1 ? 'primero' : esCardinal(d)} de ${ES_MONTHS[m - 1]} de ${esCardinal(y)}`,
+    time: (h, min, meridiem) => {
+        let hour = h;
+        let period = '';
+        if (meridiem) {
+            hour = h % 12 || 12;
+            if (meridiem === 'a') period = ' de la mañana';
+            else period = h % 12 >= 8 ? ' de la noche' : ' de la tarde';
+        }
+        let words = esCardinal(hour, { feminine: true });
+        words += min === 0 ? (meridiem ? '' : ' en punto') : ` y ${esCardinal(min)}`;
+        return words + period;
+    },
+    ordinalPattern: /\b(\d+)\.?([ºª°])/g,
+    ordinalFromMatch: (n, suffix) => esOrdinal(n, { feminine: suffix === 'ª' }),
+    currencies: {
+        '$': { one: 'dólar', many: 'dólares', sub: { one: 'centavo', many: 'centavos' } },
+        '€': { one: 'euro', many: 'euros', sub: { one: 'céntimo', many: 'céntimos' } },
+        '£': { one: 'libra', many: 'libras', feminine: true, sub: { one: 'penique', many: 'peniques' } },
+        '¥': { one: 'yen', many: 'yenes' },
+        '₩': { one: 'won', many: 'wones' },
+    },
+    units: {
+        'km/h': { one: 'kilómetro por hora', many: 'kilómetros por hora' },
+        'km': { one: 'kilómetro', many: 'kilómetros' },
+        'm': { one: 'metro', many: 'metros' },
+        'cm': { one: 'centímetro', many: 'centímetros' },
+        'mm': { one: 'milímetro', many: 'milímetros' },
+        'kg': { one: 'kilogramo', many: 'kilogramos' },
+        'g': { one: 'gramo', many: 'gramos' },
+        'mg': { one: 'miligramo', many: 'miligramos' },
+        'l': { one: 'litro', many: 'litros' },
+        'L': { one: 'litro', many: 'litros' },
+        'ml': { one: 'mililitro', many: 'mililitros' },
+        'mL': { one: 'mililitro', many: 'mililitros' },
+        '°C': { one: 'grado Celsius', many: 'grados Celsius' },
+        '°F': { one: 'grado Fahrenheit', many: 'grados Fahrenheit' },
+        'GB': { one: 'gigabyte', many: 'gigabytes' },
+        'MB': { one: 'megabyte', many: 'megabytes' },
+        'min': { one: 'minuto', many: 'minutos' },
+        'h': { one: 'hora', many: 'horas', feminine: true },
+    },
+});
+
+// ============================================================================
+// Portuguese
+// ============================================================================
+
+const PT_BELOW_20 = ['zero', 'um', 'dois', 'três', 'quatro', 'cinco', 'seis', 'sete', 'oito', 'nove', 'dez',
+    'onze', 'doze', 'treze', 'catorze', 'quinze', 'dezesseis', 'dezessete', 'dezoito', 'dezenove'];
+const PT_TENS = ['', '', 'vinte', 'trinta', 'quarenta', 'cinquenta', 'sessenta', 'setenta', 'oitenta', 'noventa'];
+const PT_HUNDREDS = ['', 'cento', 'duzentos', 'trezentos', 'quatrocentos', 'quinhentos', 'seiscentos',
+    'setecentos', 'oitocentos', 'novecentos'];
+const PT_MONTHS = ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho', 'julho', 'agosto',
+    'setembro', 'outubro', 'novembro', 'dezembro'];
+
+function ptFeminine(words) {
+    return words
+        .replace(/\bum$/, 'uma')
+        .replace(/\bdois$/, 'duas')
+        .replace(/entos\b/g, 'entas');
+}
+
+function ptBelowThousand(n) {
+    if (n === 100) return 'cem';
+    const parts = [];
+    if (n >= 100) {
+        parts.push(PT_HUNDREDS[Math.floor(n / 100)]);
+        n %= 100;
+    }
+    if (n >= 20) {
+        parts.push(PT_TENS[Math.floor(n / 10)] + (n % 10 ? ` e ${PT_BELOW_20[n % 10]}` : ''));
+    } else if (n > 0) {
+        parts.push(PT_BELOW_20[n]);
+    }
+    return parts.join(' e ');
+}
+
+function ptCardinal(n, { feminine = false } = {}) {
+    if (n === 0) return 'zero';
+    const millions = Math.floor(n / 1e6);
+    const thousands = Math.floor((n % 1e6) / 1000);
+    const rest = n % 1000;
+    const parts = [];
+    if (millions) parts.push(millions === 1 ? 'um milhão' : `${ptCardinal(millions)} milhões`);
+    if (thousands) {
+        const t = thousands === 1 ? 'mil' : `${ptBelowThousand(thousands)} mil`;
+        parts.push(feminine ? ptFeminine(t) : t);
+    }
+    if (rest) {
+        const r = ptBelowThousand(rest);
+        // "e" joins the last group when it is below 100 or a round hundred
+        const joiner = parts.length && (rest < 100 || rest % 100 === 0) ? 'e ' : '';
+        parts.push(joiner + (feminine ? ptFeminine(r) : r));
+    }
+    return parts.join(' ');
+}
+
+const PT_ORDINALS = ['', 'primeiro', 'segundo', 'terceiro', 'quarto', 'quinto', 'sexto', 'sétimo', 'oitavo', 'nono', 'décimo'];
+const PT_ORDINAL_TENS = ['', 'décimo', 'vigésimo', 'trigésimo', 'quadragésimo', 'quinquagésimo', 'sexagésimo',
+    'septuagésimo', 'octogésimo', 'nonagésimo'];
+
+function ptOrdinal(n, { feminine = false } = {}) {
+    if (n < 1 || n >= 100) return ptCardinal(n, { feminine });
+    const words = n <= 10
+        ? PT_ORDINALS[n]
+        : [PT_ORDINAL_TENS[Math.floor(n / 10)], PT_ORDINALS[n % 10]].filter(Boolean).join(' ');
+    return feminine ? words.replace(/o\b/g, 'a') : words;
+}
+
+registerNormalizer('pt', {
+    cardinal: ptCardinal,
+    ordinal: ptOrdinal,
+    decimalWord: 'vírgula',
+    minusWord: 'menos',
+    percentWord: 'por cento',
+    andWord: 'e',
+    numberPattern: { grouped: '\\d{1,3}(?:\\.\\d{3})+(?:,\\d+)?', plain: '\\d+(?:[.,]\\d+)?', groupChars: /\./g, decimalChar: ',' },
+    scaleWords: ['mil', 'milhões', 'milhão'],
+    scaleCurrency: (currency) => `de ${currency.many}`,
+    count: (n, noun) => `${ptCardinal(n, { feminine: noun.feminine })} ${n === 1 ? noun.one : noun.many}`,
+    slashDateOrder: 'dmy',
+    date: (y, m, d) => `${d === 1 ? 'primeiro' : ptCardinal(d)} de ${PT_MONTHS[m - 1]} de ${ptCardinal(y)}`,
+    time: (h, min, meridiem) => {
+        let hour = h;
+        let period = '';
+        if (meridiem) {
+            hour = h % 12 || 12;
+            if (meridiem === 'a') period = ' da manhã';
+            else period = h % 12 >= 7 ? ' da noite' : ' da tarde';
+        }
+        let words = ptCardinal(hour, { feminine: true });
+        words += min === 0 ? (hour === 1 ? ' hora' : ' horas') : ` e ${ptCardinal(min)}`;
+        return words + period;
+    },
+    ordinalPattern: /\b(\d+)\.?([ºª°])/g,
+    ordinalFromMatch: (n, suffix) => ptOrdinal(n, { feminine: suffix === 'ª' }),
+    currencies: {
+        '$': { one: 'dólar', many: 'dólares', sub: { one: 'centavo', many: 'centavos' } },
+        'R$': { one: 'real', many: 'reais', sub: { one: 'centavo', many: 'centavos' } },
+        '€': { one: 'euro', many: 'euros', sub: { one: 'cêntimo', many: 'cêntimos' } },
+        '£': { one: 'libra', many: 'libras', feminine: true, sub: { one: 'pêni', many: 'pence' } },
+        '¥': { one: 'iene', many: 'ienes' },
+        '₩': { one: 'won', many: 'wons' },
+    },
+    units: {
+        'km/h': { one: 'quilômetro por hora', many: 'quilômetros por hora' },
+        'km': { one: 'quilômetro', many: 'quilômetros' },
+        'm': { one: 'metro', many: 'metros' },
+        'cm': { one: 'centímetro', many: 'centímetros' },
+        'mm': { one: 'milímetro', many: 'milímetros' },
+        'kg': { one: 'quilograma', many: 'quilogramas' },
+        'g': { one: 'grama', many: 'gramas' },
+        'mg': { one: 'miligrama', many: 'miligramas' },
+        'l': { one: 'litro', many: 'litros' },
+        'L': { one: 'litro', many: 'litros' },
+        'ml': { one: 'mililitro', many: 'mililitros' },
+        'mL': { one: 'mililitro', many: 'mililitros' },
+        '°C': { one: 'grau Celsius', many: 'graus Celsius' },
+        '°F': { one: 'grau Fahrenheit', many: 'graus Fahrenheit' },
+        'GB': { one: 'gigabyte', many: 'gigabytes' },
+        'MB': { one: 'megabyte', many: 'megabytes' },
+        'min': { one: 'minuto', many: 'minutos' },
+        'h': { one: 'hora', many: 'horas', feminine: true },
+    },
+});
+
+// ============================================================================
+// French
+// ============================================================================
+
+const FR_BELOW_20 = ['zéro', 'un', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf', 'dix',
+    'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize', 'dix-sept', 'dix-huit', 'dix-neuf'];
+const FR_TENS = ['', '', 'vingt', 'trente', 'quarante', 'cinquante', 'soixante'];
+const FR_MONTHS = ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août',
+    'septembre', 'octobre', 'novembre', 'décembre'];
+
+function frBelowHundred(n) {
+    if (n < 20) return FR_BELOW_20[n];
+    if (n < 70) {
+        const tens = FR_TENS[Math.floor(n / 10)];
+        const ones = n % 10;
+        if (ones === 0) return tens;
+        return ones === 1 ? `${tens} et un` : `${tens}-${FR_BELOW_20[ones]}`;
+    }
+    if (n < 80) {
+        return n === 71 ? 'soixante et onze' : `soixante-${FR_BELOW_20[n - 60]}`;
+    }
+    if (n === 80) return 'quatre-vingts';
+    return `quatre-vingt-${FR_BELOW_20[n - 80]}`;
+}
+
+function frBelowThousand(n, final = true) {
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    const parts = [];
+    if (hundreds) {
+        let word = hundreds === 1 ? 'cent' : `${FR_BELOW_20[hundreds]} cent`;
+        // "cents" only when nothing follows
+        if (hundreds > 1 && rest === 0 && final) word += 's';
+        parts.push(word);
+    }
+    if (rest) parts.push(frBelowHundred(rest));
+    let words = parts.join(' ');
+    // "quatre-vingts" loses its s before mille
+    if (!final) words = words.replace(/vingts$/, 'vingt');
+    return words;
+}
+
+function frCardinal(n, { feminine = false } = {}) {
+    if (n === 0) return 'zéro';
+    const billions = Math.floor(n / 1e9);
+    const millions = Math.floor((n % 1e9) / 1e6);
+    const thousands = Math.floor((n % 1e6) / 1000);
+    const rest = n % 1000;
+    const parts = [];
+    if (billions) parts.push(`${frBelowThousand(billions)} milliard${billions > 1 ? 's' : ''}`);
+    if (millions) parts.push(`${frBelowThousand(millions)} million${millions > 1 ? 's' : ''}`);
+    if (thousands) parts.push(thousands === 1 ? 'mille' : `${frBelowThousand(thousands, false)} mille`);
+    if (rest) parts.push(frBelowThousand(rest));
+    let words = parts.join(' ');
+    if (feminine) words = words.replace(/\bun$/, 'une');
+    return words;
+}
+
+function frOrdinal(n, { feminine = false } = {}) {
+    if (n === 1) return feminine ? 'première' : 'premier';
+    return frCardinal(n)
+        .replace(/s$/, '')
+        .replace(/cinq$/, 'cinqu')
+        .replace(/neuf$/, 'neuv')
+        .replace(/e$/, '') + 'ième';
+}
+
+registerNormalizer('fr', {
+    cardinal: frCardinal,
+    ordinal: frOrdinal,
+    decimalWord: 'virgule',
+    minusWord: 'moins',
+    percentWord: 'pour cent',
+    andWord: 'et',
+    numberPattern: { grouped: '\\d{1,3}(?:[ \\u00A0\\u202F.]\\d{3})+(?:,\\d+)?', plain: '\\d+(?:[.,]\\d+)?', groupChars: /[ \u00A0\u202F.]/g, decimalChar: ',' },
+    scaleWords: ['mille', 'millions', 'million', 'milliards', 'milliard'],
+    scaleCurrency: (currency) => `de ${currency.many}`,
+    count: (n, noun) => `${frCardinal(n, { feminine: noun.feminine })} ${n === 1 ? noun.one : noun.many}`,
+    slashDateOrder: 'dmy',
+    date: (y, m, d) => `${d === 1 ? 'premier' : frCardinal(d)} ${FR_MONTHS[m - 1]} ${frCardinal(y)}`,
+    time: (h, min, meridiem) => {
+        let hour = h;
+        if (meridiem === 'p' && h < 12) hour = h + 12;
+        if (meridiem === 'a' && h === 12) hour = 0;
+        if (hour === 0) return min === 0 ? 'minuit' : `minuit ${frCardinal(min)}`;
+        let words = `${frCardinal(hour, { feminine: true })} heure${hour > 1 ? 's' : ''}`;
+        if (min > 0) words += ` ${frCardinal(min)}`;
+        return words;
+    },
+    ordinalPattern: /\b(\d+)(er|re|ère|ème|e)\b/g,
+    ordinalFromMatch: (n, suffix) => frOrdinal(n, { feminine: suffix === 're' || suffix === 'ère' }),
+    // 14h30, 9 h
+    extraPasses: [
+        [/\b(\d{1,2})\s?h(?:\s?(\d{2}))?\b/g, (m, h, min) => {
+            const hour = Number(h);
+            const minute = min ? Number(min) : 0;
+            if (hour > 24 || minute > 59) return m;
+            return `${frCardinal(hour, { feminine: true })} heure${hour > 1 ? 's' : ''}${minute ? ` ${frCardinal(minute)}` : ''}`;
+        }],
+    ],
+    currencies: {
+        '$': { one: 'dollar', many: 'dollars', sub: { one: 'cent', many: 'cents' } },
+        '€': { one: 'euro', many: 'euros', sub: { one: 'centime', many: 'centimes' } },
+        '£': { one: 'livre', many: 'livres', feminine: true, sub: { one: 'penny', many: 'pence' } },
+        '¥': { one: 'yen', many: 'yens' },
+        '₩': { one: 'won', many: 'wons' },
+    },
+    units: {
+        'km/h': { one: 'kilomètre par heure', many: 'kilomètres par heure' },
+        'km': { one: 'kilomètre', many: 'kilomètres' },
+        'm': { one: 'mètre', many: 'mètres' },
+        'cm': { one: 'centimètre', many: 'centimètres' },
+        'mm': { one: 'millimètre', many: 'millimètres' },
+        'kg': { one: 'kilogramme', many: 'kilogrammes' },
+        'g': { one: 'gramme', many: 'grammes' },
+        'mg': { one: 'milligramme', many: 'milligrammes' },
+        'l': { one: 'litre', many: 'litres' },
+        'L': { one: 'litre', many: 'litres' },
+        'ml': { one: 'millilitre', many: 'millilitres' },
+        'mL': { one: 'millilitre', many: 'millilitres' },
+        '°C': { one: 'degré Celsius', many: 'degrés Celsius' },
+        '°F': { one: 'degré Fahrenheit', many: 'degrés Fahrenheit' },
+        'Go': { one: 'gigaoctet', many: 'gigaoctets' },
+        'Mo': { one: 'mégaoctet', many: 'mégaoctets' },
+        'min': { one: 'minute', many: 'minutes', feminine: true },
+    },
+});
+
+// ============================================================================
+// Korean
+// ============================================================================
+
+const KO_DIGITS = ['', '일', '이', '삼', '사', '오', '육', '칠', '팔', '구'];
+const KO_SMALL_UNITS = ['', '십', '백', '천'];
+const KO_LARGE_UNITS = ['', '만', '억', '조'];
+
+// Sino-Korean numbers, spaced by 10^4 groups (천이백, 만 이천)
+function koCardinal(n) {
+    if (n === 0) return '영';
+    const groups = [];
+    let group = 0;
+    while (n > 0) {
+        const chunk = n % 10000;
+        if (chunk) {
+            let words = '';
+            let c = chunk;
+            let pos = 0;
+            while (c > 0) {
+                const d = c % 10;
+                if (d) words = (d === 1 && pos > 0 ? '' : KO_DIGITS[d]) + KO_SMALL_UNITS[pos] + words;
+                c = Math.floor(c / 10);
+                pos++;
+            }
+            // 만, not 일만
+            if (group === 1 && chunk === 1) words = '';
+            groups.unshift(words + KO_LARGE_UNITS[group]);
+        }
+        n = Math.floor(n / 10000);
+        group++;
+    }
+    return groups.join(' ');
+}
+
+const KO_NATIVE_ONES = ['', '한', '두', '세', '네', '다섯', '여섯', '일곱', '여덟', '아홉'];
+const KO_NATIVE_TENS = ['', '열', '스물', '서른', '마흔', '쉰', '예순', '일흔', '여든', '아흔'];
+
+// Native Korean numbers in their counter form (한 시, 스무 살); sino above 99
+function koNative(n) {
+    if (n < 1 || n > 99) return koCardinal(n);
+    if (n === 20) return '스무';
+    return KO_NATIVE_TENS[Math.floor(n / 10)] + KO_NATIVE_ONES[n % 10];
+}
+
+function koMonth(m) {
+    if (m === 6) return '유월';
+    if (m === 10) return '시월';
+    return `${koCardinal(m)}월`;
+}
+
+registerNormalizer('ko', {
+    cardinal: koCardinal,
+    ordinal: (n) => (n === 1 ? '첫 번째' : `${koNative(n)} 번째`),
+    decimalWord: '점',
+    minusWord: '마이너스',
+    percentWord: '퍼센트',
+    andWord: '',
+    numberPattern: { grouped: '\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?', groupChars: /,/g, decimalChar: '.', plain: '\\d+(?:\\.\\d+)?' },
+    count: (n, noun) => `${koCardinal(n)} ${noun.one}`,
+    countDecimal: (words, noun) => `${words} ${noun.one}`,
+    slashDateOrder: 'mdy',
+    date: (y, m, d) => `${koCardinal(y)}년 ${koMonth(m)} ${koCardinal(d)}일`,
+    time: (h, min, meridiem) => {
+        let period = '';
+        let hour = h;
+        if (meridiem) {
+            period = meridiem === 'a' ? '오전 ' : '오후 ';
+            hour = h % 12 || 12;
+        } else if (h > 12) {
+            period = '오후 ';
+            hour = h - 12;
+        } else if (h === 0) {
+            period = '오전 ';
+            hour = 12;
+        }
+        return `${period}${koNative(hour)} 시${min ? ` ${koCardinal(min)} 분` : ''}`;
+    },
+    // 3번째, 제3
+    ordinalPattern: /(\d+)\s*번째/g,
+    // 6월/10월 are read irregularly; 제3 is sino; before 시/살/개/명 whole numbers
+    // are native up to 99 and sino from 100 (백 개); decimals stay sino
+    extraPasses: [
+        [/제\s*(\d+)/g, (m, n) => `제${koCardinal(Number(n))}`],
+        [/(?<![\d.,])(\d{1,2})월/g, (m, mo) => (Number(mo) >= 1 && Number(mo) <= 12 ? koMonth(Number(mo)) : m)],
+        [/(?<![\d.,])(\d{1,3}(?:,\d{3})+|\d+)(?![\d.])\s*(시|살|개|명)(?![가-힣])/g,
+            (m, n, counter) => `${koNative(Number(n.replace(/,/g, '')))} ${counter}`],
+    ],
+    currencies: {
+        '₩': { one: '원' },
+        '원': { one: '원' },
+        '$': { one: '달러', sub: { one: '센트' } },
+        '€': { one: '유로', sub: { one: '센트' } },
+        '£': { one: '파운드', sub: { one: '펜스' } },
+        '¥': { one: '엔' },
+    },
+    units: {
+        'km/h': { one: '킬로미터 퍼 아워' },
+        'km': { one: '킬로미터' },
+        'm': { one: '미터' },
+        'cm': { one: '센티미터' },
+        'mm': { one: '밀리미터' },
+        'kg': { one: '킬로그램' },
+        'g': { one: '그램' },
+        'mg': { one: '밀리그램' },
+        'l': { one: '리터' },
+        'L': { one: '리터' },
+        'ml': { one: '밀리리터' },
+        'mL': { one: '밀리리터' },
+        '°C': { one: '도' },
+        '°F': { one: '화씨 도' },
+        'GB': { one: '기가바이트' },
+        'MB': { one: '메가바이트' },
+        'min': { one: '분' },
+        'h': { one: '시간' },
+    },
+});
@@ -0,0 +1,299 @@
+/**
+ * Tool calling for the local LLM
+ * Tools are registered with a JSON schema for their arguments and listed in
+ * the system prompt. The model calls one by replying with
+ *   <tool_call>{"name": "...", "arguments": {...}}</tool_call>
+ * which is parsed, validated and run locally; the result goes back to the
+ * model as a <tool_response> turn. toolCallGrammar() builds a GBNF grammar
+ * that only admits well-formed calls, for re-generating a malformed one.
+ */
+
+const CALL_OPEN = '<tool_call>';
+const CALL_CLOSE = '</tool_call>';
+// A bare call: a JSON object opening with its "name" key
+const BARE_CALL = /\{\s*"name"/;
+// The end of a streamed reply that may still become a bare call: {, {", {"na...
+const BARE_CALL_PREFIX = /\{\s*(?:"(?:n(?:a(?:m(?:e)?)?)?)?)?$/;
+
+// ============================================================================
+// Tool call text
+// ============================================================================
+
+/**
+ * Split a reply into the speech before a tool call and the call itself.
+ * A call starts at <tool_call> or at a bare {"name": ...} object, anywhere in
+ * the reply ("Sure! <tool_call>..."). While streaming (`partial`), a trailing
+ * "<tool_c" or '{"na' that may still become a call is held back from speech.
+ * Returns { speech, callText }; callText is '' when there is no call.
+ */
+export function splitToolCall(text, { partial = false } = {}) {
+    const tagged = text.indexOf(CALL_OPEN);
+    const bare = text.search(BARE_CALL);
+    const starts = [tagged, bare].filter(index => index >= 0);
+    if (starts.length > 0) {
+        const start = Math.min(...starts);
+        return { speech: text.slice(0, start), callText: text.slice(start) };
+    }
+
+    if (partial) {
+        const held = BARE_CALL_PREFIX.exec(text);
+        if (held) return { speech: text.slice(0, held.index), callText: '' };
+        for (let k = Math.min(text.length, CALL_OPEN.length - 1); k > 0; k--) {
+            if (text.endsWith(CALL_OPEN.slice(0, k))) return { speech: text.slice(0, -k), callText: '' };
+        }
+    }
+    return { speech: text, callText: '' };
+}
+
+/**
+ * Extract { name, arguments } from a reply, or null if it isn't a tool call.
+ * Accepts a bare JSON object and a missing closing tag, which small models produce.
+ */
+export function parseToolCall(text) {
+    let body = text.trim();
+    if (body.startsWith(CALL_OPEN)) {
+        body = body.slice(CALL_OPEN.length);
+        const end = body.indexOf(CALL_CLOSE);
+        if (end >= 0) body = body.slice(0, end);
+    } else if (!body.startsWith('{')) {
+        return null;
+    }
+
+    // Ignore anything the model appended after the object
+    const json = body.slice(0, body.lastIndexOf('}') + 1);
+    let call;
+    try {
+        call = JSON.parse(json);
+    } catch {
+        return null;
+    }
+    if (!call || typeof call.name !== 'string') return null;
+
+    let args = call.arguments ?? call.parameters ?? {};
+    if (typeof args === 'string') {
+        try {
+            args = JSON.parse(args);
+        } catch {
+            return null;
+        }
+    }
+    if (typeof args !== 'object' || Array.isArray(args) || args === null) return null;
+    return { name: call.name, arguments: args };
+}
+
+export function formatToolCall(call) {
+    return `${CALL_OPEN}${JSON.stringify({ name: call.name, arguments: call.arguments })}${CALL_CLOSE}`;
+}
+
+export function formatToolResult(call, outcome) {
+    const body = outcome.ok ? { name: call.name, result: outcome.result } : { name: call.name, error: outcome.error };
+    return `<tool_response>${JSON.stringify(body)}</tool_response>`;
+}
+
+// ============================================================================
+// Argument validation
+// ============================================================================
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Check arguments against an object schema (type, required, properties with
+ * type/enum/minimum/maximum). Numbers given as strings are converted.
+ * Returns { value, errors }.
+ */
+export function validateArguments(schema, args) {
+    const errors = [];
+    const value = {};
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+        if (args[key] === undefined || args[key] === null) errors.push(`missing "${key}"`);
+    }
+
+    for (const [key, raw] of Object.entries(args)) {
+        const property = properties[key];
+        if (!property) {
+            if (schema.additionalProperties === false) errors.push(`unknown argument "${key}"`);
+            continue;
+        }
+        if (raw === null || raw === undefined) continue;
+
+        let item = raw;
+        if ((property.type === 'number' || property.type === 'integer') && typeof item === 'string' && item.trim() !== '' && Number.isFinite(Number(item))) {
+            item = Number(item);
+        }
+        if (property.type && !matchesType(item, property.type)) {
+            errors.push(`"${key}" should be ${property.type}`);
+            continue;
+        }
+        if (property.enum && !property.enum.includes(item)) {
+            errors.push(`"${key}" should be one of ${property.enum.join(', ')}`);
+            continue;
+        }
+        if (property.minimum !== undefined && item < property.minimum) {
+            errors.push(`"${key}" should be at least ${property.minimum}`);
+            continue;
+        }
+        if (property.maximum !== undefined && item > property.maximum) {
+            errors.push(`"${key}" should be at most ${property.maximum}`);
+            continue;
+        }
+        value[key] = item;
+    }
+    return { value, errors };
+}
+
+// ============================================================================
+// GBNF grammar
+// ============================================================================
+
+const GRAMMAR_PRIMITIVES = [
+    'ws ::= [ \\t\\n]*',
+    'string ::= "\\"" ( [^"\\\\\\x7F\\x00-\\x1F] | "\\\\" ["\\\\/bfnrt] )* "\\""',
+    'integer ::= "-"? [0-9]+',
+    'number ::= "-"? [0-9]+ ( "." [0-9]+ )? ( [eE] [-+]? [0-9]+ )?',
+    'boolean ::= "true" | "false"',
+];
+
+// A GBNF string literal matching `text` exactly
+function literal(text) {
+    return JSON.stringify(text);
+}
+
+function ruleName(...parts) {
+    return parts.join('-').toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+}
+
+function valueRule(property) {
+    if (property.enum) return `( ${property.enum.map(option => literal(JSON.stringify(option))).join(' | ')} )`;
+    if (['string', 'integer', 'number', 'boolean'].includes(property.type)) return property.type;
+    return 'string';
+}
+
+// Object with the required keys in order, then any subset of the optional ones
+function objectRules(name, schema, rules) {
+    const properties = schema.properties || {};
+    const required = (schema.required || []).filter(key => properties[key]);
+    const optional = Object.keys(properties).filter(key => !required.includes(key));
+    const pair = (key) => `${literal(JSON.stringify(key))} ws ":" ws ${valueRule(properties[key])}`;
+
+    // tail-i ::= pair-i ( "," tail-(i+1) )? | tail-(i+1): optional keys in order, any may be left out
+    for (let i = optional.length - 1; i >= 0; i--) {
+        const next = i + 1 < optional.length ? ruleName(name, 'opt', i + 1) : null;
+        const own = next ? `${pair(optional[i])} ( ws "," ws ${next} )?` : pair(optional[i]);
+        rules.push(`${ruleName(name, 'opt', i)} ::= ${next ? `${own} | ${next}` : own}`);
+    }
+    const rest = optional.length > 0 ? ruleName(name, 'opt', 0) : null;
+
+    let body = required.map(pair).join(' ws "," ws ');
+    if (rest) body = required.length > 0 ? `${body} ( ws "," ws ${rest} )?` : `${rest}?`;
+    rules.push(`${ruleName(name, 'args')} ::= "{" ws ${body} ws "}"`);
+}
+
+/**
+ * GBNF grammar admitting exactly one well-formed call to one of `tools`
+ */
+export function toolCallGrammar(tools) {
+    const rules = [];
+    const calls = [];
+    for (const tool of tools) {
+        objectRules(tool.name, tool.parameters, rules);
+        const call = ruleName(tool.name, 'call');
+        rules.push(`${call} ::= "{" ws "\\"name\\"" ws ":" ws ${literal(JSON.stringify(tool.name))} ws "," ws "\\"arguments\\"" ws ":" ws ${ruleName(tool.name, 'args')} ws "}"`);
+        calls.push(call);
+    }
+    return [
+        `root ::= ${literal(CALL_OPEN)} ( ${calls.join(' | ')} ) ${literal(CALL_CLOSE)}`,
+        ...rules,
+        ...GRAMMAR_PRIMITIVES,
+    ].join('\n');
+}
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+function describeArguments(schema) {
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    const parts = Object.entries(properties).map(([key, property]) => {
+        const type = property.enum ? property.enum.map(option => JSON.stringify(option)).join('|') : property.type;
+        const notes = [required.includes(key) ? null : 'optional', property.description].filter(Boolean).join(', ');
+        return `"${key}": ${type}${notes ? ` (${notes})` : ''}`;
+    });
+    return `{${parts.join(', ')}}`;
+}
+
+export class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+    }
+
+    /**
+     * @param {Object} tool
+     * @param {string} tool.name - letters, digits and underscores
+     * @param {string} tool.description - one line, shown to the model
+     * @param {Object} tool.parameters - JSON schema of the arguments object
+     * @param {(args: Object, context: Object) => any} tool.run - may be async; returns a JSON-serializable result
+     */
+    register(tool) {
+        if (!/^[a-z][a-z0-9_]*$/i.test(tool.name)) {
+            throw new Error(`Invalid tool name: ${tool.name}`);
+        }
+        this.tools.set(tool.name, { parameters: { type: 'object', properties: {} }, ...tool });
+        return this;
+    }
+
+    get(name) {
+        return this.tools.get(name) || null;
+    }
+
+    list() {
+        return [...this.tools.values()];
+    }
+
+    /**
+     * Tool section of the system prompt
+     */
+    describe() {
+        const lines = this.list().map(tool => `- ${tool.name}: ${tool.description} Arguments: ${describeArguments(tool.parameters)}`);
+        return `TOOLS:
+To use a tool, reply with only ${CALL_OPEN}{"name": "tool_name", "arguments": {...}}${CALL_CLOSE} and nothing else.
+The result comes back in <tool_response>; then answer the user in one short sentence using it.
+Always use a tool for the current time or date, timers, arithmetic and unit conversions instead of guessing.
+${lines.join('\n')}`;
+    }
+
+    grammar() {
+        return toolCallGrammar(this.list());
+    }
+
+    /**
+     * Validate and run a parsed call. Never throws: failures come back as
+     * { ok: false, error } so the model can tell the user.
+     */
+    async execute(call, context = {}) {
+        const tool = this.get(call.name);
+        if (!tool) return { ok: false, error: `Unknown tool "${call.name}"` };
+
+        const { value, errors } = validateArguments(tool.parameters, call.arguments);
+        if (errors.length > 0) return { ok: false, error: `Invalid arguments: ${errors.join('; ')}` };
+
+        try {
+            return { ok: true, result: await tool.run(value, context) };
+        } catch (err) {
+            console.warn(`[Tools] ${call.name} failed:`, err.message);
+            return { ok: false, error: err.message };
+        }
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * Main-thread client for the TTS worker
+ * Mirrors the loadTextToSpeech / loadVoiceStyle / call API of helper.js,
+ * but runs inference in tts-worker.js so the UI stays responsive.
+ */
+
+let worker = null;
+let nextRequestId = 1;
+const pending = new Map();
+
+function handleMessage(event) {
+    const { id, progress, result, error } = event.data;
+    const request = pending.get(id);
+    if (!request) return;
+
+    if (progress) {
+        if (request.onProgress) request.onProgress(...progress);
+        return;
+    }
+
+    pending.delete(id);
+    if (error) {
+        const err = new Error(error.message);
+        err.name = error.name;
+        request.reject(err);
+    } else {
+        request.resolve(result);
+    }
+}
+
+function handleError(event) {
+    console.error('[TTS] Worker error:', event.message || event);
+    const err = new Error(`TTS worker crashed: ${event.message || 'unknown error'}`);
+    for (const request of pending.values()) request.reject(err);
+    pending.clear();
+}
+
+function getWorker() {
+    if (!worker) {
+        worker = new Worker(new URL('./tts-worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = handleMessage;
+        worker.onerror = handleError;
+    }
+    return worker;
+}
+
+function request(type, payload, onProgress = null) {
+    return new Promise((resolve, reject) => {
+        const id = nextRequestId++;
+        pending.set(id, { resolve, reject, onProgress });
+        getWorker().postMessage({ id, type, payload });
+    });
+}
+
+// Relative paths would otherwise resolve against the worker script URL
+function resolveUrl(path) {
+    return new URL(path, window.location.href).href;
+}
+
+/**
+ * Handle to a voice style held by the worker
+ */
+export class VoiceStyle {
+    constructor({ styleId, ttlDims, dpDims }) {
+        this.id = styleId;
+        this.ttlDims = ttlDims;
+        this.dpDims = dpDims;
+    }
+
+    release() {
+        return request('releaseStyle', { styleId: this.id });
+    }
+}
+
+/**
+ * Proxy for TextToSpeech living in the worker
+ */
+export class TextToSpeechClient {
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+    }
+
+    /**
+     * Cache synthesized clips in IndexedDB (inside the worker); see audio-cache.js
+     */
+    async enableAudioCache(options = {}) {
+        return request('enableAudioCache', { options });
+    }
+
+    async clearAudioCache() {
+        return request('clearAudioCache', {});
+    }
+
+    async call(text, lang, style, totalStep, speed = 1.05, silenceDuration = 0.3, progressCallback = null, options = {}) {
+        return request('call', {
+            text, lang, styleId: style.id, totalStep, speed, silenceDuration, options
+        }, progressCallback);
+    }
+
+    async batch(textList, langList, style, totalStep, speed = 1.05, progressCallback = null, options = {}) {
+        return request('batch', {
+            textList, langList, styleId: style.id, totalStep, speed, options
+        }, progressCallback);
+    }
+}
+
+/**
+ * Load all TTS components in the worker. `loadOptions` takes the same
+ * `signal` and `onBytes(loaded, total)` as helper.js.
+ */
+export async function loadTextToSpeech(onnxDir, sessionOptions = {}, progressCallback = null, loadOptions = {}) {
+    const { signal = null, onBytes = null } = loadOptions;
+    signal?.throwIfAborted();
+
+    const cancel = () => request('cancelLoad', {});
+    if (signal) signal.addEventListener('abort', cancel, { once: true });
+    try {
+        const { cfgs, sampleRate } = await request('load', {
+            onnxDir: resolveUrl(onnxDir),
+            sessionOptions
+        }, (kind, ...args) => {
+            if (kind === 'bytes') {
+                if (onBytes) onBytes(...args);
+            } else if (progressCallback) {
+                progressCallback(...args);
+            }
+        });
+        return { textToSpeech: new TextToSpeechClient(sampleRate), cfgs };
+    } finally {
+        if (signal) signal.removeEventListener('abort', cancel);
+    }
+}
+
+/**
+ * Load voice style files in the worker and return a handle
+ */
+export async function loadVoiceStyle(voiceStylePaths, verbose = false) {
+    const info = await request('loadStyle', {
+        paths: voiceStylePaths.map(resolveUrl),
+        verbose
+    });
+    return new VoiceStyle(info);
+}
+
+/**
+ * Mix the styles of a multi-style handle into a new single voice
+ */
+export async function blendStyles(style, weights) {
+    const info = await request('blendStyles', { styleId: style.id, weights });
+    return new VoiceStyle(info);
+}
+
+/**
+ * Voice style JSON for a single-voice handle, e.g. to save a blend
+ */
+export async function styleToJSON(style) {
+    return request('styleToJSON', { styleId: style.id });
+}
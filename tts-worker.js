@@ -0,0 +1,133 @@
+/**
+ * Web Worker hosting Supertonic TTS inference
+ * Keeps ONNX sessions and voice styles off the main thread; driven by tts-service.js.
+ */
+
+import * as ort from 'onnxruntime-web';
+import ortWasmUrl from './node_modules/onnxruntime-web/dist/ort-wasm-simd-threaded.jsep.wasm?url';
+import { loadTextToSpeech, loadVoiceStyle, blendStyles, styleToJSON } from './helper.js';
+
+// Load the ORT binary from the build's assets (not exported by the package, hence
+// the path), so the service worker precaches it and inference starts offline
+ort.env.wasm.wasmPaths = { wasm: ortWasmUrl };
+
+let textToSpeech = null;
+let loadController = null;
+const styles = new Map();
+let nextStyleId = 1;
+
+function getStyle(styleId) {
+    const style = styles.get(styleId);
+    if (!style) {
+        throw new Error(`Unknown voice style: ${styleId}`);
+    }
+    return style;
+}
+
+function requireModel() {
+    if (!textToSpeech) {
+        throw new Error('Text-to-speech model is not loaded');
+    }
+    return textToSpeech;
+}
+
+// Transfer the samples without copying when they own their whole buffer
+function toTransferable(wav) {
+    const owned = wav.byteOffset === 0 && wav.byteLength === wav.buffer.byteLength;
+    return owned ? wav : wav.slice();
+}
+
+function describeStyle(styleId, style) {
+    return { styleId, ttlDims: style.ttl.dims, dpDims: style.dp.dims };
+}
+
+const handlers = {
+    // Progress messages are tagged: ('session', name, current, total) or ('bytes', loaded, total)
+    async load({ onnxDir, sessionOptions }, progress) {
+        loadController = new AbortController();
+        try {
+            const result = await loadTextToSpeech(
+                onnxDir, sessionOptions,
+                (name, current, total) => progress('session', name, current, total),
+                { signal: loadController.signal, onBytes: (loaded, total) => progress('bytes', loaded, total) }
+            );
+            textToSpeech = result.textToSpeech;
+            return { result: { cfgs: result.cfgs, sampleRate: textToSpeech.sampleRate } };
+        } finally {
+            loadController = null;
+        }
+    },
+
+    async cancelLoad() {
+        if (loadController) loadController.abort();
+        return { result: true };
+    },
+
+    async enableAudioCache({ options }) {
+        return { result: requireModel().enableAudioCache(options) };
+    },
+
+    async clearAudioCache() {
+        await requireModel().clearAudioCache();
+        return { result: true };
+    },
+
+    async loadStyle({ paths, verbose }) {
+        const style = await loadVoiceStyle(paths, verbose);
+        const styleId = nextStyleId++;
+        styles.set(styleId, style);
+        return { result: describeStyle(styleId, style) };
+    },
+
+    async blendStyles({ styleId, weights }) {
+        const style = blendStyles(getStyle(styleId), weights);
+        const blendedId = nextStyleId++;
+        styles.set(blendedId, style);
+        return { result: describeStyle(blendedId, style) };
+    },
+
+    async styleToJSON({ styleId }) {
+        return { result: styleToJSON(getStyle(styleId)) };
+    },
+
+    async releaseStyle({ styleId }) {
+        styles.delete(styleId);
+        return { result: true };
+    },
+
+    async call({ text, lang, styleId, totalStep, speed, silenceDuration, options }, progress) {
+        const { wav, duration } = await requireModel().call(
+            text, lang, getStyle(styleId), totalStep, speed, silenceDuration, progress, options
+        );
+        const samples = toTransferable(wav);
+        return { result: { wav: samples, duration }, transfer: [samples.buffer] };
+    },
+
+    async batch({ textList, langList, styleId, totalStep, speed, options }, progress) {
+        const { wav, duration } = await requireModel().batch(
+            textList, langList, getStyle(styleId), totalStep, speed, progress, options
+        );
+        const samples = toTransferable(wav);
+        return { result: { wav: samples, duration }, transfer: [samples.buffer] };
+    },
+};
+
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data;
+    const handler = handlers[type];
+
+    const progress = (...args) => {
+        self.postMessage({ id, progress: args });
+    };
+
+    try {
+        if (!handler) {
+            throw new Error(`Unknown TTS request: ${type}`);
+        }
+        const { result, transfer = [] } = await handler(payload, progress);
+        self.postMessage({ id, result }, transfer);
+    } catch (err) {
+        console.error(`[TTS Worker] ${type} failed:`, err);
+        self.postMessage({ id, error: { name: err.name, message: err.message } });
+    }
+};
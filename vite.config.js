@@ -1,6 +1,53 @@
 import { defineConfig } from 'vite';
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+
+// Files from public/ that belong to the app shell (models are cached at runtime)
+const PUBLIC_SHELL_FILES = ['manifest.webmanifest', 'icon.svg'];
+
+// URL of index.html in the precache; sw.js answers navigations with it
+const NAVIGATION_FALLBACK = '/';
+
+/**
+ * Emit sw.js with this build's file list and a content-hash version, so
+ * every deploy installs a new service worker that precaches the new shell.
+ */
+export function serviceWorker() {
+  return {
+    name: 'nadha-service-worker',
+    apply: 'build',
+    generateBundle(_, bundle) {
+      const files = Object.keys(bundle).filter(name => !name.endsWith('.map')).sort();
+      const hash = createHash('sha256');
+      for (const name of files) {
+        const output = bundle[name];
+        hash.update(name);
+        hash.update(output.type === 'chunk' ? output.code : output.source);
+      }
+      const version = hash.digest('hex').slice(0, 12);
+      const urls = [NAVIGATION_FALLBACK, ...[...files, ...PUBLIC_SHELL_FILES].map(name => `/${name}`)];
+
+      const template = readFileSync(new URL('./sw.js', import.meta.url), 'utf8');
+      if (!template.includes("'__APP_VERSION__'") || !template.includes("['__PRECACHE_URLS__']")) {
+        throw new Error('sw.js is missing its build placeholders');
+      }
+      // Offline navigations fail unless sw.js looks up the URL precached here
+      if (!template.includes(`caches.match('${NAVIGATION_FALLBACK}'`)) {
+        throw new Error(`sw.js does not serve navigations from the precached ${NAVIGATION_FALLBACK}`);
+      }
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: template
+          .replace("'__APP_VERSION__'", JSON.stringify(version))
+          .replace("['__PRECACHE_URLS__']", JSON.stringify(urls)),
+      });
+    }
+  };
+}
 
 export default defineConfig({
+  plugins: [serviceWorker()],
   server: {
     port: 3000,
     open: true
@@ -8,6 +55,10 @@ export default defineConfig({
   build: {
     target: 'esnext'
   },
+  worker: {
+    // TTS worker imports onnxruntime-web, which code-splits
+    format: 'es'
+  },
   optimizeDeps: {
     exclude: ['onnxruntime-web']
   }
@@ -0,0 +1,138 @@
+/**
+ * Binary voice style format (.vstyle)
+ *
+ * Layout (little-endian):
+ *   magic      4 bytes  "VSTY"
+ *   version    uint16   1
+ *   reserved   uint16   0
+ *   ttlRank    uint32, ttlDims uint32[ttlRank]
+ *   dpRank     uint32, dpDims  uint32[dpRank]
+ *   style_ttl  float32[prod(ttlDims)]
+ *   style_dp   float32[prod(dpDims)]
+ *
+ * Every header field is 4-byte aligned, so on little-endian hosts the float
+ * data is viewed in place without copying.
+ */
+
+export const VOICE_STYLE_EXTENSION = '.vstyle';
+
+const MAGIC = [0x56, 0x53, 0x54, 0x59]; // "VSTY"
+const VERSION = 1;
+const LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+function elementCount(dims) {
+    return dims.reduce((a, b) => a * b, 1);
+}
+
+/**
+ * True when the buffer starts with the binary style magic bytes
+ */
+export function isBinaryVoiceStyle(buffer) {
+    if (buffer.byteLength < MAGIC.length) return false;
+    const bytes = new Uint8Array(buffer, 0, MAGIC.length);
+    return MAGIC.every((b, i) => bytes[i] === b);
+}
+
+/**
+ * Encode { ttl: { dims, data }, dp: { dims, data } } as an ArrayBuffer
+ */
+export function encodeVoiceStyle({ ttl, dp }) {
+    const tensors = [ttl, dp];
+    for (const { dims, data } of tensors) {
+        if (elementCount(dims) !== data.length) {
+            throw new Error(`Style data has ${data.length} values but dims ${JSON.stringify(dims)}`);
+        }
+    }
+
+    const headerBytes = 8 + tensors.reduce((sum, { dims }) => sum + 4 + 4 * dims.length, 0);
+    const dataBytes = tensors.reduce((sum, { data }) => sum + 4 * data.length, 0);
+    const buffer = new ArrayBuffer(headerBytes + dataBytes);
+    const view = new DataView(buffer);
+
+    MAGIC.forEach((b, i) => view.setUint8(i, b));
+    view.setUint16(4, VERSION, true);
+    view.setUint16(6, 0, true);
+
+    let offset = 8;
+    for (const { dims } of tensors) {
+        view.setUint32(offset, dims.length, true);
+        offset += 4;
+        for (const dim of dims) {
+            view.setUint32(offset, dim, true);
+            offset += 4;
+        }
+    }
+    for (const { data } of tensors) {
+        for (let i = 0; i < data.length; i++) {
+            view.setFloat32(offset, data[i], true);
+            offset += 4;
+        }
+    }
+    return buffer;
+}
+
+/**
+ * Decode a binary style into { ttl: { dims, data }, dp: { dims, data } } with Float32Array data
+ */
+export function decodeVoiceStyle(buffer) {
+    if (!isBinaryVoiceStyle(buffer)) {
+        throw new Error('Not a binary voice style (bad magic bytes)');
+    }
+    const view = new DataView(buffer);
+    const version = view.getUint16(4, true);
+    if (version !== VERSION) {
+        throw new Error(`Unsupported binary voice style version ${version}`);
+    }
+
+    let offset = 8;
+    const readDims = () => {
+        const rank = view.getUint32(offset, true);
+        offset += 4;
+        const dims = [];
+        for (let i = 0; i < rank; i++) {
+            dims.push(view.getUint32(offset, true));
+            offset += 4;
+        }
+        return dims;
+    };
+    const ttlDims = readDims();
+    const dpDims = readDims();
+
+    const readData = (dims) => {
+        const count = elementCount(dims);
+        if (offset + 4 * count > buffer.byteLength) {
+            throw new Error('Binary voice style is truncated');
+        }
+        let data;
+        if (LITTLE_ENDIAN) {
+            data = new Float32Array(buffer, offset, count);
+        } else {
+            data = new Float32Array(count);
+            for (let i = 0; i < count; i++) {
+                data[i] = view.getFloat32(offset + 4 * i, true);
+            }
+        }
+        offset += 4 * count;
+        return data;
+    };
+
+    return {
+        ttl: { dims: ttlDims, data: readData(ttlDims) },
+        dp: { dims: dpDims, data: readData(dpDims) },
+    };
+}
+
+/**
+ * Parse a style file from its bytes: binary when it has the magic bytes
+ * (or the .vstyle extension), otherwise the original JSON layout
+ */
+export function parseVoiceStyle(buffer, path = '') {
+    if (path.toLowerCase().endsWith(VOICE_STYLE_EXTENSION) || isBinaryVoiceStyle(buffer)) {
+        return decodeVoiceStyle(buffer);
+    }
+    const json = JSON.parse(new TextDecoder().decode(buffer));
+    return {
+        ttl: { dims: json.style_ttl.dims, data: Float32Array.from(json.style_ttl.data.flat(Infinity)) },
+        dp: { dims: json.style_dp.dims, data: Float32Array.from(json.style_dp.data.flat(Infinity)) },
+    };
+}
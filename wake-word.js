@@ -0,0 +1,217 @@
+/**
+ * Wake-word detection ("Hey Nadha")
+ * WakeWordDetector compares log-mel features of each VAD segment against a
+ * few recordings of the phrase (enrollment) with dynamic time warping. It
+ * runs without Whisper, so background speech costs almost nothing; only
+ * what follows the phrase is transcribed. It reports where the phrase ends,
+ * so "Hey Nadha, what time is it?" works in one breath.
+ */
+
+import { logMelSpectrogram, HOP_LENGTH, SAMPLE_RATE } from './mel-spectrogram.js';
+
+export const DEFAULT_WAKE_OPTIONS = {
+    enabled: false,
+    phrase: 'Hey Nadha',
+    sensitivity: 0.5,     // 0 = strict, 1 = lenient
+    followUpMs: 8000,     // after a wake word or a reply, talk without it for this long
+};
+
+const N_MELS = 40;
+const FRAMES_PER_SECOND = SAMPLE_RATE / HOP_LENGTH;
+
+// Frames this far (in compressed log-mel units, 0.5 = 20 dB) below the loudest are silence
+const SILENCE_MARGIN = 0.5;
+
+// Without two templates to calibrate against, assume this DTW distance between repetitions
+const DEFAULT_BASELINE = 0.3;
+
+// ============================================================================
+// Features
+// ============================================================================
+
+/**
+ * Log-mel frames of 16 kHz audio with leading and trailing silence removed.
+ * Returns { frames, offset } where offset is the first kept frame.
+ */
+export function wakeFeatures(pcm) {
+    const nFrames = Math.floor(pcm.length / HOP_LENGTH);
+    if (nFrames < 2) return { frames: [], offset: 0 };
+
+    const mel = logMelSpectrogram(pcm, N_MELS, nFrames);
+    // Level of each frame's loudest band; voiced speech is concentrated in a few bands
+    const energy = new Float32Array(nFrames).fill(-Infinity);
+    for (let m = 0; m < N_MELS; m++) {
+        for (let t = 0; t < nFrames; t++) energy[t] = Math.max(energy[t], mel[m * nFrames + t]);
+    }
+    const loudest = Math.max(...energy);
+    let start = 0;
+    let end = nFrames;
+    while (start < end && energy[start] < loudest - SILENCE_MARGIN) start++;
+    while (end > start && energy[end - 1] < loudest - SILENCE_MARGIN) end--;
+
+    const frames = [];
+    for (let t = start; t < end; t++) {
+        const frame = new Float32Array(N_MELS);
+        for (let m = 0; m < N_MELS; m++) frame[m] = mel[m * nFrames + t];
+        frames.push(frame);
+    }
+    return { frames, offset: start };
+}
+
+/**
+ * Subtract each band's mean over the first `count` frames, so the microphone's
+ * coloring and the overall level cancel out. Returns new frames.
+ */
+export function meanNormalize(frames, count = frames.length) {
+    const used = Math.min(count, frames.length);
+    const mean = new Float32Array(N_MELS);
+    for (let t = 0; t < used; t++) {
+        for (let m = 0; m < N_MELS; m++) mean[m] += frames[t][m] / used;
+    }
+    return frames.map(frame => frame.map((v, m) => v - mean[m]));
+}
+
+function frameDistance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        const d = a[i] - b[i];
+        sum += d * d;
+    }
+    return Math.sqrt(sum / a.length);
+}
+
+/**
+ * Align all of `template` with the start of `input`, letting the match end
+ * anywhere between half and twice the template's length. Returns the best
+ * path-normalized distance and the input frame where the match ends.
+ */
+export function dtwPrefix(template, input) {
+    const n = template.length;
+    const m = Math.min(input.length, 2 * n);
+    if (n === 0 || m === 0) return { distance: Infinity, end: -1 };
+
+    let previous = new Float64Array(m).fill(Infinity);
+    let current = new Float64Array(m);
+    for (let i = 0; i < n; i++) {
+        current.fill(Infinity);
+        // Keep the warping within a 1:2 / 2:1 slope
+        const from = Math.max(0, Math.floor(i / 2) - 2);
+        const to = Math.min(m - 1, 2 * i + 2);
+        for (let j = from; j <= to; j++) {
+            const cost = frameDistance(template[i], input[j]);
+            let best;
+            if (i === 0 && j === 0) best = 0;
+            else {
+                best = Math.min(
+                    i > 0 && j > 0 ? previous[j - 1] : Infinity,
+                    i > 0 ? previous[j] : Infinity,
+                    j > 0 ? current[j - 1] : Infinity
+                );
+            }
+            current[j] = best + cost;
+        }
+        [previous, current] = [current, previous];
+    }
+
+    let distance = Infinity;
+    let end = -1;
+    for (let j = Math.max(0, Math.floor(n / 2) - 1); j < m; j++) {
+        const normalized = previous[j] / (n + j + 1);
+        if (normalized < distance) {
+            distance = normalized;
+            end = j;
+        }
+    }
+    return { distance, end };
+}
+
+// ============================================================================
+// Template matcher
+// ============================================================================
+
+export class WakeWordDetector {
+    /**
+     * @param {Object} options
+     * @param {number} options.sensitivity - 0 (strict) to 1 (lenient)
+     * @param {Float32Array[][]} options.templates - enrolled, mean-normalized feature frames
+     */
+    constructor({ sensitivity = DEFAULT_WAKE_OPTIONS.sensitivity, templates = [] } = {}) {
+        this.sensitivity = sensitivity;
+        this.templates = [];
+        this.baseline = DEFAULT_BASELINE;
+        for (const frames of templates) this._addFrames(frames);
+    }
+
+    get enrolled() {
+        return this.templates.length > 0;
+    }
+
+    /**
+     * Add a recording of the wake phrase; returns false if it was too short to use
+     */
+    enroll(pcm) {
+        const { frames } = wakeFeatures(pcm);
+        if (frames.length < 0.2 * FRAMES_PER_SECOND) return false;
+        this._addFrames(meanNormalize(frames));
+        return true;
+    }
+
+    _addFrames(frames) {
+        this.templates.push(frames);
+        // Typical distance between two repetitions of the phrase
+        const distances = [];
+        for (let a = 0; a < this.templates.length; a++) {
+            for (let b = 0; b < this.templates.length; b++) {
+                if (a !== b) distances.push(dtwPrefix(this.templates[a], this.templates[b]).distance);
+            }
+        }
+        const finite = distances.filter(Number.isFinite);
+        this.baseline = finite.length > 0 ? finite.reduce((sum, d) => sum + d, 0) / finite.length : DEFAULT_BASELINE;
+    }
+
+    clear() {
+        this.templates = [];
+        this.baseline = DEFAULT_BASELINE;
+    }
+
+    threshold() {
+        return this.baseline * (1.2 + 0.8 * this.sensitivity);
+    }
+
+    /**
+     * Does the segment start with the wake phrase? `restSample` is where the
+     * phrase ends in `pcm`, so the rest can be transcribed as a request.
+     */
+    match(pcm) {
+        const threshold = this.threshold();
+        if (!this.enrolled) return { matched: false, score: Infinity, threshold, restSample: pcm.length };
+
+        const { frames, offset } = wakeFeatures(pcm);
+        let best = { distance: Infinity, end: -1 };
+        for (const template of this.templates) {
+            // Segments much shorter than the phrase can't contain it
+            if (frames.length < template.length / 2) continue;
+            // Normalize over about the phrase's length, not whatever was said after it
+            const result = dtwPrefix(template, meanNormalize(frames, Math.round(template.length * 1.2)));
+            if (result.distance < best.distance) best = result;
+        }
+        return {
+            matched: best.distance <= threshold,
+            score: best.distance,
+            threshold,
+            restSample: best.end >= 0 ? Math.min(pcm.length, (offset + best.end + 1) * HOP_LENGTH) : pcm.length,
+        };
+    }
+
+    /**
+     * Templates as plain arrays for storage
+     */
+    toJSON() {
+        return this.templates.map(frames => frames.map(frame => Array.from(frame, v => Math.round(v * 1000) / 1000)));
+    }
+
+    static fromJSON(json, options = {}) {
+        const templates = (json || []).map(frames => frames.map(frame => Float32Array.from(frame)));
+        return new WakeWordDetector({ ...options, templates });
+    }
+}
@@ -4,46 +4,66 @@
  */
 
 import * as ort from 'onnxruntime-web';
+import ortWasmUrl from './node_modules/onnxruntime-web/dist/ort-wasm-simd-threaded.jsep.wasm?url';
+import { logMelSpectrogram, N_SAMPLES, SAMPLE_RATE } from './mel-spectrogram.js';
+import { startAudioCapture, stopAudioCapture, getCurrentUtterance } from './audio-capture.js';
+import { fetchWithProgress, combineProgress } from './model-loader.js';
+
+// Load the ORT binary from the build's assets (not exported by the package, hence
+// the path), so the service worker precaches it and inference starts offline
+ort.env.wasm.wasmPaths = { wasm: ortWasmUrl };
 
 let encoder = null;
 let decoder = null;
 let tokenizer = null;
 let config = null;
+let vocab = null;
 let isModelLoading = false;
 let isReady = false;
 
+const MODEL_DIR = '/models/whisper';
+
 /**
- * Initialize the Whisper model
+ * Initialize the Whisper model. All four files download in parallel;
+ * `loadOptions.onBytes(loaded, total)` reports their combined progress and
+ * `loadOptions.signal` cancels the load.
  */
-export async function initWhisperSTT(onProgress) {
+export async function initWhisperSTT(onProgress, loadOptions = {}) {
     if (isReady) return true;
     if (isModelLoading) return false;
 
+    const { signal = null, onBytes = null } = loadOptions;
     isModelLoading = true;
     console.log('[Whisper] Loading ONNX models from local files...');
 
     try {
-        if (onProgress) onProgress(10, 'config.json');
-        const configResp = await fetch('/models/whisper/config.json');
-        config = await configResp.json();
-        console.log('[Whisper] Loaded config');
+        if (onProgress) onProgress(10, 'downloading');
+        const fileProgress = combineProgress(onBytes);
+        const files = ['config.json', 'tokenizer.json', 'encoder_model.onnx', 'decoder_model_merged.onnx'];
+        const [configBytes, tokenizerBytes, encoderBytes, decoderBytes] = await Promise.all(files.map(file => (
+            fetchWithProgress(`${MODEL_DIR}/${file}`, { signal, onProgress: fileProgress(file) })
+        )));
 
-        if (onProgress) onProgress(20, 'tokenizer.json');
-        const tokenizerResp = await fetch('/models/whisper/tokenizer.json');
-        tokenizer = await tokenizerResp.json();
+        const textDecoder = new TextDecoder();
+        config = JSON.parse(textDecoder.decode(configBytes));
+        console.log('[Whisper] Loaded config');
+        tokenizer = JSON.parse(textDecoder.decode(tokenizerBytes));
+        vocab = buildVocab(tokenizer);
         console.log('[Whisper] Loaded tokenizer');
 
-        if (onProgress) onProgress(40, 'encoder_model.onnx');
+        signal?.throwIfAborted();
+        if (onProgress) onProgress(60, 'encoder_model.onnx');
         console.log('[Whisper] Loading encoder...');
-        encoder = await ort.InferenceSession.create('/models/whisper/encoder_model.onnx', {
+        encoder = await ort.InferenceSession.create(encoderBytes, {
             executionProviders: ['wasm'],
             graphOptimizationLevel: 'all'
         });
         console.log('[Whisper] Encoder loaded');
 
+        signal?.throwIfAborted();
         if (onProgress) onProgress(80, 'decoder_model_merged.onnx');
         console.log('[Whisper] Loading decoder...');
-        decoder = await ort.InferenceSession.create('/models/whisper/decoder_model_merged.onnx', {
+        decoder = await ort.InferenceSession.create(decoderBytes, {
             executionProviders: ['wasm'],
             graphOptimizationLevel: 'all'
         });
@@ -61,82 +81,330 @@ export async function initWhisperSTT(onProgress) {
     }
 }
 
-// Continuous recognition instance
-let continuousRecognition = null;
-let isListeningContinuous = false;
+// ============================================================================
+// Tokenizer
+// ============================================================================
 
 /**
- * Start continuous listening with streaming callbacks
+ * GPT-2 byte-level BPE maps every byte to a printable unicode character.
+ * Returns the inverse mapping (character -> byte).
  */
-export function startContinuousListening({ onInterim, onFinal, onError }) {
-    if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-        if (onError) onError(new Error('Speech recognition not supported'));
-        return;
+function createByteDecoder() {
+    const bytes = [];
+    for (let b = '!'.charCodeAt(0); b <= '~'.charCodeAt(0); b++) bytes.push(b);
+    for (let b = '¡'.charCodeAt(0); b <= '¬'.charCodeAt(0); b++) bytes.push(b);
+    for (let b = '®'.charCodeAt(0); b <= 'ÿ'.charCodeAt(0); b++) bytes.push(b);
+
+    const chars = bytes.slice();
+    let n = 0;
+    for (let b = 0; b < 256; b++) {
+        if (!bytes.includes(b)) {
+            bytes.push(b);
+            chars.push(256 + n);
+            n++;
+        }
     }
 
-    if (isListeningContinuous) return;
+    const byteDecoder = new Map();
+    for (let i = 0; i < bytes.length; i++) {
+        byteDecoder.set(String.fromCharCode(chars[i]), bytes[i]);
+    }
+    return byteDecoder;
+}
+
+/**
+ * Build id/token lookups and locate the special tokens used for decoding
+ */
+function buildVocab(tokenizerJson) {
+    const idToToken = [];
+    const tokenToId = new Map();
+    for (const [token, id] of Object.entries(tokenizerJson.model.vocab)) {
+        idToToken[id] = token;
+        tokenToId.set(token, id);
+    }
 
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    continuousRecognition = new SpeechRecognition();
-    continuousRecognition.continuous = true;
-    continuousRecognition.interimResults = true;
-    continuousRecognition.lang = 'en-US';
+    const specialIds = new Set();
+    for (const added of tokenizerJson.added_tokens || []) {
+        idToToken[added.id] = added.content;
+        tokenToId.set(added.content, added.id);
+        if (added.special) specialIds.add(added.id);
+    }
 
-    let lastInterim = '';
+    // Language-ID tokens such as <|en|>, <|ko|>, <|haw|>
+    const languageIds = new Map();
+    for (const added of tokenizerJson.added_tokens || []) {
+        const match = /^<\|([a-z]{2,3})\|>$/.exec(added.content);
+        if (match) languageIds.set(added.id, match[1]);
+    }
 
-    continuousRecognition.onresult = (event) => {
-        let interimTranscript = '';
-        let finalTranscript = '';
+    const special = {
+        startOfTranscript: tokenToId.get('<|startoftranscript|>'),
+        endOfText: tokenToId.get('<|endoftext|>'),
+        transcribe: tokenToId.get('<|transcribe|>'),
+        noTimestamps: tokenToId.get('<|notimestamps|>'),
+    };
 
-        for (let i = event.resultIndex; i < event.results.length; i++) {
-            const transcript = event.results[i][0].transcript;
-            if (event.results[i].isFinal) {
-                finalTranscript += transcript;
-            } else {
-                interimTranscript += transcript;
-            }
-        }
+    return { idToToken, tokenToId, specialIds, special, languageIds, byteDecoder: createByteDecoder() };
+}
 
-        // Stream interim results
-        if (interimTranscript && interimTranscript !== lastInterim) {
-            lastInterim = interimTranscript;
-            if (onInterim) onInterim(interimTranscript);
+/**
+ * Convert token ids back to text, skipping special tokens
+ */
+function detokenize(ids) {
+    const bytes = [];
+    for (const id of ids) {
+        if (vocab.specialIds.has(id) || id >= vocab.special.endOfText) continue;
+        const token = vocab.idToToken[id];
+        if (!token) continue;
+        for (const ch of token) {
+            const b = vocab.byteDecoder.get(ch);
+            if (b !== undefined) bytes.push(b);
         }
+    }
+    return new TextDecoder().decode(new Uint8Array(bytes)).trim();
+}
+
+// ============================================================================
+// Inference
+// ============================================================================
+
+// ONNX sessions can't run concurrently, so transcriptions are serialized
+let inferenceChain = Promise.resolve();
+
+function isMultilingual() {
+    return config.vocab_size >= 51865;
+}
+
+/**
+ * Run the encoder over one 30 second window
+ */
+async function encode(pcm) {
+    const nMels = config.num_mel_bins || 80;
+    const features = logMelSpectrogram(pcm, nMels);
+    const inputTensor = new ort.Tensor('float32', features, [1, nMels, features.length / nMels]);
+    const outputs = await encoder.run({ [encoder.inputNames[0]]: inputTensor });
+    return outputs[encoder.outputNames[0]];
+}
 
-        // Send final results
-        if (finalTranscript.trim()) {
-            lastInterim = '';
-            if (onFinal) onFinal(finalTranscript.trim());
+/**
+ * Empty past key/values for the first (non-cached) decoder pass
+ */
+function createEmptyPast() {
+    const numHeads = config.decoder_attention_heads;
+    const headDim = config.d_model / numHeads;
+    const past = {};
+    for (const name of decoder.inputNames) {
+        if (name.startsWith('past_key_values.')) {
+            past[name] = new ort.Tensor('float32', new Float32Array(0), [1, numHeads, 0, headDim]);
         }
+    }
+    return past;
+}
+
+/**
+ * Run one decoder step. Returns logits for the last position and the updated cache.
+ */
+async function decoderStep(inputIds, encoderHiddenStates, past, useCache) {
+    const feeds = {
+        input_ids: new ort.Tensor('int64', BigInt64Array.from(inputIds, BigInt), [1, inputIds.length]),
+        encoder_hidden_states: encoderHiddenStates,
+        ...past,
     };
+    if (decoder.inputNames.includes('use_cache_branch')) {
+        feeds.use_cache_branch = new ort.Tensor('bool', [useCache], [1]);
+    }
 
-    continuousRecognition.onerror = (event) => {
-        console.error('[Whisper] Continuous error:', event.error);
-        if (event.error === 'no-speech' || event.error === 'aborted') {
-            // Restart on no-speech
-            if (isListeningContinuous) {
-                setTimeout(() => {
-                    if (isListeningContinuous && continuousRecognition) {
-                        try { continuousRecognition.start(); } catch (e) { }
-                    }
-                }, 100);
-            }
-        } else if (onError) {
-            onError(new Error(event.error));
+    const outputs = await decoder.run(feeds);
+
+    // The cross-attention cache is only produced on the first pass; keep it afterwards
+    const nextPast = {};
+    for (const name of Object.keys(past)) {
+        const presentName = name.replace('past_key_values.', 'present.');
+        const keepEncoder = useCache && name.includes('.encoder.');
+        nextPast[name] = keepEncoder ? past[name] : outputs[presentName];
+    }
+
+    const logits = outputs.logits;
+    const vocabSize = logits.dims[2];
+    const lastOffset = (logits.dims[1] - 1) * vocabSize;
+    return { logits: logits.data.subarray(lastOffset, lastOffset + vocabSize), past: nextPast };
+}
+
+/**
+ * Greedy pick of the next text token; timestamp tokens are suppressed
+ */
+function argmaxToken(logits) {
+    const limit = Math.min(logits.length, vocab.special.noTimestamps);
+    let best = vocab.special.endOfText;
+    let bestScore = logits[best];
+    for (let i = 0; i < limit; i++) {
+        if (i !== vocab.special.endOfText && vocab.specialIds.has(i)) continue;
+        if (logits[i] > bestScore) {
+            bestScore = logits[i];
+            best = i;
         }
-    };
+    }
+    return best;
+}
+
+/**
+ * Pick the most likely language token after <|startoftranscript|>.
+ * `candidates` optionally restricts detection to a set of language codes.
+ */
+async function detectLanguage(encoderHiddenStates, candidates = null) {
+    const { logits } = await decoderStep([vocab.special.startOfTranscript], encoderHiddenStates, createEmptyPast(), false);
+
+    let bestCode = 'en';
+    let bestScore = -Infinity;
+    for (const [id, code] of vocab.languageIds) {
+        if (candidates && !candidates.includes(code)) continue;
+        if (logits[id] > bestScore) {
+            bestScore = logits[id];
+            bestCode = code;
+        }
+    }
+    return bestCode;
+}
+
+/**
+ * Autoregressively decode one encoded window into token ids
+ */
+async function decodeWindow(encoderHiddenStates, language = 'en') {
+    const prompt = [vocab.special.startOfTranscript];
+    if (isMultilingual()) {
+        const langId = vocab.tokenToId.get(`<|${language}|>`);
+        if (langId !== undefined) prompt.push(langId);
+        prompt.push(vocab.special.transcribe);
+    }
+    prompt.push(vocab.special.noTimestamps);
+
+    const maxLength = Math.floor((config.max_target_positions || 448) / 2);
+    const generated = [];
+
+    let { logits, past } = await decoderStep(prompt, encoderHiddenStates, createEmptyPast(), false);
+    while (prompt.length + generated.length < maxLength) {
+        const next = argmaxToken(logits);
+        if (next === vocab.special.endOfText) break;
+        generated.push(next);
+        ({ logits, past } = await decoderStep([next], encoderHiddenStates, past, true));
+    }
+
+    return generated;
+}
+
+/**
+ * Transcribe 16 kHz mono PCM. Audio longer than 30 seconds is processed
+ * in consecutive windows.
+ *
+ * With `language: 'auto'` the spoken language is detected from the first
+ * window (multilingual models only). Resolves to `{ text, language }`.
+ */
+export async function transcribe(pcm16k, { language = 'auto', candidates = null } = {}) {
+    if (!isReady) {
+        throw new Error('Whisper model not loaded');
+    }
 
-    continuousRecognition.onend = () => {
-        // Auto-restart for always-on mode
-        if (isListeningContinuous && continuousRecognition) {
-            setTimeout(() => {
-                try { continuousRecognition.start(); } catch (e) { }
-            }, 100);
+    const run = async () => {
+        const parts = [];
+        let lang = language === 'auto' ? null : language;
+        for (let offset = 0; offset < Math.max(pcm16k.length, 1); offset += N_SAMPLES) {
+            const window = pcm16k.subarray(offset, offset + N_SAMPLES);
+            const hiddenStates = await encode(window);
+            if (!lang) {
+                lang = isMultilingual() ? await detectLanguage(hiddenStates, candidates) : 'en';
+            }
+            const ids = await decodeWindow(hiddenStates, lang);
+            const text = detokenize(ids);
+            if (text) parts.push(text);
         }
+        return { text: parts.join(' '), language: lang };
     };
 
+    const result = inferenceChain.then(run);
+    inferenceChain = result.catch(() => { });
+    return result;
+}
+
+// ============================================================================
+// Continuous Listening
+// ============================================================================
+
+const INTERIM_INTERVAL_MS = 1000;
+// Each interim pass re-encodes the whole utterance; past this length the
+// last interim transcript stays up until the final one replaces it
+const INTERIM_MAX_SAMPLES = 8 * SAMPLE_RATE;
+
+let isListeningContinuous = false;
+let interimTimer = null;
+
+/**
+ * Start continuous listening with streaming callbacks.
+ * Speech is segmented by the capture VAD; `onSpeechEnd` may return false
+ * to drop an utterance before it is transcribed. `beforeTranscribe(pcm, info)`
+ * may inspect the audio and resolve to the part to transcribe, or null to
+ * drop it; `interim()` returning false pauses interim transcripts. `onFinal`
+ * receives the text and `{ language }` as detected by Whisper.
+ */
+export async function startContinuousListening({
+    onInterim, onFinal, onError, onSpeechStart, onSpeechEnd, vad, language = 'auto',
+    beforeTranscribe = null, interim = null,
+}) {
+    if (isListeningContinuous) return;
+
+    if (!isReady) {
+        if (onError) onError(new Error('Whisper model not loaded'));
+        return;
+    }
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        if (onError) onError(new Error('Microphone access not supported'));
+        return;
+    }
+
     isListeningContinuous = true;
-    continuousRecognition.start();
+
+    let interimBusy = false;
+    const runInterim = () => {
+        const pcm = getCurrentUtterance();
+        if (!pcm || interimBusy || !onInterim || (interim && !interim())) return;
+        if (pcm.length > INTERIM_MAX_SAMPLES) return;
+        interimBusy = true;
+        transcribe(pcm, { language })
+            .then(({ text }) => {
+                if (text && isListeningContinuous && getCurrentUtterance()) onInterim(text);
+            })
+            .catch(() => { })
+            .finally(() => { interimBusy = false; });
+    };
+
+    await startAudioCapture({
+        vad,
+        onSpeechStart: () => {
+            if (onSpeechStart) onSpeechStart();
+        },
+        onSpeechEnd: (info) => {
+            return onSpeechEnd ? onSpeechEnd(info) : true;
+        },
+        onUtterance: (pcm, info) => {
+            Promise.resolve(beforeTranscribe ? beforeTranscribe(pcm, info) : pcm)
+                .then(input => input && transcribe(input, { language }))
+                .then((result) => {
+                    if (!result) return;
+                    const { text, language: detected } = result;
+                    if (text && onFinal) onFinal(text, { language: detected });
+                })
+                .catch(err => {
+                    console.error('[Whisper] Transcription error:', err);
+                    if (onError) onError(err);
+                });
+        },
+        onError: (err) => {
+            isListeningContinuous = false;
+            if (onError) onError(err);
+        }
+    });
+
+    if (!isListeningContinuous) return;
+    interimTimer = setInterval(runInterim, INTERIM_INTERVAL_MS);
     console.log('[Whisper] Continuous listening started');
 }
 
@@ -145,10 +413,11 @@ export function startContinuousListening({ onInterim, onFinal, onError }) {
  */
 export function stopContinuousListening() {
     isListeningContinuous = false;
-    if (continuousRecognition) {
-        continuousRecognition.stop();
-        continuousRecognition = null;
+    if (interimTimer) {
+        clearInterval(interimTimer);
+        interimTimer = null;
     }
+    stopAudioCapture();
     console.log('[Whisper] Continuous listening stopped');
 }
 